@@ -18,6 +18,8 @@ export default [
         Response: 'readonly',
         Request: 'readonly',
         Headers: 'readonly',
+        AbortSignal: 'readonly',
+        TextDecoder: 'readonly',
       }
     },
     rules: {
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS digest_recipients;
+DROP INDEX IF EXISTS idx_digests_subscription_hash;
+ALTER TABLE digests DROP COLUMN subscription_hash;
@@ -0,0 +1,11 @@
+-- Shared personalized digests: one digest per distinct subscription set, linked to every matching user
+ALTER TABLE digests ADD COLUMN subscription_hash TEXT;
+CREATE INDEX IF NOT EXISTS idx_digests_subscription_hash ON digests(subscription_hash, type, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS digest_recipients (
+  digest_id INTEGER NOT NULL REFERENCES digests(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (digest_id, user_id)
+);
+CREATE INDEX IF NOT EXISTS idx_digest_recipients_user ON digest_recipients(user_id);
@@ -0,0 +1,3 @@
+-- HTTP validators from the last successful fetch, sent back as If-None-Match / If-Modified-Since
+ALTER TABLE sources ADD COLUMN etag TEXT;
+ALTER TABLE sources ADD COLUMN last_modified TEXT;
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS source_fetch_attempts;
+ALTER TABLE sources DROP COLUMN consecutive_failures;
+ALTER TABLE sources DROP COLUMN last_error;
+ALTER TABLE sources DROP COLUMN next_fetch_at;
+ALTER TABLE sources DROP COLUMN broken_at;
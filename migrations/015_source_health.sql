@@ -0,0 +1,17 @@
+-- Source health: one row per fetch attempt, plus the failure streak on sources for backoff
+CREATE TABLE IF NOT EXISTS source_fetch_attempts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  source_id INTEGER NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+  started_at TEXT NOT NULL DEFAULT (datetime('now')),
+  status TEXT NOT NULL,
+  item_count INTEGER NOT NULL DEFAULT 0,
+  new_count INTEGER NOT NULL DEFAULT 0,
+  latency_ms INTEGER,
+  error TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_source_fetch_attempts_source ON source_fetch_attempts(source_id, started_at DESC);
+
+ALTER TABLE sources ADD COLUMN consecutive_failures INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE sources ADD COLUMN last_error TEXT;
+ALTER TABLE sources ADD COLUMN next_fetch_at TEXT;
+ALTER TABLE sources ADD COLUMN broken_at TEXT;
@@ -0,0 +1,2 @@
+-- Collector state kept between runs as JSON (website sources: discovered feed URL or the last link snapshot)
+ALTER TABLE sources ADD COLUMN collector_state TEXT;
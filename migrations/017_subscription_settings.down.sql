@@ -0,0 +1,2 @@
+ALTER TABLE user_subscriptions DROP COLUMN weight;
+ALTER TABLE user_subscriptions DROP COLUMN snoozed_until;
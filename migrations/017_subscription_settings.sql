@@ -0,0 +1,3 @@
+-- Per-subscription settings: ranking weight and snooze. The existing is_active column is the mute flag (0 = muted).
+ALTER TABLE user_subscriptions ADD COLUMN weight REAL NOT NULL DEFAULT 1;
+ALTER TABLE user_subscriptions ADD COLUMN snoozed_until TEXT;
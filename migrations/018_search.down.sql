@@ -0,0 +1,7 @@
+DROP TRIGGER IF EXISTS search_digests_insert;
+DROP TRIGGER IF EXISTS search_digests_delete;
+DROP TRIGGER IF EXISTS search_digests_update;
+DROP TRIGGER IF EXISTS search_marks_insert;
+DROP TRIGGER IF EXISTS search_marks_delete;
+DROP TRIGGER IF EXISTS search_marks_update;
+DROP TABLE IF EXISTS search_index;
@@ -0,0 +1,62 @@
+-- Full-text search over digests, their structured items (metadata.items) and marks.
+-- trigram tokenizer: substring matching that works for Chinese as well as English (terms of 3+ characters).
+-- kind is 'digest', 'item' or 'mark'. ref_id is digests.id or marks.id, item_index the position in metadata.items
+CREATE VIRTUAL TABLE search_index USING fts5(
+  title, body, source, category,
+  kind UNINDEXED, ref_id UNINDEXED, item_index UNINDEXED, url UNINDEXED, created_at UNINDEXED,
+  tokenize = 'trigram'
+);
+
+CREATE TRIGGER search_digests_insert AFTER INSERT ON digests BEGIN
+  INSERT INTO search_index (title, body, source, category, kind, ref_id, item_index, url, created_at)
+    VALUES ('', NEW.content, '', '', 'digest', NEW.id, NULL, '', NEW.created_at);
+  INSERT INTO search_index (title, body, source, category, kind, ref_id, item_index, url, created_at)
+    SELECT COALESCE(json_extract(value, '$.title'), ''), COALESCE(json_extract(value, '$.summary'), ''),
+      COALESCE(json_extract(value, '$.source'), ''), COALESCE(json_extract(value, '$.category'), ''),
+      'item', NEW.id, CAST(key AS INTEGER), COALESCE(json_extract(value, '$.url'), ''), NEW.created_at
+    FROM json_each(CASE WHEN json_valid(NEW.metadata) THEN NEW.metadata ELSE '{}' END, '$.items')
+    WHERE json_type(value) = 'object';
+END;
+
+CREATE TRIGGER search_digests_delete AFTER DELETE ON digests BEGIN
+  DELETE FROM search_index WHERE kind IN ('digest', 'item') AND ref_id = OLD.id;
+END;
+
+CREATE TRIGGER search_digests_update AFTER UPDATE OF content, metadata, created_at ON digests BEGIN
+  DELETE FROM search_index WHERE kind IN ('digest', 'item') AND ref_id = OLD.id;
+  INSERT INTO search_index (title, body, source, category, kind, ref_id, item_index, url, created_at)
+    VALUES ('', NEW.content, '', '', 'digest', NEW.id, NULL, '', NEW.created_at);
+  INSERT INTO search_index (title, body, source, category, kind, ref_id, item_index, url, created_at)
+    SELECT COALESCE(json_extract(value, '$.title'), ''), COALESCE(json_extract(value, '$.summary'), ''),
+      COALESCE(json_extract(value, '$.source'), ''), COALESCE(json_extract(value, '$.category'), ''),
+      'item', NEW.id, CAST(key AS INTEGER), COALESCE(json_extract(value, '$.url'), ''), NEW.created_at
+    FROM json_each(CASE WHEN json_valid(NEW.metadata) THEN NEW.metadata ELSE '{}' END, '$.items')
+    WHERE json_type(value) = 'object';
+END;
+
+CREATE TRIGGER search_marks_insert AFTER INSERT ON marks BEGIN
+  INSERT INTO search_index (title, body, source, category, kind, ref_id, item_index, url, created_at)
+    VALUES (COALESCE(NEW.title, ''), COALESCE(NEW.note, ''), '', '', 'mark', NEW.id, NULL, NEW.url, NEW.created_at);
+END;
+
+CREATE TRIGGER search_marks_delete AFTER DELETE ON marks BEGIN
+  DELETE FROM search_index WHERE kind = 'mark' AND ref_id = OLD.id;
+END;
+
+CREATE TRIGGER search_marks_update AFTER UPDATE OF title, note, url ON marks BEGIN
+  DELETE FROM search_index WHERE kind = 'mark' AND ref_id = OLD.id;
+  INSERT INTO search_index (title, body, source, category, kind, ref_id, item_index, url, created_at)
+    VALUES (COALESCE(NEW.title, ''), COALESCE(NEW.note, ''), '', '', 'mark', NEW.id, NULL, NEW.url, NEW.created_at);
+END;
+
+-- Index what is already there
+INSERT INTO search_index (title, body, source, category, kind, ref_id, item_index, url, created_at)
+  SELECT '', content, '', '', 'digest', id, NULL, '', created_at FROM digests;
+INSERT INTO search_index (title, body, source, category, kind, ref_id, item_index, url, created_at)
+  SELECT COALESCE(json_extract(j.value, '$.title'), ''), COALESCE(json_extract(j.value, '$.summary'), ''),
+    COALESCE(json_extract(j.value, '$.source'), ''), COALESCE(json_extract(j.value, '$.category'), ''),
+    'item', d.id, CAST(j.key AS INTEGER), COALESCE(json_extract(j.value, '$.url'), ''), d.created_at
+  FROM digests d, json_each(CASE WHEN json_valid(d.metadata) THEN d.metadata ELSE '{}' END, '$.items') j
+  WHERE json_type(j.value) = 'object';
+INSERT INTO search_index (title, body, source, category, kind, ref_id, item_index, url, created_at)
+  SELECT COALESCE(title, ''), COALESCE(note, ''), '', '', 'mark', id, NULL, url, created_at FROM marks;
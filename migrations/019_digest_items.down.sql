@@ -0,0 +1,39 @@
+DROP TRIGGER IF EXISTS search_digest_items_insert;
+DROP TRIGGER IF EXISTS search_digest_items_delete;
+DROP TRIGGER IF EXISTS search_digest_items_update;
+DROP TRIGGER IF EXISTS search_digests_insert;
+DROP TRIGGER IF EXISTS search_digests_update;
+DROP TABLE IF EXISTS digest_items;
+
+-- Back to indexing metadata.items from the digest triggers (as in 018_search.sql)
+DELETE FROM search_index WHERE kind = 'item';
+
+CREATE TRIGGER search_digests_insert AFTER INSERT ON digests BEGIN
+  INSERT INTO search_index (title, body, source, category, kind, ref_id, item_index, url, created_at)
+    VALUES ('', NEW.content, '', '', 'digest', NEW.id, NULL, '', NEW.created_at);
+  INSERT INTO search_index (title, body, source, category, kind, ref_id, item_index, url, created_at)
+    SELECT COALESCE(json_extract(value, '$.title'), ''), COALESCE(json_extract(value, '$.summary'), ''),
+      COALESCE(json_extract(value, '$.source'), ''), COALESCE(json_extract(value, '$.category'), ''),
+      'item', NEW.id, CAST(key AS INTEGER), COALESCE(json_extract(value, '$.url'), ''), NEW.created_at
+    FROM json_each(CASE WHEN json_valid(NEW.metadata) THEN NEW.metadata ELSE '{}' END, '$.items')
+    WHERE json_type(value) = 'object';
+END;
+
+CREATE TRIGGER search_digests_update AFTER UPDATE OF content, metadata, created_at ON digests BEGIN
+  DELETE FROM search_index WHERE kind IN ('digest', 'item') AND ref_id = OLD.id;
+  INSERT INTO search_index (title, body, source, category, kind, ref_id, item_index, url, created_at)
+    VALUES ('', NEW.content, '', '', 'digest', NEW.id, NULL, '', NEW.created_at);
+  INSERT INTO search_index (title, body, source, category, kind, ref_id, item_index, url, created_at)
+    SELECT COALESCE(json_extract(value, '$.title'), ''), COALESCE(json_extract(value, '$.summary'), ''),
+      COALESCE(json_extract(value, '$.source'), ''), COALESCE(json_extract(value, '$.category'), ''),
+      'item', NEW.id, CAST(key AS INTEGER), COALESCE(json_extract(value, '$.url'), ''), NEW.created_at
+    FROM json_each(CASE WHEN json_valid(NEW.metadata) THEN NEW.metadata ELSE '{}' END, '$.items')
+    WHERE json_type(value) = 'object';
+END;
+
+INSERT INTO search_index (title, body, source, category, kind, ref_id, item_index, url, created_at)
+  SELECT COALESCE(json_extract(j.value, '$.title'), ''), COALESCE(json_extract(j.value, '$.summary'), ''),
+    COALESCE(json_extract(j.value, '$.source'), ''), COALESCE(json_extract(j.value, '$.category'), ''),
+    'item', d.id, CAST(j.key AS INTEGER), COALESCE(json_extract(j.value, '$.url'), ''), d.created_at
+  FROM digests d, json_each(CASE WHEN json_valid(d.metadata) THEN d.metadata ELSE '{}' END, '$.items') j
+  WHERE json_type(j.value) = 'object';
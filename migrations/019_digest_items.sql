@@ -0,0 +1,61 @@
+-- Stories of a digest, one row each in display order, instead of only inside digests.metadata (items) or the
+-- markdown bullets. raw_item_id is the collected raw_items row the story came from, kept as NULL once that is cleaned up
+CREATE TABLE IF NOT EXISTS digest_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  digest_id INTEGER NOT NULL REFERENCES digests(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  title TEXT NOT NULL DEFAULT '',
+  url TEXT NOT NULL DEFAULT '',
+  summary TEXT NOT NULL DEFAULT '',
+  category TEXT NOT NULL DEFAULT '',
+  source TEXT NOT NULL DEFAULT '',
+  raw_item_id INTEGER REFERENCES raw_items(id) ON DELETE SET NULL,
+  UNIQUE(digest_id, position)
+);
+CREATE INDEX IF NOT EXISTS idx_digest_items_url ON digest_items(url);
+CREATE INDEX IF NOT EXISTS idx_digest_items_raw_item ON digest_items(raw_item_id);
+
+-- search_index now takes item rows from digest_items rather than parsing metadata.items in the digest triggers
+DROP TRIGGER IF EXISTS search_digests_insert;
+DROP TRIGGER IF EXISTS search_digests_update;
+DELETE FROM search_index WHERE kind = 'item';
+
+CREATE TRIGGER search_digests_insert AFTER INSERT ON digests BEGIN
+  INSERT INTO search_index (title, body, source, category, kind, ref_id, item_index, url, created_at)
+    VALUES ('', NEW.content, '', '', 'digest', NEW.id, NULL, '', NEW.created_at);
+END;
+
+CREATE TRIGGER search_digests_update AFTER UPDATE OF content, created_at ON digests BEGIN
+  DELETE FROM search_index WHERE kind = 'digest' AND ref_id = OLD.id;
+  INSERT INTO search_index (title, body, source, category, kind, ref_id, item_index, url, created_at)
+    VALUES ('', NEW.content, '', '', 'digest', NEW.id, NULL, '', NEW.created_at);
+  UPDATE search_index SET created_at = NEW.created_at WHERE kind = 'item' AND ref_id = NEW.id;
+END;
+
+CREATE TRIGGER search_digest_items_insert AFTER INSERT ON digest_items BEGIN
+  INSERT INTO search_index (title, body, source, category, kind, ref_id, item_index, url, created_at)
+    SELECT NEW.title, NEW.summary, NEW.source, NEW.category, 'item', NEW.digest_id, NEW.position, NEW.url, created_at
+    FROM digests WHERE id = NEW.digest_id;
+END;
+
+CREATE TRIGGER search_digest_items_delete AFTER DELETE ON digest_items BEGIN
+  DELETE FROM search_index WHERE kind = 'item' AND ref_id = OLD.digest_id AND item_index = OLD.position;
+END;
+
+CREATE TRIGGER search_digest_items_update AFTER UPDATE OF position, title, url, summary, category, source ON digest_items BEGIN
+  DELETE FROM search_index WHERE kind = 'item' AND ref_id = OLD.digest_id AND item_index = OLD.position;
+  INSERT INTO search_index (title, body, source, category, kind, ref_id, item_index, url, created_at)
+    SELECT NEW.title, NEW.summary, NEW.source, NEW.category, 'item', NEW.digest_id, NEW.position, NEW.url, created_at
+    FROM digests WHERE id = NEW.digest_id;
+END;
+
+-- Backfill from metadata.items (which also re-indexes them). Digests with only markdown bullets are parsed by
+-- migration 021, since that takes the regex in src/digest-items.mjs
+INSERT INTO digest_items (digest_id, position, title, url, summary, category, source)
+  SELECT d.id, ROW_NUMBER() OVER (PARTITION BY d.id ORDER BY CAST(j.key AS INTEGER)) - 1,
+    COALESCE(json_extract(j.value, '$.title'), ''), COALESCE(json_extract(j.value, '$.url'), ''),
+    COALESCE(json_extract(j.value, '$.summary'), ''), COALESCE(json_extract(j.value, '$.category'), ''),
+    COALESCE(json_extract(j.value, '$.source'), '')
+  FROM digests d, json_each(CASE WHEN json_valid(d.metadata) THEN d.metadata ELSE '{}' END, '$.items') j
+  WHERE json_type(j.value) = 'object'
+    AND (COALESCE(json_extract(j.value, '$.title'), '') != '' OR COALESCE(json_extract(j.value, '$.url'), '') != '');
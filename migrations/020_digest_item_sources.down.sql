@@ -0,0 +1 @@
+ALTER TABLE digest_items DROP COLUMN sources_json;
@@ -0,0 +1,3 @@
+-- Every source a digest item's story was merged from (story clustering in scripts/fetch-and-digest.mjs),
+-- as a JSON array of { source, url }. Items of earlier digests have none
+ALTER TABLE digest_items ADD COLUMN sources_json TEXT NOT NULL DEFAULT '[]';
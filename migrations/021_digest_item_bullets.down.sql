@@ -0,0 +1 @@
+-- 021 only adds digest_items rows for existing digests, which stay like those of digests posted later
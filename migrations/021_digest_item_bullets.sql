@@ -0,0 +1,3 @@
+-- Items for digests stored before digest_items that only have markdown bullets. Parsing them takes the regex in
+-- src/digest-items.mjs, so the work is done by this migration's data step (backfillBulletItems, see DATA_STEPS
+-- in src/migrate.mjs), which the runner calls right after this file in the same transaction
@@ -4,29 +4,78 @@
  *
  * 用法:
  *   node scripts/fetch-and-digest.mjs [--type 4h|daily|weekly|monthly] [--deep]
+ *   node scripts/fetch-and-digest.mjs --collect-only          # 仅采集，写入 raw_items
+ *   node scripts/fetch-and-digest.mjs --skip-collect [--window 4]  # 仅从 raw_items 生成 Digest
+ *   node scripts/fetch-and-digest.mjs --per-user [--user <id>] [--no-cache]  # 按用户订阅生成个性化 Digest
+ *
+ * 采集与生成解耦: 采集结果先写入 raw_items 表，Digest 再从时间窗口内的 raw_items 生成。
+ * 默认时间窗口: 4h → 4 小时, daily → 24 小时, weekly → 7 天, monthly → 30 天（--window 可覆盖，单位小时）
+ * LLM 调用失败时无需重新采集，使用 --skip-collect 重试即可。
+ * 生成的每条资讯保存为一行 digest_items，并通过 URL 关联回所依据的 raw_items 条目。
+ * 事件聚类（src/clusters.mjs）: 生成前按规范化 URL、社交帖子分享的原文链接和标题相似度把条目归并为事件，
+ * LLM 按事件而非逐条挑选；每条资讯保留所合并的全部来源链接（digest_items.sources_json，显示为「也见于」）。
+ *
+ * 信息源健康度: 每次采集都记录到 source_fetch_attempts（状态、条数、耗时、错误）。连续失败的信息源按
+ * 1h → 2h → 4h ... → 24h 指数退避，连续失败 8 次标记为失效并跳过，直到在 Web 界面点击重试或修改配置。
+ * --ignore-backoff 忽略退避和失效标记，本次采集全部信息源。
+ *
+ * 信息源过滤: 任意类型的 config 都可以带 filters（见 src/filters.mjs）——include / exclude 关键词或 /正则/、
+ * languages 语言、min_score / min_comments 互动量下限。采集后立即过滤，被过滤的条目不写入 raw_items。
+ *
+ * --per-user 模式: 每个用户只使用 user_subscriptions 中的信息源生成 Digest（写入 digests.user_id），
+ * 显示在该用户的 /feed/:slug 和登录后的首页；不推送飞书。--user 只为指定用户生成。
+ * 订阅组合缓存: 按 SHA256(排序后的 source_id 列表) 分组，同一组合每次只调用一次 LLM，
+ * 结果通过 digest_recipients 关联给组内所有用户；本次运行开始后已由其他进程（如同时运行的 --user）为同一组合生成的
+ * Digest 直接复用（--no-cache 强制重新生成），之前各次运行的 Digest 不复用。
+ *
+ * 订阅设置（PATCH /api/subscriptions/:sourceId）: 静音或暂停中的订阅不参与个性化 Digest；权重（默认 1）不为 1 的
+ * 订阅计入组合缓存，生成时高权重来源的条目排在前面并提示 LLM 优先入选，低权重来源仅在足够重要时入选。
+ * 静音和暂停不影响采集，取消静音或暂停结束后最近的内容仍可进入 Digest。
  *
  * 支持的 Source 类型:
  *   rss / atom       — RSS / Atom 订阅
- *   hackernews       — Hacker News 热门帖
- *   reddit           — Subreddit 热门帖
+ *   hackernews       — Hacker News（config: { filter: top|best|new|ask|show, query?, hours?, min_score?, min_comments?,
+ *                      exclude_domains?, comments? }）；comments: N 附带前 N 条热门评论，作为 Digest 生成的补充上下文
+ *   reddit           — Subreddit 帖子（config: { subreddit: "a+b", sort, time?, min_score?, flair_include?, flair_exclude? }），
+ *                      配置 REDDIT_CLIENT_ID / REDDIT_CLIENT_SECRET 后通过 OAuth 访问
  *   github_trending  — GitHub Trending
  *   twitter_feed     — X/Twitter 用户时间线（通过 Nitter RSS，config: { username: "@handle", limit: 20 }）
  *   twitter_list     — X/Twitter 列表（通过 Nitter RSS，config: { url: "https://x.com/i/lists/...", limit: 20 }）
+ *   website          — 普通网页（config: { url, selector? }）：优先使用页面声明的 RSS/Atom；没有则对比上次抓取时的
+ *                      文章链接快照，只收录新出现的链接；selector 为可选的 CSS 选择器，指定文章链接所在元素
+ *   mastodon         — Mastodon 账号或话题（config: { instance, account } 或 { instance, hashtag }，公开 API，不可用时回退到实例 RSS）
+ *   bluesky          — Bluesky 用户（config: { handle }，公开 AppView API）
+ *   youtube          — YouTube 频道或播放列表（config: { channel_id } 或 { playlist_id }，公开 Atom 订阅源），
+ *                      条目附带视频时长（抓取观看页，已知时长记录在 collector_state 中）
+ *   arxiv            — arXiv 论文（config: { categories: ["cs.CL"], keywords: ["agent"] }，arXiv API，按提交时间倒序），
+ *                      条目保留作者、完整摘要和 PDF 链接
  *
- * 需要 .env 中配置:
+ * 需要 .env 中配置（--collect-only 模式无需配置）:
  *   API_KEY          — ClawFeed 服务 API Key
- *   DEEPSEEK_API_KEY — SiliconFlow DeepSeek API Key
+ *   LLM_API_KEY      — LLM 服务 API Key（兼容旧的 DEEPSEEK_API_KEY；LLM_PROVIDER=ollama 时无需配置）
+ *   LLM_PROVIDER / LLM_BASE_URL / LLM_MODEL_* — 切换模型服务，见 src/llm.mjs
  *
- * --deep 模式: 对 Digest 精选的每篇文章抓取原文，生成 250 字中文深度摘要
+ * --deep 模式: 对 Digest 精选的每篇文章抓取原文，生成 250 字中文深度摘要（YouTube 视频使用字幕，无字幕则跳过；
+ * arXiv 论文使用论文摘要，不抓取网页）
  */
 
-import https from 'https';
 import http from 'http';
 import { readFileSync, existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { createHmac, createHash } from 'crypto';
-import { ProxyAgent, fetch as undiciFetch } from 'undici';
+import {
+  getDb, insertRawItems, listRawItems, cleanOldRawItems, listSubscribedUsers, listActiveSubscriptionSourceIds, listSubscriptionWeights,
+  subscriptionHash, findDigestBySubscriptionHash, addDigestRecipients, recordFetchAttempt, cleanOldFetchAttempts,
+  SOURCE_BROKEN_AFTER, sourceBackoffMinutes,
+} from '../src/db.mjs';
+import { createLlm, llmConfigFromEnv } from '../src/llm.mjs';
+import { createFetchers } from '../src/fetchers.mjs';
+import { createHostLimiter, mapWithConcurrency, DEFAULT_HOST_LIMITS } from '../src/scheduler.mjs';
+import { youtubeVideoId } from '../src/youtube.mjs';
+import { arxivId } from '../src/arxiv.mjs';
+import { applySourceFilters } from '../src/filters.mjs';
+import { clusterItems, storyUrls } from '../src/clusters.mjs';
 
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
@@ -46,14 +95,26 @@ if (existsSync(envPath)) {
 }
 
 const API_KEY = env.API_KEY || process.env.API_KEY || '';
-const DEEPSEEK_API_KEY = env.DEEPSEEK_API_KEY || process.env.DEEPSEEK_API_KEY || '';
 const PORT = parseInt(env.DIGEST_PORT || process.env.DIGEST_PORT || '8767', 10);
 const PROXY_URL = env.HTTP_PROXY || env.HTTPS_PROXY || env.http_proxy || env.https_proxy
   || process.env.HTTP_PROXY || process.env.HTTPS_PROXY || process.env.http_proxy || process.env.https_proxy || '';
 const FEISHU_WEBHOOK = env.FEISHU_WEBHOOK || process.env.FEISHU_WEBHOOK || '';
 const FEISHU_SECRET = env.FEISHU_SECRET || process.env.FEISHU_SECRET || '';
 const RSSHUB_URL = (env.RSSHUB_URL || process.env.RSSHUB_URL || '').replace(/\/+$/, '');
+// Optional Reddit script app (https://www.reddit.com/prefs/apps) for OAuth access instead of anonymous JSON
+const REDDIT_CREDENTIALS = {
+  clientId: env.REDDIT_CLIENT_ID || process.env.REDDIT_CLIENT_ID || '',
+  clientSecret: env.REDDIT_CLIENT_SECRET || process.env.REDDIT_CLIENT_SECRET || '',
+  username: env.REDDIT_USERNAME || process.env.REDDIT_USERNAME || '',
+  password: env.REDDIT_PASSWORD || process.env.REDDIT_PASSWORD || '',
+};
 const MAX_ARTICLE_AGE_HOURS = parseInt(env.MAX_ARTICLE_AGE_HOURS || process.env.MAX_ARTICLE_AGE_HOURS || '72', 10);
+// 并发采集：同时处理的信息源数，以及每个域名的并发数 / 请求间隔（毫秒）
+const FETCH_CONCURRENCY = parseInt(env.FETCH_CONCURRENCY || process.env.FETCH_CONCURRENCY || '8', 10);
+const FETCH_HOST_CONCURRENCY = parseInt(env.FETCH_HOST_CONCURRENCY || process.env.FETCH_HOST_CONCURRENCY || '2', 10);
+const FETCH_HOST_DELAY_MS = parseInt(env.FETCH_HOST_DELAY_MS || process.env.FETCH_HOST_DELAY_MS || '0', 10);
+const FETCH_HOST_LIMITS = env.FETCH_HOST_LIMITS || process.env.FETCH_HOST_LIMITS || '';
+const llm = createLlm(llmConfigFromEnv({ ...process.env, ...env }));
 
 // ── CLI args ───────────────────────────────────────────────────────────────
 const args = process.argv.slice(2);
@@ -66,106 +127,54 @@ const getArg = (flag) => {
 
 const DIGEST_TYPE = getArg('--type') || '4h';
 const DEEP_MODE = args.includes('--deep');
+const COLLECT_ONLY = args.includes('--collect-only');
+const SKIP_COLLECT = args.includes('--skip-collect');
+const ONLY_USER_ID = getArg('--user') ? parseInt(getArg('--user'), 10) : null;
+const PER_USER = args.includes('--per-user') || ONLY_USER_ID !== null;
+const NO_CACHE = args.includes('--no-cache');
+const IGNORE_BACKOFF = args.includes('--ignore-backoff');
 const VALID_TYPES = ['4h', 'daily', 'weekly', 'monthly'];
 if (!VALID_TYPES.includes(DIGEST_TYPE)) {
   console.error(`错误: --type 必须是 ${VALID_TYPES.join(' | ')} 之一`);
   process.exit(1);
 }
+if (ONLY_USER_ID !== null && !(ONLY_USER_ID > 0)) {
+  console.error('错误: --user 必须是用户 id');
+  process.exit(1);
+}
+if (COLLECT_ONLY && SKIP_COLLECT) {
+  console.error('错误: --collect-only 与 --skip-collect 不能同时使用');
+  process.exit(1);
+}
+// Digest 读取 raw_items 的时间窗口（小时）
+const WINDOW_HOURS = { '4h': 4, daily: 24, weekly: 24 * 7, monthly: 24 * 30 };
+const windowArg = getArg('--window');
+const DIGEST_WINDOW_HOURS = windowArg ? parseFloat(windowArg) : WINDOW_HOURS[DIGEST_TYPE];
+if (!(DIGEST_WINDOW_HOURS > 0)) {
+  console.error('错误: --window 必须是正数（单位小时）');
+  process.exit(1);
+}
+const RAW_ITEMS_TTL_DAYS = 30;
+// Per-user digests are only reused when made after this run started (see generateUserDigests)
+const RUN_STARTED_AT = new Date().toISOString().slice(0, 19).replace('T', ' ');
+
+// 每个域名的采集预算：内置默认（reddit / github）→ RSSHub 实例 → FETCH_HOST_LIMITS（JSON）覆盖
+const hostLimits = { ...DEFAULT_HOST_LIMITS };
+if (RSSHUB_URL && URL.canParse(RSSHUB_URL)) hostLimits[new URL(RSSHUB_URL).hostname] = { concurrency: 2, delayMs: 1000 };
+try {
+  Object.assign(hostLimits, FETCH_HOST_LIMITS ? JSON.parse(FETCH_HOST_LIMITS) : {});
+} catch {
+  console.error('错误: FETCH_HOST_LIMITS 必须是 JSON，例如 {"reddit.com":{"concurrency":1,"delayMs":2000}}');
+  process.exit(1);
+}
 
 // ── Logger ─────────────────────────────────────────────────────────────────
 const log = (...a) => console.log(`[${new Date().toISOString().slice(0, 19).replace('T', ' ')}]`, ...a);
 const warn = (...a) => console.warn(`[${new Date().toISOString().slice(0, 19).replace('T', ' ')}] ⚠️`, ...a);
 
-// ── HTTP helpers ───────────────────────────────────────────────────────────
-const FETCH_TIMEOUT = 15000;
-
-// Build proxy dispatcher once (reuse across requests)
-const proxyDispatcher = PROXY_URL ? new ProxyAgent(PROXY_URL) : null;
-
-async function httpFetch(url, { headers = {}, timeout = FETCH_TIMEOUT, maxBytes = 600000 } = {}) {
-  const readBody = async (res) => {
-    const reader = res.body.getReader();
-    const chunks = [];
-    let total = 0;
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-      chunks.push(value);
-      total += value.length;
-      if (total > maxBytes) { reader.cancel(); break; }
-    }
-    return {
-      status: res.status,
-      body: Buffer.concat(chunks.map(c => Buffer.from(c))).toString('utf8'),
-      headers: Object.fromEntries(res.headers),
-    };
-  };
-
-  const attempt = async (useProxy) => {
-    const opts = {
-      headers: { 'User-Agent': 'ClawFeed-Fetcher/1.0', ...headers },
-      signal: AbortSignal.timeout(timeout),
-      redirect: 'follow',
-    };
-    if (useProxy && proxyDispatcher) opts.dispatcher = proxyDispatcher;
-    const res = await undiciFetch(url, opts);
-    return readBody(res);
-  };
-
-  if (!proxyDispatcher) return attempt(false);
-
-  try {
-    return await attempt(true);
-  } catch (e) {
-    // 代理层引发的连接错误时回退到直连（适用于直连可达但代理有干扰的站点）
-    const code = e.cause?.code || e.code || '';
-    if (code === 'ECONNRESET' || code === 'ECONNREFUSED' || code === 'ETIMEDOUT'
-      || code === 'UND_ERR_CONNECT_TIMEOUT' || code === 'UND_ERR_SOCKET') {
-      return attempt(false);
-    }
-    throw e;
-  }
-}
-
-// POST JSON to any HTTPS URL (used for Feishu webhook)
-async function postJson(url, body) {
-  const payload = JSON.stringify(body);
-
-  const readBody = async (res) => {
-    const reader = res.body.getReader();
-    const chunks = [];
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-      chunks.push(value);
-    }
-    return { status: res.status, body: Buffer.concat(chunks.map(c => Buffer.from(c))).toString('utf8') };
-  };
-
-  const attempt = (useProxy) => {
-    const opts = {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json', 'User-Agent': 'ClawFeed-Bot/1.0' },
-      body: payload,
-      signal: AbortSignal.timeout(10000),
-    };
-    if (useProxy && proxyDispatcher) opts.dispatcher = proxyDispatcher;
-    return undiciFetch(url, opts).then(readBody);
-  };
-
-  if (!proxyDispatcher) return attempt(false);
-
-  try {
-    return await attempt(true);
-  } catch (e) {
-    const code = e.cause?.code || e.code || '';
-    if (code === 'ECONNRESET' || code === 'ECONNREFUSED' || code === 'ETIMEDOUT'
-      || code === 'UND_ERR_CONNECT_TIMEOUT' || code === 'UND_ERR_SOCKET') {
-      return attempt(false);
-    }
-    throw e;
-  }
-}
+// ── Fetchers (src/fetchers.mjs) ────────────────────────────────────────────
+const hostLimiter = createHostLimiter({ concurrency: FETCH_HOST_CONCURRENCY, delayMs: FETCH_HOST_DELAY_MS, hosts: hostLimits });
+const { httpFetch, postJson, fetchSource, fetchYouTubeTranscript, fetchArxivAbstract } = createFetchers({ proxyUrl: PROXY_URL, rsshubUrl: RSSHUB_URL, reddit: REDDIT_CREDENTIALS, hostLimiter, log, warn });
 
 // ── Feishu / Lark Webhook Push ─────────────────────────────────────────────
 
@@ -324,252 +333,6 @@ function localPost(path, data, extraHeaders = {}) {
   });
 }
 
-// ── RSS / Atom Parser ──────────────────────────────────────────────────────
-function stripHtml(s) {
-  return (s || '').replace(/<[^>]+>/g, ' ').replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/\s+/g, ' ').trim();
-}
-
-function xmlText(block, tag) {
-  const m = block.match(new RegExp(`<${tag}(?:[^>]*)>(?:<!\\[CDATA\\[)?([\\s\\S]*?)(?:\\]\\]>)?<\\/${tag}>`, 'i'));
-  return m ? stripHtml(m[1].trim()) : '';
-}
-
-function xmlAttr(block, tag, attr) {
-  const m = block.match(new RegExp(`<${tag}[^>]*\\s${attr}=["']([^"']+)["']`, 'i'));
-  return m ? m[1].trim() : '';
-}
-
-async function fetchRss(url, limit = 20) {
-  const { body } = await httpFetch(url);
-  const items = [];
-  const re = /<item[^>]*>([\s\S]*?)<\/item>|<entry[^>]*>([\s\S]*?)<\/entry>/gi;
-  let m;
-  while ((m = re.exec(body)) && items.length < limit) {
-    const block = m[1] || m[2];
-    const title = xmlText(block, 'title');
-    const link =
-      xmlText(block, 'link') ||
-      xmlAttr(block, 'link', 'href') ||
-      xmlText(block, 'id');
-    const description = (
-      xmlText(block, 'content:encoded') ||
-      xmlText(block, 'description') ||
-      xmlText(block, 'summary') ||
-      xmlText(block, 'content')
-    ).slice(0, 400);
-    const pubDate = xmlText(block, 'pubDate') || xmlText(block, 'published') || xmlText(block, 'updated');
-    const author = xmlText(block, 'author') || xmlText(block, 'dc:creator') || xmlText(block, 'name');
-    if (!title && !link) continue;
-    items.push({ title, url: link, description, pubDate, author });
-  }
-  return items;
-}
-
-// ── Hacker News ────────────────────────────────────────────────────────────
-// 主用 Algolia HN Search API（无需认证，稳定），Firebase API 已不可靠
-async function fetchHackerNews({ filter = 'top', min_score = 50, limit = 20 } = {}) {
-  const tagMap = { top: 'front_page', new: 'story', best: 'front_page', ask: 'ask_hn', show: 'show_hn' };
-  const tag = tagMap[filter] || 'front_page';
-  const { body } = await httpFetch(
-    `https://hn.algolia.com/api/v1/search?tags=${tag}&hitsPerPage=${Math.min(limit * 2, 60)}`,
-    { timeout: 10000 }
-  );
-  const data = JSON.parse(body);
-  return (data.hits || [])
-    .filter(h => h.title && (h.points || 0) >= (min_score || 0))
-    .slice(0, limit)
-    .map(h => ({
-      title: h.title,
-      url: h.url || `https://news.ycombinator.com/item?id=${h.objectID}`,
-      description: `${h.points || 0} 分 · ${h.num_comments || 0} 评论`,
-      author: h.author,
-    }));
-}
-
-// ── Reddit ─────────────────────────────────────────────────────────────────
-async function fetchReddit({ subreddit, sort = 'hot', limit = 20 } = {}) {
-  const { body } = await httpFetch(
-    `https://www.reddit.com/r/${subreddit}/${sort}.json?limit=${limit}&raw_json=1`,
-    { headers: { 'User-Agent': 'ClawFeed/1.0 (news aggregator bot)' }, timeout: 10000 }
-  );
-  const data = JSON.parse(body);
-  return (data.data?.children || [])
-    .map(c => c.data)
-    .filter(p => p.title)
-    .slice(0, limit)
-    .map(p => ({
-      title: p.title,
-      url: p.url?.startsWith('/r/') ? `https://www.reddit.com${p.url}` : (p.url || `https://www.reddit.com${p.permalink}`),
-      description: p.selftext
-        ? p.selftext.slice(0, 300)
-        : `↑${p.score} · ${p.num_comments} 评论 · r/${p.subreddit}`,
-      author: p.author,
-    }));
-}
-
-// ── Twitter/X via RSSHub (preferred) or Nitter RSS (fallback) ─────────────
-// RSSHub 路由: /twitter/user/:screenName  /twitter/list/:listId
-// 需在 .env 中配置 RSSHUB_URL（如 http://localhost:1200）
-// Nitter 公共实例已于 2024 年被 Twitter/X 全面封锁，仅作降级备选
-
-const NITTER_INSTANCES = [
-  'https://nitter.privacydev.net',
-  'https://nitter.poast.org',
-  'https://nitter.1d4.us',
-  'https://nitter.moomoo.me',
-  'https://nitter.net',
-];
-
-async function fetchNitterRss(path, limit = 20) {
-  let lastError;
-  for (const instance of NITTER_INSTANCES) {
-    try {
-      const url = `${instance}${path}`;
-      const items = await fetchRss(url, limit);
-      if (items.length > 0) return items;
-    } catch (e) {
-      lastError = e;
-    }
-  }
-  return [];
-}
-
-const RSSHUB_RETRIES = 3;
-const RSSHUB_RETRY_DELAY = 5000;
-
-async function fetchRssHubWithRetry(path, limit = 20) {
-  for (let attempt = 1; attempt <= RSSHUB_RETRIES; attempt++) {
-    try {
-      const items = await fetchRss(`${RSSHUB_URL}${path}`, limit);
-      if (items.length > 0) return items;
-      if (attempt < RSSHUB_RETRIES) {
-        log(`RSSHub 返回空结果 (${path})，${RSSHUB_RETRY_DELAY / 1000}s 后重试 (${attempt}/${RSSHUB_RETRIES})`);
-        await sleep(RSSHUB_RETRY_DELAY);
-      }
-    } catch (e) {
-      if (attempt < RSSHUB_RETRIES) {
-        log(`RSSHub 请求失败 (${path}: ${e.message})，${RSSHUB_RETRY_DELAY / 1000}s 后重试 (${attempt}/${RSSHUB_RETRIES})`);
-        await sleep(RSSHUB_RETRY_DELAY);
-      } else {
-        warn(`RSSHub 请求失败 (${path}: ${e.message})，已用尽重试`);
-      }
-    }
-  }
-  return [];
-}
-
-async function fetchTwitterFeed({ username, handle, limit = 20 } = {}) {
-  const raw = username || handle;
-  if (!raw) throw new Error('twitter_feed Source 需要配置 username 或 handle 字段（如 "@karpathy"）');
-  const screenName = raw.replace(/^@/, '');
-
-  if (RSSHUB_URL) {
-    const items = await fetchRssHubWithRetry(`/twitter/user/${screenName}`, limit);
-    if (items.length > 0) return items;
-  }
-
-  const nitterItems = await fetchNitterRss(`/${screenName}/rss`, limit);
-  if (nitterItems.length > 0) return nitterItems;
-
-  if (!RSSHUB_URL) {
-    warn(`Twitter/X 采集失败（@${screenName}）：未配置 RSSHUB_URL 且所有 Nitter 实例不可用。` +
-      ' 请在 .env 中设置 RSSHUB_URL（自建 RSSHub: https://docs.rsshub.app/deploy/）');
-  } else {
-    warn(`Twitter/X 采集失败（@${screenName}）：RSSHub 和 Nitter 均无法获取数据`);
-  }
-  return [];
-}
-
-async function fetchTwitterList({ url, limit = 20 } = {}) {
-  if (!url) throw new Error('twitter_list Source 需要配置 url 字段（Twitter 列表页 URL）');
-  const m = url.match(/(?:twitter\.com|x\.com)\/(?:[^/]+\/)?lists?\/([^/?#]+)/i);
-  if (!m) throw new Error(`无法解析 Twitter 列表 URL: ${url}`);
-  const listId = m[1];
-
-  if (RSSHUB_URL) {
-    const items = await fetchRssHubWithRetry(`/twitter/list/${listId}`, limit);
-    if (items.length > 0) return items;
-  }
-
-  const nitterItems = await fetchNitterRss(`/i/lists/${listId}/rss`, limit);
-  if (nitterItems.length > 0) return nitterItems;
-
-  if (!RSSHUB_URL) {
-    warn(`Twitter/X 列表采集失败（${listId}）：未配置 RSSHUB_URL 且所有 Nitter 实例不可用。` +
-      ' 请在 .env 中设置 RSSHUB_URL（自建 RSSHub: https://docs.rsshub.app/deploy/）');
-  } else {
-    warn(`Twitter/X 列表采集失败（${listId}）：RSSHub 和 Nitter 均无法获取数据`);
-  }
-  return [];
-}
-
-// ── GitHub Trending ────────────────────────────────────────────────────────
-async function fetchGitHubTrending({ language = '', since = 'daily' } = {}) {
-  const langPath = language && language !== 'all' ? `/${encodeURIComponent(language)}` : '';
-  const { body } = await httpFetch(`https://github.com/trending${langPath}?since=${since}`, { timeout: 12000 });
-
-  const items = [];
-  // Match each repo article block
-  const repoRe = /href="\/([A-Za-z0-9_.-]+\/[A-Za-z0-9_.-]+)"\s*>/g;
-  const seen = new Set();
-  let m;
-  while ((m = repoRe.exec(body)) && items.length < 25) {
-    const repo = m[1];
-    if (seen.has(repo) || repo.includes('/login') || repo.includes('/trending')) continue;
-    seen.add(repo);
-
-    // Try to find description near this position
-    const excerpt = body.slice(m.index, m.index + 600);
-    const descM = excerpt.match(/<p[^>]*>\s*([^<]{10,200})\s*<\/p>/);
-    const starsM = body.slice(m.index, m.index + 1200).match(/(\d[\d,]*)\s*stars today/i);
-    const desc = descM ? descM[1].trim() : '';
-    const stars = starsM ? starsM[1].replace(/,/g, '') : '';
-
-    items.push({
-      title: repo,
-      url: `https://github.com/${repo}`,
-      description: [desc, stars ? `⭐ ${stars} stars today` : ''].filter(Boolean).join(' · '),
-    });
-  }
-  return items.slice(0, 20);
-}
-
-// ── Dispatcher ─────────────────────────────────────────────────────────────
-async function fetchSource(source) {
-  let config;
-  try {
-    config = typeof source.config === 'string' ? JSON.parse(source.config) : (source.config || {});
-  } catch {
-    config = {};
-  }
-
-  switch (source.type) {
-    case 'rss':
-    case 'atom':
-    case 'digest_feed':
-      return fetchRss(config.url);
-
-    case 'hackernews':
-      return fetchHackerNews(config);
-
-    case 'reddit':
-      return fetchReddit(config);
-
-    case 'github_trending':
-      return fetchGitHubTrending(config);
-
-    case 'twitter_feed':
-      return fetchTwitterFeed(config);
-
-    case 'twitter_list':
-      return fetchTwitterList(config);
-
-    default:
-      warn(`暂不支持的 Source 类型: ${source.type} (${source.name})，已跳过`);
-      return [];
-  }
-}
-
 // ── Load sources from ClawFeed DB ──────────────────────────────────────────
 // Import better-sqlite3 to read directly from DB (avoids auth complexity)
 async function loadSources() {
@@ -582,7 +345,8 @@ async function loadSources() {
     }
     const db = new Database(dbPath, { readonly: true });
     const sources = db.prepare(
-      'SELECT id, name, type, config, is_active, is_public FROM sources WHERE is_active = 1 AND is_deleted = 0'
+      `SELECT id, name, type, config, is_active, is_public, etag, last_modified, collector_state, next_fetch_at, broken_at, consecutive_failures
+       FROM sources WHERE is_active = 1 AND is_deleted = 0`
     ).all();
     db.close();
     return sources;
@@ -675,38 +439,144 @@ function isItemPushedBefore(history, item) {
   return false;
 }
 
-// ── DeepSeek Digest Generator ──────────────────────────────────────────────
-function callDeepSeek(messages, maxTokens = 4096) {
-  const payload = JSON.stringify({
-    model: 'deepseek-ai/DeepSeek-V3',
-    messages,
-    temperature: 0.7,
-    max_tokens: maxTokens,
-  });
+// ── Collector (sources → raw_items) ───────────────────────────────────────
+function openItemsDb() {
+  if (!existsSync(DB_PATH)) return null;
+  return getDb(DB_PATH);
+}
 
-  return new Promise((resolve, reject) => {
-    const req = https.request({
-      hostname: 'api.siliconflow.cn',
-      path: '/v1/chat/completions',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${DEEPSEEK_API_KEY}`,
-        'Content-Length': Buffer.byteLength(payload),
-      },
-    }, (res) => {
-      let data = '';
-      res.on('data', c => data += c);
-      res.on('end', () => {
-        try { resolve(JSON.parse(data)); }
-        catch { reject(new Error(`DeepSeek 响应解析失败: ${data.slice(0, 300)}`)); }
-      });
-    });
-    req.setTimeout(120000, () => { req.destroy(); reject(new Error('DeepSeek 请求超时（120s）')); });
-    req.on('error', reject);
-    req.write(payload);
-    req.end();
+function parseCollectorState(source) {
+  try { return source.collector_state ? JSON.parse(source.collector_state) : undefined; } catch { return undefined; }
+}
+
+function sourceFilters(source) {
+  try { return JSON.parse(source.config || '{}').filters; } catch { return undefined; }
+}
+
+// SQLite datetime('now') text (UTC) → ms
+const sqlTimeMs = (t) => new Date(t.replace(' ', 'T') + 'Z').getTime();
+
+// Broken sources and sources still in their backoff window are skipped (unless --ignore-backoff)
+function partitionDueSources(sources) {
+  if (IGNORE_BACKOFF) return { due: sources, broken: [], backingOff: [] };
+  const now = Date.now();
+  const broken = sources.filter(s => s.broken_at);
+  const backingOff = sources.filter(s => !s.broken_at && s.next_fetch_at && sqlTimeMs(s.next_fetch_at) > now);
+  const skipped = new Set([...broken, ...backingOff]);
+  return { due: sources.filter(s => !skipped.has(s)), broken, backingOff };
+}
+
+// Sources run FETCH_CONCURRENCY at a time; hostLimiter keeps each host within its own budget.
+// Every attempt is recorded in source_fetch_attempts and drives the source's backoff.
+async function collectSources(db, sources) {
+  let fetched = 0;
+  let inserted = 0;
+  let failed = 0;
+  let notModified = 0;
+  await mapWithConcurrency(sources, FETCH_CONCURRENCY, async (source) => {
+    const label = `  ${source.name} (${source.type})`;
+    const started = Date.now();
+    // 条件请求：带上次的 ETag / Last-Modified，304 表示自上次采集以来没有新内容
+    const cache = { etag: source.etag || null, lastModified: source.last_modified || null, state: parseCollectorState(source) };
+    try {
+      const items = await fetchSource(source, cache);
+      const latencyMs = Date.now() - started;
+      if (cache.notModified) {
+        recordFetchAttempt(db, source.id, { status: 'not_modified', latencyMs, ...cache });
+        notModified++;
+        console.log(`${label} ✓ 未变化 (304, ${latencyMs}ms)`);
+        return;
+      }
+      // config.filters (src/filters.mjs) drop items before they reach raw_items and pre-dedup
+      const { kept, dropped } = applySourceFilters(items, sourceFilters(source));
+      const added = insertRawItems(db, source.id, kept);
+      recordFetchAttempt(db, source.id, { status: 'ok', itemCount: kept.length, newCount: added, latencyMs, ...cache });
+      fetched += kept.length;
+      inserted += added;
+      console.log(`${label} ✓ ${kept.length} 条（${dropped ? `过滤 ${dropped}，` : ''}新增 ${added}，${latencyMs}ms）`);
+    } catch (e) {
+      failed++;
+      recordFetchAttempt(db, source.id, { status: 'error', latencyMs: Date.now() - started, error: e.message });
+      const failures = (source.consecutive_failures || 0) + 1;
+      const note = failures >= SOURCE_BROKEN_AFTER
+        ? `连续失败 ${failures} 次，已标记为失效`
+        : `连续失败 ${failures} 次，${sourceBackoffMinutes(failures)} 分钟后重试`;
+      console.log(`${label} ✗ 失败: ${e.message}（${note}）`);
+    }
   });
+  return { fetched, inserted, failed, notModified };
+}
+
+// Push-history dedup (history = null to skip) + stale filter; the same story from several sources is left
+// for clusterStories to merge
+function preDedupItems(allItems, history) {
+  const dedupedItems = [];
+  let historySkipped = 0;
+  let staleSkipped = 0;
+  const now = Date.now();
+  const maxAgeMs = MAX_ARTICLE_AGE_HOURS * 3600 * 1000;
+  for (const item of allItems) {
+    if (item.pubDate) {
+      const pubTime = new Date(item.pubDate).getTime();
+      if (!isNaN(pubTime) && (now - pubTime) > maxAgeMs) {
+        staleSkipped++;
+        continue;
+      }
+    }
+    if (history && isItemPushedBefore(history, item)) {
+      historySkipped++;
+      continue;
+    }
+    dedupedItems.push(item);
+  }
+  if (historySkipped > 0 || staleSkipped > 0) {
+    log(`预去重: ${allItems.length} → ${dedupedItems.length} 条（历史去重 ${historySkipped}, 过期过滤 ${staleSkipped}）`);
+  }
+  return dedupedItems;
+}
+
+// Items → stories (src/clusters.mjs); each cluster is led by its first item
+function clusterStories(items) {
+  const clusters = clusterItems(items);
+  if (clusters.length < items.length) {
+    log(`事件聚类: ${items.length} 条 → ${clusters.length} 个事件（${items.length - clusters.length} 条并入同一事件的其他来源）`);
+  }
+  return clusters;
+}
+
+// Sources that carried a story, one per source and URL: [{ source, url }]
+function clusterSources(cluster) {
+  const sources = new Map();
+  for (const i of cluster.items) {
+    if (i.url) sources.set(`${i._sourceName} ${i.url}`, { source: i._sourceName || '', url: i.url });
+  }
+  return [...sources.values()];
+}
+
+// raw_items row → the item shape generateDigest expects; fetcher extras live in the metadata JSON
+function rawItemToDigestItem(row) {
+  let extra = {};
+  try { extra = JSON.parse(row.metadata || '{}'); } catch { /* keep the row without extras */ }
+  return {
+    title: row.title,
+    url: row.url,
+    description: row.content,
+    pubDate: row.published_at ? row.published_at.replace(' ', 'T') + 'Z' : '',
+    author: row.author,
+    comments: Array.isArray(extra.comments) ? extra.comments : [],
+    canonicalUrl: extra.canonicalUrl || '',
+    _rawItemId: row.id,
+    _sourceId: row.source_id,
+    _sourceName: row.source_name,
+    _sourceType: row.source_type,
+  };
+}
+
+// Subscription weights: heavier sources first (stable within a weight), each item tagged with its weight
+function rankByWeight(items, weights) {
+  return items
+    .map(item => ({ ...item, _weight: weights[item._sourceId] ?? 1 }))
+    .sort((a, b) => b._weight - a._weight);
 }
 
 // ── Title similarity utilities (shared by dedup + history check) ───────────
@@ -799,6 +669,11 @@ function deduplicateItems(items) {
       return (u.hostname + u.pathname).replace(/\/+$/, '').toLowerCase();
     } catch { return url?.toLowerCase() || ''; }
   };
+  // The item kept takes over the sources of the one it replaces or drops
+  const absorb = (kept, dropped) => {
+    const sources = new Map([...(kept.sources || []), ...(dropped.sources || [])].map(s => [`${s.source} ${s.url}`, s]));
+    if (sources.size) kept.sources = [...sources.values()];
+  };
 
   for (const item of items) {
     const normUrl = normalizeUrl(item.url);
@@ -808,9 +683,12 @@ function deduplicateItems(items) {
       const existing = seen.get(normUrl);
       // Keep the one with higher category priority (重要动态 > 精选资讯)
       if (item.category === '重要动态' && existing.category !== '重要动态') {
+        absorb(item, existing);
         seen.set(normUrl, item);
         const idx = result.indexOf(existing);
         if (idx !== -1) result[idx] = item;
+      } else {
+        absorb(existing, item);
       }
       continue;
     }
@@ -820,10 +698,13 @@ function deduplicateItems(items) {
     for (const [existUrl, existItem] of seen) {
       if (titlesAreSimilar(item.title, existItem.title)) {
         if (item.category === '重要动态' && existItem.category !== '重要动态') {
+          absorb(item, existItem);
           seen.delete(existUrl);
           const idx = result.indexOf(existItem);
           if (idx !== -1) result[idx] = item;
           seen.set(normUrl, item);
+        } else {
+          absorb(existItem, item);
         }
         isDup = true;
         break;
@@ -841,7 +722,8 @@ function deduplicateItems(items) {
   return result;
 }
 
-async function generateDigest(allItems, digestType) {
+async function generateDigest(clusters, digestType) {
+  const allItems = clusters.flatMap(c => c.items);
   const TYPE_NAMES = { '4h': '4小时简报', daily: '日报', weekly: '周报', monthly: '月报' };
   const now = new Date();
   const dateStr = now.toLocaleString('zh-CN', {
@@ -850,10 +732,20 @@ async function generateDigest(allItems, digestType) {
     hour: '2-digit', minute: '2-digit',
   });
 
-  const itemLines = allItems.map((item, i) => {
-    const parts = [`${i + 1}. [${item._sourceName}] ${item.title || '(无标题)'}`];
+  // One numbered entry per story: its lead item, then the other sources that carried it
+  const itemLines = clusters.map(({ lead: item, items }, i) => {
+    const weight = Math.max(...items.map(m => m._weight ?? 1));
+    const priority = weight > 1 ? '（优先）' : weight < 1 ? '（降权）' : '';
+    const parts = [`${i + 1}. [${item._sourceName}]${priority} ${item.title || '(无标题)'}`];
     if (item.url) parts.push(`   URL: ${item.url}`);
     if (item.description) parts.push(`   摘要: ${item.description.slice(0, 200)}`);
+    // HN discussion often says more than the link itself
+    if (item.comments?.length) parts.push(`   热门评论: ${item.comments.map(c => c.text.slice(0, 200)).join(' ｜ ')}`);
+    const others = items.slice(1);
+    if (others.length) {
+      parts.push('   同一事件的其他来源:');
+      for (const o of others) parts.push(`   - [${o._sourceName}] ${o.title || '(无标题)'} ${o.url || ''}`.trimEnd());
+    }
     return parts.join('\n');
   }).join('\n\n');
 
@@ -875,22 +767,20 @@ async function generateDigest(allItems, digestType) {
 4. URL 必须完整且来自输入，不可编造或省略
 5. 全部中文输出。去除广告、营销内容
 6. **严格去重**（最重要的规则）：
-   - 同一事件即使来自不同信息源也只保留一条，选择信息最丰富的来源
-   - 同一事件的不同角度/反应也算重复。例如："特朗普禁用Anthropic"和"Anthropic拒绝军方要求"是同一事件链，只保留一条综合报道
+   - 输入已按事件聚类：每个编号是一个事件，"同一事件的其他来源"列出了报道同一事件的其他信息源。每个编号最多输出一条，url 从该编号下的链接中选择信息最丰富的一个
+   - 不同编号若属于同一事件链（同一事件的不同角度/反应），也只保留一条综合报道。例如："特朗普禁用Anthropic"和"Anthropic拒绝军方要求"是同一事件链
    - 判断标准：涉及相同公司+相同事件/话题链（如同一笔融资、同一个政策及其反应、同一产品发布及其评测）即为重复
    - 合并同一事件链的多条来源，在一条 summary 中完整呈现事件全貌
 7. summary 中的引号必须使用中文引号（「」或『』），严禁使用英文双引号（"），避免 JSON 格式错误
-8. 只输出 JSON 数组，不加 markdown 代码块，不加任何前缀后缀说明文字`;
+8. 只输出 JSON 数组，不加 markdown 代码块，不加任何前缀后缀说明文字${allItems.some(i => i._weight && i._weight !== 1) ? `
+9. 来源后标注（优先）的条目是读者特别关注的来源，价值相当时优先入选；标注（降权）的只在确实重要时入选` : ''}`;
 
-  const userPrompt = `以下是从 ${[...new Set(allItems.map(i => i._sourceName))].join('、')} 采集的 ${allItems.length} 条内容，请生成${TYPE_NAMES[digestType]}的 JSON 数组：\n\n${itemLines}`;
+  const userPrompt = `以下是从 ${[...new Set(allItems.map(i => i._sourceName))].join('、')} 采集的 ${allItems.length} 条内容（已归并为 ${clusters.length} 个事件），请生成${TYPE_NAMES[digestType]}的 JSON 数组：\n\n${itemLines}`;
 
-  const result = await callDeepSeek([
+  const rawContent = await llm.chat('digest', [
     { role: 'system', content: systemPrompt },
     { role: 'user', content: userPrompt },
-  ], 6000);
-
-  const rawContent = result.choices?.[0]?.message?.content?.trim();
-  if (!rawContent) throw new Error(result.error?.message || result.error?.msg || 'DeepSeek 返回空内容');
+  ], { maxTokens: 6000 });
 
   // Parse structured JSON items — try multiple cleanup strategies
   let structuredItems = null;
@@ -949,9 +839,23 @@ async function generateDigest(allItems, digestType) {
     return { content: rawContent, metadata: {} };
   }
 
+  // Each story keeps every source its cluster merged (stored as digest_items.sources_json)
+  const clusterByUrl = new Map(clusters.flatMap(c => c.urls.map(u => [u, c])));
+  for (const item of structuredItems) {
+    const cluster = storyUrls(item).map(u => clusterByUrl.get(u)).find(Boolean);
+    if (cluster) item.sources = clusterSources(cluster);
+  }
+
   // Deduplicate items by URL and similar titles
   structuredItems = deduplicateItems(structuredItems);
 
+  // Link each story to the raw item it was written from (stored as digest_items.raw_item_id)
+  const rawItemIds = new Map(allItems.filter(i => i._rawItemId && i.url).map(i => [normalizeUrlForHash(i.url), i._rawItemId]));
+  for (const item of structuredItems) {
+    const rawItemId = rawItemIds.get(normalizeUrlForHash(item.url));
+    if (rawItemId) item.raw_item_id = rawItemId;
+  }
+
   // Build markdown from structured items (for web display)
   const hotItems = structuredItems.filter(i => i.category === '重要动态');
   const otherItems = structuredItems.filter(i => i.category !== '重要动态');
@@ -987,13 +891,33 @@ const SKIP_ARTICLE_DOMAINS = new Set([
   'imgur.com', 'giphy.com',
 ]);
 
+// YouTube videos are the exception: they are summarized from their transcript when captions exist
 const shouldFetchArticle = (url) => {
+  if (youtubeVideoId(url) || arxivId(url)) return true;
   try {
     const host = new URL(url).hostname.replace(/^www\./, '');
     return !SKIP_ARTICLE_DOMAINS.has(host);
   } catch { return false; }
 };
 
+async function fetchVideoTranscript(url, maxChars = 12000) {
+  try {
+    return await fetchYouTubeTranscript(url, { maxChars });
+  } catch {
+    return '';
+  }
+}
+
+// arXiv abs/pdf pages: the abstract from the API (already on the item when it was collected this run)
+async function fetchPaperAbstract(url, item) {
+  if (item?.abstract) return item.abstract;
+  try {
+    return await fetchArxivAbstract(url);
+  } catch {
+    return '';
+  }
+}
+
 async function fetchArticleText(url, maxChars = 12000) {
   try {
     const { body } = await httpFetch(url, { timeout: 15000 });
@@ -1044,10 +968,12 @@ async function fetchArticleText(url, maxChars = 12000) {
   }
 }
 
-async function summarizeArticle(title, url, sourceName, articleText) {
+const CONTENT_LABELS = { article: '文章内容', video: '视频字幕', paper: '论文摘要' };
+
+async function summarizeArticle(title, url, sourceName, articleText, { kind = 'article' } = {}) {
   if (!articleText || articleText.trim().length < 150) return null;
 
-  const result = await callDeepSeek([
+  return llm.chat('deep', [
     {
       role: 'system',
       content:
@@ -1059,11 +985,12 @@ async function summarizeArticle(title, url, sourceName, articleText) {
     },
     {
       role: 'user',
-      content: `来源: ${sourceName}\n标题: ${title}\n链接: ${url}\n\n文章内容:\n${articleText}`,
+      content: `来源: ${sourceName}\n标题: ${title}\n链接: ${url}\n\n${CONTENT_LABELS[kind]}:\n${articleText}`,
     },
-  ], 1024);
-
-  return result.choices?.[0]?.message?.content?.trim() || null;
+  ], { maxTokens: 1024 }).catch(e => {
+    warn(`深度摘要生成失败（${url}）: ${e.message}`);
+    return null;
+  });
 }
 
 async function generateDeepSummaries(digestContent, allItems) {
@@ -1091,9 +1018,11 @@ async function generateDeepSummaries(digestContent, allItems) {
 
   // Fetch all articles concurrently
   const fetchResults = await Promise.allSettled(
-    digestUrls.map(url =>
-      fetchArticleText(url).then(text => ({ url, text }))
-    )
+    digestUrls.map(url => {
+      if (youtubeVideoId(url)) return fetchVideoTranscript(url).then(text => ({ url, text, kind: 'video' }));
+      if (arxivId(url)) return fetchPaperAbstract(url, urlToItem.get(url)).then(text => ({ url, text, kind: 'paper' }));
+      return fetchArticleText(url).then(text => ({ url, text, kind: 'article' }));
+    })
   );
 
   // Summarize sequentially (avoid rate limits)
@@ -1101,18 +1030,18 @@ async function generateDeepSummaries(digestContent, allItems) {
   const summaries = [];
   for (const result of fetchResults) {
     if (result.status !== 'fulfilled') continue;
-    const { url, text } = result.value;
+    const { url, text, kind } = result.value;
     const item = urlToItem.get(url);
     const title = item?.title || url;
     const sourceName = item?._sourceName || new URL(url).hostname.replace(/^www\./, '');
 
     process.stdout.write(`  📄 ${title.slice(0, 55).padEnd(55)} ... `);
-    const summary = await summarizeArticle(title, url, sourceName, text);
+    const summary = await summarizeArticle(title, url, sourceName, text, { kind });
     if (summary) {
       summaries.push({ title, url, sourceName, summary });
       console.log('✓');
     } else {
-      console.log('✗ 无法获取原文');
+      console.log({ video: '✗ 无可用字幕', paper: '✗ 无法获取论文摘要' }[kind] || '✗ 无法获取原文');
     }
   }
 
@@ -1122,7 +1051,7 @@ async function generateDeepSummaries(digestContent, allItems) {
     '═'.repeat(50),
     '',
     '📖 深度摘要',
-    `（共 ${summaries.length} 篇，由 DeepSeek 根据原文生成）`,
+    `（共 ${summaries.length} 篇，由 AI 根据原文生成）`,
     '',
     summaries.map((s, i) =>
       `### ${i + 1}. ${s.title}\n> **来源**: ${s.sourceName} · [原文链接](${s.url})\n\n${s.summary}`
@@ -1160,51 +1089,143 @@ function tryRescueJsonItems(text) {
   return null;
 }
 
+// ── Per-user digests (user_subscriptions → shared digest per subscription set) ──
+async function generateUserDigests(db, since) {
+  let users = listSubscribedUsers(db);
+  if (ONLY_USER_ID !== null) users = users.filter(u => u.id === ONLY_USER_ID);
+  if (users.length === 0) {
+    log(ONLY_USER_ID !== null ? `❌ 用户 ${ONLY_USER_ID} 不存在或没有订阅任何信息源` : '❌ 没有找到有订阅的用户');
+    process.exit(ONLY_USER_ID !== null ? 1 : 0);
+  }
+
+  // Group users by the hash of their active source-id set
+  const groups = new Map(); // hash → { sourceIds, weights, users }
+  for (const user of users) {
+    const sourceIds = listActiveSubscriptionSourceIds(db, user.id);
+    if (sourceIds.length === 0) continue;
+    const weights = listSubscriptionWeights(db, user.id);
+    const hash = subscriptionHash(sourceIds, weights);
+    if (!groups.has(hash)) groups.set(hash, { sourceIds, weights, users: [] });
+    groups.get(hash).users.push(user);
+  }
+  log(`个性化模式: ${users.length} 位用户，${groups.size} 种订阅组合`);
+
+  let generated = 0;
+  let reused = 0;
+  let served = 0;
+  for (const [hash, group] of groups) {
+    const userIds = group.users.map(u => u.id);
+    const names = group.users.slice(0, 3).map(u => u.name || u.slug || u.id).join('、');
+    const label = `[${hash.slice(0, 8)}] ${names}${group.users.length > 3 ? ` 等 ${group.users.length} 人` : ''}`;
+
+    // A digest another run (e.g. a concurrent --user run) made for this set while this one was running; an earlier
+    // run's digest is never reused, since it was written before the items this run collected
+    const cached = NO_CACHE ? null : findDigestBySubscriptionHash(db, { hash, type: DIGEST_TYPE, since: RUN_STARTED_AT });
+    if (cached) {
+      addDigestRecipients(db, cached.id, userIds);
+      reused++;
+      served += userIds.length;
+      log(`  ♻️  ${label}: 复用本次运行期间已生成的 Digest id = ${cached.id}`);
+      continue;
+    }
+
+    // Ranking before clustering also makes a heavier source lead when several sources carry the same story
+    const items = preDedupItems(rankByWeight(listRawItems(db, { since, sourceIds: group.sourceIds }).map(rawItemToDigestItem), group.weights), null);
+    if (items.length === 0) {
+      log(`  跳过 ${label}: ${group.sourceIds.length} 个订阅源在时间窗口内没有新内容`);
+      continue;
+    }
+
+    log(`\n👥 ${label}: ${group.sourceIds.length} 个订阅源，${items.length} 条候选，正在调用 LLM（${llm.modelFor('digest')}）...`);
+    try {
+      let { content, metadata } = await generateDigest(clusterStories(items), DIGEST_TYPE);
+      if (DEEP_MODE) {
+        const deepSection = await generateDeepSummaries(content, items);
+        if (deepSection) content = content + '\n\n' + deepSection;
+      }
+      const postRes = await localPost(
+        '/api/digests',
+        { type: DIGEST_TYPE, content, metadata: JSON.stringify(metadata), subscription_hash: hash, user_ids: userIds },
+        { Authorization: `Bearer ${API_KEY}` }
+      );
+      if (postRes.status === 201) {
+        generated++;
+        served += userIds.length;
+        log(`  ✅ 已保存 id = ${postRes.data.id}（${postRes.data.items} 条，${userIds.length} 位用户）`);
+      } else {
+        warn(`${label} 的 Digest 保存失败: ${JSON.stringify(postRes)}`);
+      }
+    } catch (e) {
+      warn(`${label} 的 Digest 生成失败: ${e.message}`);
+    }
+  }
+
+  log(`\n✅ 个性化 Digest 完成: 新生成 ${generated} 份，复用 ${reused} 份，覆盖 ${served}/${users.length} 位用户`);
+}
+
 // ── Main ───────────────────────────────────────────────────────────────────
 async function main() {
   // Pre-flight checks
-  if (!API_KEY) {
+  if (!COLLECT_ONLY && !API_KEY) {
     console.error('❌ 请在 .env 中设置 API_KEY');
     process.exit(1);
   }
-  if (!DEEPSEEK_API_KEY) {
-    console.error('❌ 请在 .env 中设置 DEEPSEEK_API_KEY');
+  if (!COLLECT_ONLY && !llm.configured) {
+    console.error(`❌ 请在 .env 中设置 LLM_API_KEY（或 DEEPSEEK_API_KEY），当前 LLM_PROVIDER=${llm.provider}`);
     process.exit(1);
   }
 
-  log(`开始生成 ${DIGEST_TYPE} Digest...`);
-
-  // 1. Load sources
-  log('正在加载信息源...');
-  const sources = await loadSources();
-  if (sources.length === 0) {
-    log('❌ 没有找到活跃的信息源。请先在 Web 界面添加 Source（RSS/HN/Reddit 等）。');
-    log(`   打开浏览器访问 http://127.0.0.1:${PORT}`);
-    process.exit(0);
+  const itemsDb = openItemsDb();
+  if (!itemsDb) {
+    log('❌ 数据库不存在，请先启动 ClawFeed 服务器初始化数据库');
+    process.exit(1);
   }
-  log(`找到 ${sources.length} 个活跃信息源: ${sources.map(s => s.name).join(', ')}`);
 
-  // 2. Fetch content from each source
-  log('\n开始采集内容...');
-  const allItems = [];
-  for (const source of sources) {
-    process.stdout.write(`  采集: ${source.name} (${source.type}) ... `);
-    try {
-      const items = await fetchSource(source);
-      console.log(`✓ ${items.length} 条`);
-      for (const item of items) {
-        allItems.push({ ...item, _sourceName: source.name, _sourceType: source.type });
-      }
-    } catch (e) {
-      console.log(`✗ 失败: ${e.message}`);
+  // 1-2. Collect: load sources, fetch each one, persist into raw_items
+  if (!SKIP_COLLECT) {
+    log('正在加载信息源...');
+    const sources = await loadSources();
+    if (sources.length === 0) {
+      log('❌ 没有找到活跃的信息源。请先在 Web 界面添加 Source（RSS/HN/Reddit 等）。');
+      log(`   打开浏览器访问 http://127.0.0.1:${PORT}`);
+      process.exit(0);
+    }
+    log(`找到 ${sources.length} 个活跃信息源: ${sources.map(s => s.name).join(', ')}`);
+    const { due, broken, backingOff } = partitionDueSources(sources);
+    if (broken.length) warn(`跳过 ${broken.length} 个已失效的信息源（连续失败 ${SOURCE_BROKEN_AFTER} 次）: ${broken.map(s => s.name).join(', ')}`);
+    if (backingOff.length) log(`跳过 ${backingOff.length} 个退避中的信息源: ${backingOff.map(s => `${s.name}（${s.next_fetch_at} UTC 后重试）`).join(', ')}`);
+
+    log(`\n开始采集内容（并发 ${FETCH_CONCURRENCY}，每个域名默认并发 ${FETCH_HOST_CONCURRENCY}）...`);
+    const { fetched, inserted, failed, notModified } = await collectSources(itemsDb, due);
+    if (fetched === 0 && notModified === 0) {
+      warn('所有信息源采集均失败或无内容，请检查 Source 配置或网络连接。');
     }
+    log(`\n共采集到 ${fetched} 条内容，新增 ${inserted} 条写入 raw_items（未变化 ${notModified} 个，失败 ${failed} 个）`);
+
+    const cleaned = cleanOldRawItems(itemsDb, RAW_ITEMS_TTL_DAYS).changes;
+    if (cleaned > 0) log(`已清理 ${cleaned} 条超过 ${RAW_ITEMS_TTL_DAYS} 天的 raw_items`);
+    cleanOldFetchAttempts(itemsDb, RAW_ITEMS_TTL_DAYS);
+  }
+
+  if (COLLECT_ONLY) {
+    log('✅ 采集完成（--collect-only，跳过 Digest 生成）');
+    return;
   }
 
+  log(`开始生成 ${DIGEST_TYPE} Digest...`);
+
+  // 2.4. Read collected items within the digest window
+  const since = new Date(Date.now() - DIGEST_WINDOW_HOURS * 3600 * 1000).toISOString().slice(0, 19).replace('T', ' ');
+  if (PER_USER) {
+    await generateUserDigests(itemsDb, since);
+    return;
+  }
+  const allItems = listRawItems(itemsDb, { since }).map(rawItemToDigestItem);
   if (allItems.length === 0) {
-    log('❌ 所有信息源采集均失败，请检查 Source 配置或网络连接。');
+    log(`❌ 最近 ${DIGEST_WINDOW_HOURS} 小时内没有采集到的内容，请检查 Source 配置或先运行采集（--collect-only）。`);
     process.exit(1);
   }
-  log(`\n共采集到 ${allItems.length} 条内容`);
+  log(`从 raw_items 读取最近 ${DIGEST_WINDOW_HOURS} 小时内的 ${allItems.length} 条内容`);
 
   // 2.5. Load push history and filter out already-pushed items
   const pushDb = await getPushDbAsync();
@@ -1215,34 +1236,8 @@ async function main() {
     cleanOldPushedItems(pushDb, 7);
   }
 
-  // 2.6. Pre-deduplicate raw items: same-batch URL dedup + history dedup + stale filter
-  const seenUrls = new Set();
-  const dedupedItems = [];
-  let historySkipped = 0;
-  let staleSkipped = 0;
-  const now = Date.now();
-  const maxAgeMs = MAX_ARTICLE_AGE_HOURS * 3600 * 1000;
-  for (const item of allItems) {
-    if (item.pubDate) {
-      const pubTime = new Date(item.pubDate).getTime();
-      if (!isNaN(pubTime) && (now - pubTime) > maxAgeMs) {
-        staleSkipped++;
-        continue;
-      }
-    }
-    const normUrl = item.url ? item.url.replace(/\/+$/, '').replace(/^https?:\/\/(www\.)?/, '').toLowerCase() : '';
-    if (normUrl && seenUrls.has(normUrl)) continue;
-    if (normUrl) seenUrls.add(normUrl);
-    if (pushDb && isItemPushedBefore(pushHistory, item)) {
-      historySkipped++;
-      continue;
-    }
-    dedupedItems.push(item);
-  }
-  const batchSkipped = allItems.length - dedupedItems.length - historySkipped - staleSkipped;
-  if (batchSkipped > 0 || historySkipped > 0 || staleSkipped > 0) {
-    log(`预去重: ${allItems.length} → ${dedupedItems.length} 条（批内去重 ${batchSkipped}, 历史去重 ${historySkipped}, 过期过滤 ${staleSkipped}）`);
-  }
+  // 2.6. Pre-deduplicate raw items: history dedup + stale filter
+  const dedupedItems = preDedupItems(allItems, pushDb ? pushHistory : null);
 
   if (dedupedItems.length === 0) {
     log('⚠️  所有采集内容均已在近期推送过，本次跳过。');
@@ -1250,12 +1245,18 @@ async function main() {
     process.exit(0);
   }
 
-  // 3. Generate standard digest via DeepSeek
-  log('\n正在调用 DeepSeek 生成摘要（可能需要 20-60 秒）...');
-  let { content, metadata } = await generateDigest(dedupedItems, DIGEST_TYPE);
+  // 3. Generate standard digest via the configured LLM provider
+  log(`\n正在调用 LLM（${llm.provider} / ${llm.modelFor('digest')}）生成摘要（可能需要 20-60 秒）...`);
+  let content, metadata;
+  try {
+    ({ content, metadata } = await generateDigest(clusterStories(dedupedItems), DIGEST_TYPE));
+  } catch (e) {
+    warn(`Digest 生成失败，采集内容已保存在 raw_items，可使用 --skip-collect 重试（无需重新采集）`);
+    throw e;
+  }
   log(`✓ 摘要生成完成（${content.length} 字，${metadata.items?.length ?? 0} 条结构化条目）`);
 
-  // 3.5. Post-generation dedup: filter DeepSeek output against push history
+  // 3.5. Post-generation dedup: filter LLM output against push history
   if (pushDb && metadata.items?.length > 0) {
     const beforeCount = metadata.items.length;
     metadata.items = metadata.items.filter(item => !isItemPushedBefore(pushHistory, item));
@@ -1282,7 +1283,7 @@ async function main() {
   }
 
   if (metadata.items?.length === 0) {
-    log('⚠️  DeepSeek 输出的所有条目均已在近期推送过，本次跳过。');
+    log('⚠️  LLM 输出的所有条目均已在近期推送过，本次跳过。');
     if (pushDb) pushDb.close();
     process.exit(0);
   }
@@ -1307,7 +1308,7 @@ async function main() {
   );
 
   if (postRes.status === 201) {
-    log(`✅ Digest 保存成功！id = ${postRes.data.id}`);
+    log(`✅ Digest 保存成功！id = ${postRes.data.id}（${postRes.data.items} 条）`);
     log(`   查看: http://127.0.0.1:${PORT}`);
 
     // Push to Feishu group bot
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * 数据库迁移
+ *
+ * 用法:
+ *   node scripts/migrate.mjs [up]                  # 执行所有未执行的迁移（服务启动时也会自动执行）
+ *   node scripts/migrate.mjs status                # 列出每个迁移及执行时间
+ *   node scripts/migrate.mjs down [--steps N]      # 用 NNN_name.down.sql 回滚最近 N 个迁移（默认 1）
+ *   任意命令加 --dry-run 只显示将要执行的迁移，不修改数据库；--db <path> 指定数据库（默认 DIGEST_DB 或 data/digest.db）
+ *
+ * 迁移文件为 migrations/NNN_name.sql，按编号顺序各执行一次，每个迁移在一个事务中执行并记录到 schema_migrations；
+ * 失败时该迁移整体回滚，命令以非零状态退出。
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { migrate, migrationStatus, rollback } from '../src/migrate.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = join(__dirname, '..');
+
+// Load .env
+const envPath = join(ROOT, '.env');
+const env = {};
+if (existsSync(envPath)) {
+  for (const line of readFileSync(envPath, 'utf8').split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+    const eq = trimmed.indexOf('=');
+    if (eq > 0) env[trimmed.slice(0, eq).trim()] = trimmed.slice(eq + 1).trim();
+  }
+}
+
+const args = process.argv.slice(2);
+const flag = (name) => {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : undefined;
+};
+const command = args.find((a, i) => !a.startsWith('--') && !['--steps', '--db'].includes(args[i - 1])) || 'up';
+const dryRun = args.includes('--dry-run');
+const dbPath = flag('--db') || process.env.DIGEST_DB || env.DIGEST_DB || join(ROOT, 'data', 'digest.db');
+
+if (!['up', 'status', 'down'].includes(command)) {
+  console.error(`❌ 未知命令: ${command}（可用: up, status, down）`);
+  process.exit(1);
+}
+const steps = Number(flag('--steps') ?? 1);
+if (command === 'down' && (!Number.isInteger(steps) || steps < 1)) {
+  console.error('❌ --steps 必须是正整数');
+  process.exit(1);
+}
+
+const { default: Database } = await import('better-sqlite3');
+// status and dry runs never write, so they must not create a missing database either
+const readOnly = command === 'status' || dryRun;
+if (readOnly && !existsSync(dbPath)) {
+  console.error(`❌ 数据库不存在: ${dbPath}`);
+  process.exit(1);
+}
+const db = new Database(dbPath, readOnly ? { readonly: true } : {});
+if (!readOnly) db.pragma('foreign_keys = ON');
+
+try {
+  if (command === 'status') {
+    const rows = migrationStatus(db);
+    for (const m of rows) {
+      console.log(`${m.appliedAt ? '✅' : '⏳'} ${m.name.padEnd(36)} ${m.appliedAt ? `${m.appliedAt} UTC` : '未执行'}${m.hasDown ? '' : '（无 down 迁移）'}`);
+    }
+    const pending = rows.filter(m => !m.appliedAt).length;
+    console.log(`\n共 ${rows.length} 个迁移，${pending} 个未执行`);
+  } else if (command === 'up') {
+    const { applied, adopted } = migrate(db, { dryRun });
+    if (adopted) console.log(`${dryRun ? '将接管' : '已接管'}旧版数据库（无 schema_migrations 记录），已存在的表和字段会被跳过`);
+    if (!applied.length) console.log('✅ 没有待执行的迁移');
+    for (const name of applied) console.log(`${dryRun ? '将执行' : '✅ 已执行'}: ${name}`);
+  } else {
+    const { rolledBack } = rollback(db, { steps, dryRun });
+    if (!rolledBack.length) console.log('没有可回滚的迁移');
+    for (const name of rolledBack) console.log(`${dryRun ? '将回滚' : '↩️  已回滚'}: ${name}`);
+  }
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
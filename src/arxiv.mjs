@@ -0,0 +1,167 @@
+/**
+ * arXiv helpers: category/keyword source configs → export API queries, arXiv URLs → categories or
+ * paper IDs, and parsing of the API's Atom responses (full abstract, authors, PDF link, categories).
+ *
+ * The API is https://info.arxiv.org/help/api/ — no key, but it asks for one request every 3 seconds.
+ */
+
+import sax from 'sax';
+
+export const ARXIV_API = 'https://export.arxiv.org';
+export const ARXIV_ORIGIN = 'https://arxiv.org';
+
+const ARXIV_HOST = /^(?:(?:www|export|rss)\.)?arxiv\.org$/i;
+// New-style (2410.01234, optional version) and old-style (hep-th/9901001) identifiers
+const PAPER_ID = /^(\d{4}\.\d{4,5}|[a-z-]+(?:\.[A-Z]{2})?\/\d{7})(v\d+)?$/;
+const CATEGORY = /^[a-z-]+(?:\.[A-Za-z-]+)?$/;
+// Fielded search prefixes the API understands (ti:, au:, abs:, ...)
+const FIELD_PREFIX = /^(?:ti|au|abs|co|jr|cat|rn|id|all):/;
+
+const DESCRIPTION_MAX = 400;
+
+/** Config values may be an array or a comma-separated string. */
+const toList = (v) => (Array.isArray(v) ? v : String(v || '').split(',')).map(s => String(s).trim()).filter(Boolean);
+
+/**
+ * What an arXiv URL points at, or null for other URLs (and paths with malformed percent-encoding).
+ * /list/cs.CL/recent, /rss/cs.CL+cs.LG → categories; /abs/2410.01234v2, /pdf/..., /html/... → one paper
+ * @returns {{ kind: 'list', categories: string[] } | { kind: 'paper', id: string } | null}
+ */
+export function parseArxivUrl(url) {
+  let u;
+  try { u = new URL(url); } catch { return null; }
+  if (!ARXIV_HOST.test(u.hostname)) return null;
+  let segments;
+  try { segments = u.pathname.split('/').filter(Boolean).map(decodeURIComponent); } catch { return null; }
+  const [first = '', ...rest] = segments;
+  if (first === 'list' || first === 'rss' || first === 'atom') {
+    const categories = (rest[0] || '').split('+').filter(c => CATEGORY.test(c));
+    return categories.length ? { kind: 'list', categories } : null;
+  }
+  if (first === 'abs' || first === 'pdf' || first === 'html') {
+    const m = rest.join('/').replace(/\.pdf$/, '').match(PAPER_ID);
+    return m ? { kind: 'paper', id: m[1] } : null;
+  }
+  return null;
+}
+
+/** Version-less paper ID of an abs/pdf/html URL, else null. */
+export function arxivId(url) {
+  const ref = parseArxivUrl(url);
+  return ref?.kind === 'paper' ? ref.id : null;
+}
+
+function keywordTerm(keyword) {
+  if (FIELD_PREFIX.test(keyword)) return keyword;
+  return /\s/.test(keyword) ? `all:"${keyword.replace(/"/g, '')}"` : `all:${keyword}`;
+}
+
+/**
+ * API search_query for a source config: any of the categories AND any of the keywords.
+ * Keywords are phrases searched in all fields unless they carry their own prefix ("ti:agents").
+ * @param {{ categories?: string[]|string, keywords?: string[]|string }} config
+ * @returns {string} '' when the config has neither
+ */
+export function arxivSearchQuery({ categories, keywords } = {}) {
+  const groups = [
+    toList(categories).map(c => `cat:${c}`),
+    toList(keywords).map(keywordTerm),
+  ].filter(g => g.length).map(g => (g.length > 1 ? `(${g.join(' OR ')})` : g[0]));
+  return groups.join(' AND ');
+}
+
+/**
+ * Newest-first API query URL of a source config, or null without categories or keywords.
+ * @param {{ categories?: string[]|string, keywords?: string[]|string, limit?: number }} config
+ */
+export function arxivQueryUrl({ categories, keywords, limit = 20 } = {}, origin = ARXIV_API) {
+  const query = arxivSearchQuery({ categories, keywords });
+  if (!query) return null;
+  return `${origin}/api/query?search_query=${encodeURIComponent(query)}&sortBy=submittedDate&sortOrder=descending&max_results=${limit}`;
+}
+
+/** API URL returning a single paper. */
+export function arxivPaperUrl(id, origin = ARXIV_API) {
+  return `${origin}/api/query?id_list=${encodeURIComponent(id)}`;
+}
+
+/** The listing page of a source config's categories (for OPML htmlUrl), else null. */
+export function arxivPageUrl({ categories } = {}) {
+  const list = toList(categories);
+  return list.length ? `${ARXIV_ORIGIN}/list/${list.join('+')}/recent` : null;
+}
+
+const collapse = (s) => (s || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Papers in an API response, newest first as returned.
+ * The `description` is the abstract cut to the usual length; `abstract` keeps all of it for deep mode.
+ * @param {string} xml
+ * @returns {{ title: string, url: string, description: string, pubDate: string, updated: string, author: string,
+ *   authors: string[], guid: string, categories: string[], arxivId: string, pdfUrl: string, abstract: string,
+ *   primaryCategory: string, comment: string }[]}
+ * @throws when the API answers with an error entry (bad query syntax)
+ */
+export function parseArxivFeed(xml, { limit = Infinity } = {}) {
+  const parser = sax.parser(false, { lowercase: true });
+  const entries = [];
+  let entry = null;
+  let text = '';
+
+  parser.onerror = () => {
+    parser.error = null;
+    parser.resume();
+  };
+  parser.onopentag = ({ name, attributes: a }) => {
+    text = '';
+    if (name === 'entry') entry = { authors: [], categories: [], links: [] };
+    if (!entry) return;
+    if (name === 'link') entry.links.push({ href: a.href || '', rel: a.rel || 'alternate', title: a.title || '', type: a.type || '' });
+    else if (name === 'category' && a.term) entry.categories.push(a.term);
+    else if (name === 'arxiv:primary_category') entry.primaryCategory = a.term || '';
+  };
+  parser.ontext = (t) => { text += t; };
+  parser.oncdata = (t) => { text += t; };
+  parser.onclosetag = (name) => {
+    if (!entry) return;
+    switch (name) {
+      case 'entry': entries.push(entry); entry = null; break;
+      case 'id': entry.id = text.trim(); break;
+      case 'title': entry.title = collapse(text); break;
+      case 'summary': entry.summary = collapse(text); break;
+      case 'published': entry.published = text.trim(); break;
+      case 'updated': entry.updated = text.trim(); break;
+      case 'name': if (collapse(text)) entry.authors.push(collapse(text)); break;
+      case 'arxiv:comment': entry.comment = collapse(text); break;
+    }
+    text = '';
+  };
+  parser.write(xml).close();
+
+  const error = entries.find(e => /\/api\/errors/.test(e.id || ''));
+  if (error) throw new Error(`arXiv API error: ${error.summary || error.title}`);
+
+  return entries.slice(0, limit).map(e => {
+    const versioned = (e.id || '').replace(/^https?:\/\/arxiv\.org\/abs\//, '');
+    const id = versioned.replace(/v\d+$/, '');
+    const pdf = e.links.find(l => l.title === 'pdf' || l.type === 'application/pdf');
+    const authors = [...new Set(e.authors)];
+    return {
+      title: e.title || '',
+      url: `${ARXIV_ORIGIN}/abs/${id}`,
+      description: (e.summary || '').slice(0, DESCRIPTION_MAX),
+      pubDate: e.published || '',
+      updated: e.updated || '',
+      // Author lists on large collaborations run into the hundreds
+      author: authors.length > 5 ? `${authors.slice(0, 3).join(', ')} et al.` : authors.join(', '),
+      authors,
+      guid: versioned,
+      categories: [...new Set(e.categories)],
+      arxivId: id,
+      pdfUrl: pdf ? pdf.href.replace(/^http:/, 'https:') : `${ARXIV_ORIGIN}/pdf/${id}`,
+      abstract: e.summary || '',
+      primaryCategory: e.primaryCategory || e.categories[0] || '',
+      comment: e.comment || '',
+    };
+  });
+}
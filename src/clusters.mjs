@@ -0,0 +1,102 @@
+/**
+ * Story clustering: groups collected items that report the same story, so the digest LLM gets one entry per
+ * story (with every source that carried it) instead of a flat list it has to deduplicate itself.
+ *
+ * Two items are the same story when they share a story URL — the item URL or the canonical link it points to
+ * (the article a Mastodon/Bluesky post shares), normalized so tracking parameters, www./m. hosts, x.com vs
+ * twitter.com and arXiv/YouTube URL variants compare equal — or when their titles share most of their words.
+ * Titles are only compared with the first item of a cluster, so a chain of loosely similar titles cannot
+ * grow into one oversized cluster.
+ */
+import { arxivId } from './arxiv.mjs';
+import { youtubeVideoId } from './youtube.mjs';
+
+// Title similarity (Jaccard over title words) at which two items are the same story
+export const TITLE_SIMILARITY = 0.5;
+
+const TRACKING_PARAMS = /^(?:utm_\w+|fbclid|gclid|mc_\w+|igshid|ref_src|si|smid)$/i;
+// Generic names that only track on these hosts; elsewhere they often select content (WordPress ?s= is a search)
+const HOST_TRACKING_PARAMS = { 'x.com': /^(?:s|t|ref_url)$/, 'github.com': /^(?:ref|source)$/ };
+const HOST_ALIASES = { 'twitter.com': 'x.com', 'youtu.be': 'youtube.com' };
+const TITLE_STOPWORDS = new Set(['the', 'and', 'for', 'with', 'from', 'that', 'this', 'into', 'its', 'are', 'has', 'have', 'new', 'now', 'how', 'why', 'what', 'will', 'was', 'you', 'your', 'show', 'ask']);
+const CJK_RUN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+/gu;
+
+/**
+ * 'host/path?query' identifying the story a URL points to, or '' when it is not an http(s) URL.
+ * arXiv papers and YouTube videos reduce to their ID; other URLs lose the scheme, fragment, trailing slash,
+ * www./m./mobile. prefixes and tracking parameters (utm_*, fbclid, ... everywhere, ?s= only on x.com and the like),
+ * and keep the remaining parameters sorted.
+ */
+export function storyUrl(url) {
+  let u;
+  try { u = new URL(String(url || '').trim()); } catch { return ''; }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') return '';
+  const paper = arxivId(u.href);
+  if (paper) return `arxiv.org/abs/${paper}`;
+  const video = youtubeVideoId(u.href);
+  if (video) return `youtube.com/watch?v=${video}`;
+  const bareHost = u.hostname.toLowerCase().replace(/^(?:www|m|mobile)\./, '');
+  const host = HOST_ALIASES[bareHost] || bareHost;
+  const hostTracking = HOST_TRACKING_PARAMS[host];
+  const params = [...u.searchParams].filter(([k]) => !TRACKING_PARAMS.test(k) && !hostTracking?.test(k)).sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length ? `?${new URLSearchParams(params)}` : '';
+  return `${host}${u.pathname.replace(/\/+$/, '')}${query}`;
+}
+
+/** Story URLs of an item: its own URL and its canonical link, when it has one. */
+export function storyUrls(item) {
+  return [...new Set([item.url, item.canonicalUrl].map(storyUrl).filter(Boolean))];
+}
+
+/** Words of a title for comparing: Latin words of 3+ letters and numbers, minus common words; CJK as character pairs. */
+export function titleTokens(title) {
+  const s = String(title || '').toLowerCase();
+  const tokens = new Set();
+  for (const run of s.match(CJK_RUN) || []) {
+    const chars = [...run];
+    if (chars.length === 1) tokens.add(run);
+    for (let i = 0; i + 2 <= chars.length; i++) tokens.add(chars[i] + chars[i + 1]);
+  }
+  for (const raw of s.replace(CJK_RUN, ' ').split(/[^\p{L}\p{N}$%.]+/u)) {
+    const word = raw.replace(/^\.+|\.+$/g, '');
+    if ((word.length >= 3 || /\d/.test(word)) && !TITLE_STOPWORDS.has(word)) tokens.add(word);
+  }
+  return tokens;
+}
+
+/** Jaccard similarity of two token sets; 0 unless they share at least two tokens. */
+export function titleSimilarity(a, b) {
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  if (shared < 2) return 0;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Group items into stories, keeping input order: each cluster is led by its first item, so callers rank items
+ * (e.g. by subscription weight) before clustering to choose which source leads.
+ * @param {{ title?: string, url?: string, canonicalUrl?: string }[]} items
+ * @param {{ threshold?: number }} [options]
+ * @returns {{ lead: object, items: object[], urls: string[] }[]} urls are the story URLs of all its items
+ */
+export function clusterItems(items, { threshold = TITLE_SIMILARITY } = {}) {
+  const clusters = [];
+  const byUrl = new Map();
+  for (const item of items) {
+    const urls = storyUrls(item);
+    const tokens = titleTokens(item.title);
+    let cluster = urls.map(u => byUrl.get(u)).find(Boolean)
+      || clusters.find(c => titleSimilarity(tokens, c.tokens) >= threshold);
+    if (!cluster) {
+      cluster = { lead: item, items: [], urls: [], tokens };
+      clusters.push(cluster);
+    }
+    cluster.items.push(item);
+    for (const u of urls) {
+      if (byUrl.has(u)) continue;
+      byUrl.set(u, cluster);
+      cluster.urls.push(u);
+    }
+  }
+  return clusters.map(({ lead, items: members, urls }) => ({ lead, items: members, urls }));
+}
@@ -1,7 +1,10 @@
 import Database from 'better-sqlite3';
 import { readFileSync, existsSync } from 'fs';
+import { createHash } from 'crypto';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { migrate } from './migrate.mjs';
+import { extractDigestItems, insertDigestItems } from './digest-items.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT = join(__dirname, '..');
@@ -26,100 +29,8 @@ export function getDb(dbPath) {
   _db = new Database(p);
   _db.pragma('journal_mode = WAL');
   _db.pragma('foreign_keys = ON');
-  // Run migrations
-  const sql = readFileSync(join(ROOT, 'migrations', '001_init.sql'), 'utf8');
-  _db.exec(sql);
-  // Run auth migration (idempotent)
-  try {
-    const sql2 = readFileSync(join(ROOT, 'migrations', '002_auth.sql'), 'utf8');
-    // Execute each statement separately since ALTER TABLE may fail if column exists
-    for (const stmt of sql2.split(';').map(s => s.trim()).filter(Boolean)) {
-      try { _db.exec(stmt + ';'); } catch (e) {
-        if (!e.message.includes('duplicate column')) throw e;
-      }
-    }
-  } catch (e) {
-    if (!e.message.includes('duplicate column')) console.error('Migration 002:', e.message);
-  }
-  // Run sources migration (idempotent)
-  try {
-    const sql3 = readFileSync(join(ROOT, 'migrations', '003_sources.sql'), 'utf8');
-    _db.exec(sql3);
-  } catch (e) {
-    if (!e.message.includes('already exists')) console.error('Migration 003:', e.message);
-  }
-  // Run feed migration (idempotent)
-  try {
-    const sql4 = readFileSync(join(ROOT, 'migrations', '004_feed.sql'), 'utf8');
-    for (const stmt of sql4.split(';').map(s => s.trim()).filter(Boolean)) {
-      try { _db.exec(stmt + ';'); } catch (e) {
-        if (!e.message.includes('duplicate column') && !e.message.includes('already exists')) throw e;
-      }
-    }
-  } catch (e) {
-    if (!e.message.includes('duplicate column') && !e.message.includes('already exists')) console.error('Migration 004:', e.message);
-  }
-  // Run source packs migration (idempotent)
-  try {
-    const sql5 = readFileSync(join(ROOT, 'migrations', '005_source_packs.sql'), 'utf8');
-    _db.exec(sql5);
-  } catch (e) {
-    if (!e.message.includes('already exists')) console.error('Migration 005:', e.message);
-  }
-  // Run subscriptions migration (idempotent)
-  try {
-    const sql6 = readFileSync(join(ROOT, 'migrations', '006_subscriptions.sql'), 'utf8');
-    _db.exec(sql6);
-  } catch (e) {
-    if (!e.message.includes('already exists')) console.error('Migration 006:', e.message);
-  }
-  // Run soft delete migration (idempotent)
-  try {
-    const sql7 = readFileSync(join(ROOT, 'migrations', '007_soft_delete.sql'), 'utf8');
-    for (const stmt of sql7.split(';').map(s => s.trim()).filter(Boolean)) {
-      try { _db.exec(stmt + ';'); } catch (e) {
-        if (!e.message.includes('duplicate column')) throw e;
-      }
-    }
-  } catch (e) {
-    if (!e.message.includes('duplicate column')) console.error('Migration 007:', e.message);
-  }
-  // Run feedback migration (idempotent)
-  try {
-    const sql8 = readFileSync(join(ROOT, 'migrations', '008_feedback.sql'), 'utf8');
-    _db.exec(sql8);
-  } catch (e) {
-    if (!e.message.includes('already exists')) console.error('Migration 008:', e.message);
-  }
-  // Migration 009: feedback v2 (category + read_at)
-  try {
-    const sql9 = readFileSync(join(ROOT, 'migrations', '009_feedback_v2.sql'), 'utf8');
-    for (const stmt of sql9.split(';').filter(s => s.trim())) {
-      try { _db.exec(stmt + ';'); } catch (e) {
-        if (!e.message.includes('duplicate column')) throw e;
-      }
-    }
-  } catch (e) {
-    if (!e.message.includes('duplicate column')) console.error('Migration 009:', e.message);
-  }
-  // Migration 010: SMS auth (phone column + sms_otps table)
-  try {
-    const sql10 = readFileSync(join(ROOT, 'migrations', '010_sms_auth.sql'), 'utf8');
-    for (const stmt of sql10.split(';').map(s => s.trim()).filter(Boolean)) {
-      try { _db.exec(stmt + ';'); } catch (e) {
-        if (!e.message.includes('duplicate column') && !e.message.includes('already exists')) throw e;
-      }
-    }
-  } catch (e) {
-    if (!e.message.includes('duplicate column') && !e.message.includes('already exists')) console.error('Migration 010:', e.message);
-  }
-  // Migration 011: pushed_items table for dedup across digests
-  try {
-    const sql11 = readFileSync(join(ROOT, 'migrations', '011_pushed_items.sql'), 'utf8');
-    _db.exec(sql11);
-  } catch (e) {
-    if (!e.message.includes('already exists')) console.error('Migration 011:', e.message);
-  }
+  // Pending migrations/NNN_*.sql files, each once and in a transaction (see src/migrate.mjs)
+  migrate(_db);
   // Backfill slugs for existing users
   _backfillSlugs(_db);
   return _db;
@@ -147,26 +58,135 @@ function _backfillSlugs(db) {
 
 // ── Digests ──
 
-export function listDigests(db, { type, limit = 20, offset = 0 } = {}) {
-  let sql = 'SELECT id, type, content, metadata, created_at FROM digests';
-  const params = [];
-  if (type) { sql += ' WHERE type = ?'; params.push(type); }
+// A personalized digest belongs to one user (user_id) or is shared with every user linked
+// in digest_recipients; system digests have neither.
+const PERSONAL_DIGEST = '(user_id = ? OR id IN (SELECT digest_id FROM digest_recipients WHERE user_id = ?))';
+const SYSTEM_DIGEST = '(user_id IS NULL AND NOT EXISTS (SELECT 1 FROM digest_recipients dr WHERE dr.digest_id = digests.id))';
+
+// Ids of the digests a user may open: system digests plus their personal ones (only system digests without a user)
+function _visibleDigests(userId) {
+  if (!userId) return { sql: `SELECT id FROM digests WHERE ${SYSTEM_DIGEST}`, params: [] };
+  return { sql: `SELECT id FROM digests WHERE ${SYSTEM_DIGEST} OR ${PERSONAL_DIGEST}`, params: [userId, userId] };
+}
+
+// Personalized digests replace the system digests once the user has at least one of
+// that type; until then the user sees system digests.
+function _digestScope(db, userId, type) {
+  if (userId) {
+    let sql = `SELECT 1 FROM digests WHERE ${PERSONAL_DIGEST}`;
+    const params = [userId, userId];
+    if (type) { sql += ' AND type = ?'; params.push(type); }
+    if (db.prepare(sql + ' LIMIT 1').get(...params)) return { clause: PERSONAL_DIGEST, params: [userId, userId] };
+  }
+  return { clause: SYSTEM_DIGEST, params: [] };
+}
+
+export function listDigests(db, { type, limit = 20, offset = 0, userId } = {}) {
+  const scope = _digestScope(db, userId, type);
+  let sql = `SELECT id, type, content, metadata, created_at FROM digests WHERE ${scope.clause}`;
+  const params = [...scope.params];
+  if (type) { sql += ' AND type = ?'; params.push(type); }
   sql += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
   params.push(limit, offset);
   return db.prepare(sql).all(...params);
 }
 
-export function getDigest(db, id) {
-  return db.prepare('SELECT * FROM digests WHERE id = ?').get(id);
+// undefined when the digest is not visible to the user (see _visibleDigests)
+export function getDigest(db, id, { userId } = {}) {
+  const digests = _visibleDigests(userId);
+  return db.prepare(`SELECT * FROM digests WHERE id = ? AND id IN (${digests.sql})`).get(id, ...digests.params);
 }
 
-export function createDigest(db, { type, content, metadata = '{}', created_at }) {
-  const sql = created_at
-    ? 'INSERT INTO digests (type, content, metadata, created_at) VALUES (?, ?, ?, ?)'
-    : 'INSERT INTO digests (type, content, metadata) VALUES (?, ?, ?)';
-  const params = created_at ? [type, content, metadata, created_at] : [type, content, metadata];
-  const result = db.prepare(sql).run(...params);
-  return { id: result.lastInsertRowid };
+// user_ids + subscription_hash: a digest shared by every user with that subscription set.
+// Its items (metadata.items, else the markdown bullets) are written to digest_items in the same transaction.
+export function createDigest(db, { type, content, metadata = '{}', created_at, user_id = null, user_ids, subscription_hash = null }) {
+  const cols = ['type', 'content', 'metadata', 'user_id', 'subscription_hash'];
+  const params = [type, content, metadata, user_id, subscription_hash];
+  if (created_at) { cols.push('created_at'); params.push(created_at); }
+  const run = db.transaction(() => {
+    const result = db.prepare(`INSERT INTO digests (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`).run(...params);
+    if (Array.isArray(user_ids) && user_ids.length) addDigestRecipients(db, result.lastInsertRowid, user_ids);
+    const items = insertDigestItems(db, result.lastInsertRowid, extractDigestItems({ metadata, content }));
+    return { id: result.lastInsertRowid, items };
+  });
+  return run();
+}
+
+export function addDigestRecipients(db, digestId, userIds) {
+  const stmt = db.prepare('INSERT OR IGNORE INTO digest_recipients (digest_id, user_id) VALUES (?, ?)');
+  let added = 0;
+  for (const uid of userIds) added += stmt.run(digestId, uid).changes;
+  return added;
+}
+
+// Latest shared digest for a subscription set created since `since`, e.g. by another run still in progress
+export function findDigestBySubscriptionHash(db, { hash, type, since }) {
+  let sql = 'SELECT id, type, created_at FROM digests WHERE subscription_hash = ? AND type = ?';
+  const params = [hash, type];
+  if (since) { sql += ' AND created_at >= ?'; params.push(since); }
+  sql += ' ORDER BY created_at DESC LIMIT 1';
+  return db.prepare(sql).get(...params);
+}
+
+// Weights other than 1 are part of the set, so users who rank the same sources differently get
+// their own digest; unweighted sets keep the hashes they had before weights existed.
+export function subscriptionHash(sourceIds, weights = {}) {
+  const sorted = [...sourceIds].map(Number).sort((a, b) => a - b);
+  const keys = sorted.map(id => (weights[id] && weights[id] !== 1 ? `${id}:${weights[id]}` : String(id)));
+  return createHash('sha256').update(keys.join(',')).digest('hex');
+}
+
+// ── Digest Items ──
+
+// digest id → its items in order (an empty list for digests without any)
+export function listDigestItems(db, digestIds) {
+  const byDigest = new Map(digestIds.map(id => [id, []]));
+  if (!digestIds.length) return byDigest;
+  const rows = db.prepare(
+    `SELECT * FROM digest_items WHERE digest_id IN (${digestIds.map(() => '?').join(', ')}) ORDER BY digest_id, position`
+  ).all(...digestIds);
+  for (const row of rows) byDigest.get(row.digest_id).push(row);
+  return byDigest;
+}
+
+// An item with its digest's type and time, or undefined when that digest is not visible to the user
+export function getDigestItem(db, id, { userId } = {}) {
+  const digests = _visibleDigests(userId);
+  return db.prepare(`
+    SELECT di.*, d.type as digest_type, d.created_at
+    FROM digest_items di JOIN digests d ON d.id = di.digest_id
+    WHERE di.id = ? AND di.digest_id IN (${digests.sql})
+  `).get(id, ...digests.params);
+}
+
+// Every visible digest the same story (by URL) appeared in, newest first
+export function listItemAppearances(db, item, { userId, limit = 20 } = {}) {
+  const digests = _visibleDigests(userId);
+  return db.prepare(`
+    SELECT di.id, di.digest_id, di.position, d.type as digest_type, d.created_at
+    FROM digest_items di JOIN digests d ON d.id = di.digest_id
+    WHERE ${item.url ? 'di.url = ?' : 'di.id = ?'} AND di.digest_id IN (${digests.sql})
+    ORDER BY d.created_at DESC, di.id DESC LIMIT ?
+  `).all(item.url || item.id, ...digests.params, limit);
+}
+
+/**
+ * Visible items ranked by how well they match `match` (relatedItemsMatch in src/search.mjs), one per URL,
+ * leaving out the item's own story.
+ */
+export function listRelatedItems(db, item, { match, userId, limit = 5 }) {
+  if (!match) return [];
+  const digests = _visibleDigests(userId);
+  const rows = db.prepare(`
+    SELECT di.*, d.type as digest_type, d.created_at
+    FROM search_index f
+      JOIN digest_items di ON di.digest_id = f.ref_id AND di.position = f.item_index
+      JOIN digests d ON d.id = di.digest_id
+    WHERE search_index MATCH ? AND f.kind = 'item' AND di.id != ? AND di.url != ? AND f.ref_id IN (${digests.sql})
+    ORDER BY bm25(search_index, 10.0, 1.0, 2.0, 1.0), d.created_at DESC LIMIT ?
+  `).all(match, item.id, item.url || '', ...digests.params, limit * 4);
+  const seen = new Set();
+  return rows.filter(r => !seen.has(r.url || r.id) && seen.add(r.url || r.id)).slice(0, limit);
 }
 
 // ── Marks ──
@@ -203,6 +223,48 @@ export function updateMarkStatus(db, id, status) {
   return db.prepare('UPDATE marks SET status = ? WHERE id = ?').run(status, id);
 }
 
+// ── Search ──
+
+/**
+ * Full-text search over digests, digest items and the user's marks (search_index, see src/search.mjs).
+ * Digests and items are limited to system digests plus the user's personal ones; marks to the user's own.
+ * @param {{ match: string|null, likes: string[], kinds?: string[], digestTypes?: string[], from?: string, to?: string,
+ *   userId?: number, limit?: number, offset?: number }} query - match/likes from buildSearchMatch, times as SQL UTC
+ * @returns {{ total: number, rows: object[] }} rows best match first (newest first when only short terms were given)
+ */
+export function searchIndex(db, { match, likes = [], kinds, digestTypes, from, to, userId, limit = 20, offset = 0 }) {
+  const conditions = [];
+  const params = [];
+  if (match) { conditions.push('search_index MATCH ?'); params.push(match); }
+  for (const like of likes) {
+    conditions.push("(f.title || ' ' || f.body || ' ' || f.source || ' ' || f.category) LIKE ? ESCAPE '\\'");
+    params.push(like);
+  }
+  if (kinds?.length) { conditions.push(`f.kind IN (${kinds.map(() => '?').join(', ')})`); params.push(...kinds); }
+  if (digestTypes?.length) { conditions.push(`d.type IN (${digestTypes.map(() => '?').join(', ')})`); params.push(...digestTypes); }
+  if (from) { conditions.push('f.created_at >= ?'); params.push(from); }
+  if (to) { conditions.push('f.created_at <= ?'); params.push(to); }
+  const digests = _visibleDigests(userId);
+  const visible = [`f.kind != 'mark' AND f.ref_id IN (${digests.sql})`];
+  params.push(...digests.params);
+  if (userId) {
+    visible.push("f.kind = 'mark' AND f.ref_id IN (SELECT id FROM marks WHERE user_id = ?)");
+    params.push(userId);
+  }
+  conditions.push(`((${visible.join(') OR (')}))`);
+
+  const base = `FROM search_index f LEFT JOIN digests d ON f.kind != 'mark' AND d.id = f.ref_id WHERE ${conditions.join(' AND ')}`;
+  const total = db.prepare(`SELECT COUNT(*) as count ${base}`).get(...params).count;
+  // Title matches count most; bm25 is lower-is-better
+  const order = match ? 'bm25(search_index, 10.0, 1.0, 2.0, 1.0), f.created_at DESC' : 'f.created_at DESC';
+  const rows = db.prepare(`
+    SELECT f.kind, f.ref_id, f.item_index, f.title, f.body, f.source, f.category, f.url, f.created_at, d.type as digest_type,
+      (SELECT di.id FROM digest_items di WHERE f.kind = 'item' AND di.digest_id = f.ref_id AND di.position = f.item_index) as item_id
+    ${base} ORDER BY ${order} LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+  return { total, rows };
+}
+
 // ── Auth ──
 
 export function upsertUser(db, { googleId, email, name, avatar }) {
@@ -257,9 +319,9 @@ export function getUserBySlug(db, slug) {
 }
 
 export function listDigestsByUser(db, userId, { type, limit = 10, since } = {}) {
-  // userId=null means system digests (user_id IS NULL), which we also show for any user feed
-  let sql = 'SELECT id, type, content, metadata, created_at FROM digests WHERE (user_id = ? OR user_id IS NULL)';
-  const params = [userId];
+  const scope = _digestScope(db, userId, type);
+  let sql = `SELECT id, type, content, metadata, created_at FROM digests WHERE ${scope.clause}`;
+  const params = [...scope.params];
   if (type) { sql += ' AND type = ?'; params.push(type); }
   if (since) { sql += ' AND created_at >= ?'; params.push(since); }
   sql += ' ORDER BY created_at DESC LIMIT ?';
@@ -268,8 +330,9 @@ export function listDigestsByUser(db, userId, { type, limit = 10, since } = {})
 }
 
 export function countDigestsByUser(db, userId, { type } = {}) {
-  let sql = 'SELECT COUNT(*) as total FROM digests WHERE (user_id = ? OR user_id IS NULL)';
-  const params = [userId];
+  const scope = _digestScope(db, userId, type);
+  let sql = `SELECT COUNT(*) as total FROM digests WHERE ${scope.clause}`;
+  const params = [...scope.params];
   if (type) { sql += ' AND type = ?'; params.push(type); }
   return db.prepare(sql).get(...params).total;
 }
@@ -325,6 +388,11 @@ export function updateSource(db, id, patch) {
     }
   }
   if (!sets.length) return { changes: 0 };
+  // Validators and failure history belong to the old URL
+  if ('config' in patch || 'type' in patch) {
+    sets.push('etag = NULL', 'last_modified = NULL', 'collector_state = NULL',
+      'consecutive_failures = 0', 'last_error = NULL', 'next_fetch_at = NULL', 'broken_at = NULL');
+  }
   sets.push("updated_at = datetime('now')");
   params.push(id);
   return db.prepare(`UPDATE sources SET ${sets.join(', ')} WHERE id = ?`).run(...params);
@@ -341,6 +409,126 @@ export function getSourceByTypeConfig(db, type, config) {
   return db.prepare('SELECT * FROM sources WHERE type = ? AND config = ?').get(type, config);
 }
 
+// ── Source Health ──
+
+// Consecutive failures before a source is flagged broken and skipped until reset
+export const SOURCE_BROKEN_AFTER = 8;
+const SOURCE_BACKOFF_BASE_MINUTES = 60;
+const SOURCE_BACKOFF_MAX_MINUTES = 24 * 60;
+
+export function sourceBackoffMinutes(failures) {
+  return Math.min(SOURCE_BACKOFF_BASE_MINUTES * 2 ** Math.max(0, failures - 1), SOURCE_BACKOFF_MAX_MINUTES);
+}
+
+// status: 'ok' | 'not_modified' | 'error'. Success resets the failure streak and stores the validators
+// for the next conditional GET (and the collector state, when given); failure pushes next_fetch_at back exponentially.
+export function recordFetchAttempt(db, sourceId, { status, itemCount = 0, newCount = 0, latencyMs = null, error = null, etag = null, lastModified = null, state }) {
+  const run = db.transaction(() => {
+    db.prepare(
+      'INSERT INTO source_fetch_attempts (source_id, status, item_count, new_count, latency_ms, error) VALUES (?, ?, ?, ?, ?, ?)'
+    ).run(sourceId, status, itemCount, newCount, latencyMs, error);
+    if (status === 'error') {
+      const row = db.prepare('SELECT consecutive_failures FROM sources WHERE id = ?').get(sourceId);
+      const failures = (row?.consecutive_failures || 0) + 1;
+      db.prepare(`UPDATE sources SET consecutive_failures = ?, last_error = ?, next_fetch_at = datetime('now', ?),
+        broken_at = CASE WHEN ? >= ? THEN COALESCE(broken_at, datetime('now')) ELSE broken_at END WHERE id = ?`
+      ).run(failures, error, `+${sourceBackoffMinutes(failures)} minutes`, failures, SOURCE_BROKEN_AFTER, sourceId);
+    } else {
+      db.prepare(`UPDATE sources SET last_fetched_at = datetime('now'), fetch_count = COALESCE(fetch_count, 0) + 1,
+        etag = ?, last_modified = ?, collector_state = COALESCE(?, collector_state),
+        consecutive_failures = 0, last_error = NULL, next_fetch_at = NULL, broken_at = NULL WHERE id = ?`
+      ).run(etag, lastModified, state ? JSON.stringify(state) : null, sourceId);
+    }
+  });
+  run();
+}
+
+export function resetSourceHealth(db, sourceId) {
+  return db.prepare(
+    'UPDATE sources SET consecutive_failures = 0, last_error = NULL, next_fetch_at = NULL, broken_at = NULL WHERE id = ?'
+  ).run(sourceId);
+}
+
+export function getSourceHealth(db, sourceId, { limit = 10 } = {}) {
+  const s = db.prepare(
+    'SELECT last_fetched_at, fetch_count, consecutive_failures, last_error, next_fetch_at, broken_at FROM sources WHERE id = ?'
+  ).get(sourceId);
+  if (!s) return null;
+  const attempts = db.prepare(
+    'SELECT started_at, status, item_count, new_count, latency_ms, error FROM source_fetch_attempts WHERE source_id = ? ORDER BY id DESC LIMIT ?'
+  ).all(sourceId, limit);
+  const week = db.prepare(`SELECT COUNT(*) as total, SUM(status != 'error') as ok, AVG(latency_ms) as latency
+    FROM source_fetch_attempts WHERE source_id = ? AND started_at >= datetime('now', '-7 days')`).get(sourceId);
+  const status = s.broken_at ? 'broken' : s.consecutive_failures > 0 ? 'failing' : (s.last_fetched_at ? 'ok' : 'never');
+  return {
+    status,
+    ...s,
+    success_rate_7d: week.total ? week.ok / week.total : null,
+    avg_latency_ms_7d: week.latency === null ? null : Math.round(week.latency),
+    attempts,
+  };
+}
+
+export function cleanOldFetchAttempts(db, days = 30) {
+  return db.prepare("DELETE FROM source_fetch_attempts WHERE started_at < datetime('now', ?)").run(`-${days} days`);
+}
+
+// ── Raw Items ──
+
+function _rawItemDedupKey(item) {
+  const url = (item.url || '').trim();
+  if (url) return url;
+  return 'hash:' + createHash('sha256').update(`${item.title || ''}\n${item.description || ''}`).digest('hex').slice(0, 32);
+}
+
+function _toSqlDate(value) {
+  if (!value) return null;
+  const t = new Date(value);
+  return isNaN(t.getTime()) ? null : t.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// items: fetcher output ({ title, url, description, pubDate, author, ...extra })
+export function insertRawItems(db, sourceId, items) {
+  const stmt = db.prepare(
+    'INSERT OR IGNORE INTO raw_items (source_id, title, url, author, content, published_at, dedup_key, metadata) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'
+  );
+  const run = db.transaction((list) => {
+    let inserted = 0;
+    for (const item of list) {
+      const { title, url, description, pubDate, author, ...extra } = item;
+      const r = stmt.run(
+        sourceId, title || '', url || '', author || '', description || '',
+        _toSqlDate(pubDate), _rawItemDedupKey(item), JSON.stringify(extra)
+      );
+      inserted += r.changes;
+    }
+    return inserted;
+  });
+  return run(items);
+}
+
+// Uncapped unless `limit` is given: digest generation needs every item in its window
+export function listRawItems(db, { since, sourceIds, limit } = {}) {
+  let sql = `SELECT ri.*, s.name as source_name, s.type as source_type
+    FROM raw_items ri JOIN sources s ON ri.source_id = s.id`;
+  const conditions = ['s.is_active = 1', 's.is_deleted = 0'];
+  const params = [];
+  if (since) { conditions.push('ri.fetched_at >= ?'); params.push(since); }
+  if (sourceIds) {
+    if (!sourceIds.length) return [];
+    conditions.push(`ri.source_id IN (${sourceIds.map(() => '?').join(', ')})`);
+    params.push(...sourceIds);
+  }
+  sql += ' WHERE ' + conditions.join(' AND ');
+  sql += ' ORDER BY ri.fetched_at DESC, ri.id ASC';
+  if (limit) { sql += ' LIMIT ?'; params.push(limit); }
+  return db.prepare(sql).all(...params);
+}
+
+export function cleanOldRawItems(db, days = 30) {
+  return db.prepare("DELETE FROM raw_items WHERE fetched_at < datetime('now', ?)").run(`-${days} days`);
+}
+
 // ── Source Packs ──
 
 export function createPack(db, { name, description, slug, sourcesJson, createdBy }) {
@@ -388,7 +576,8 @@ export function deletePack(db, id) {
 
 export function listSubscriptions(db, userId) {
   return db.prepare(`
-    SELECT s.*, us.created_at as subscribed_at, u.name as creator_name, s.is_deleted
+    SELECT s.*, us.created_at as subscribed_at, u.name as creator_name, s.is_deleted,
+      us.weight, us.is_active = 0 as muted, us.snoozed_until
     FROM user_subscriptions us
     JOIN sources s ON us.source_id = s.id
     LEFT JOIN users u ON s.created_by = u.id
@@ -418,6 +607,58 @@ export function bulkSubscribe(db, userId, sourceIds) {
   return run(sourceIds);
 }
 
+export const SUBSCRIPTION_WEIGHT_MIN = 0.1;
+export const SUBSCRIPTION_WEIGHT_MAX = 5;
+
+// A subscription counts when it is not muted and any snooze has run out
+const LIVE_SUBSCRIPTION = "us.is_active = 1 AND (us.snoozed_until IS NULL OR us.snoozed_until <= datetime('now'))";
+
+export function getSubscription(db, userId, sourceId) {
+  return db.prepare(`
+    SELECT source_id, weight, is_active = 0 as muted, snoozed_until, created_at as subscribed_at
+    FROM user_subscriptions WHERE user_id = ? AND source_id = ?
+  `).get(userId, sourceId);
+}
+
+/**
+ * Change a subscription's settings; keys left out are kept.
+ * @param {{ weight?: number, muted?: boolean, snoozedUntil?: string|null }} patch - snoozedUntil as 'YYYY-MM-DD HH:MM:SS' UTC, null to wake
+ */
+export function updateSubscription(db, userId, sourceId, patch) {
+  const sets = [];
+  const params = [];
+  if (patch.weight !== undefined) { sets.push('weight = ?'); params.push(patch.weight); }
+  if (patch.muted !== undefined) { sets.push('is_active = ?'); params.push(patch.muted ? 0 : 1); }
+  if (patch.snoozedUntil !== undefined) { sets.push('snoozed_until = ?'); params.push(patch.snoozedUntil); }
+  if (!sets.length) return { changes: 0 };
+  params.push(userId, sourceId);
+  return db.prepare(`UPDATE user_subscriptions SET ${sets.join(', ')} WHERE user_id = ? AND source_id = ?`).run(...params);
+}
+
+// Source ids feeding a user's personalized digest (live sources, not muted or snoozed)
+export function listActiveSubscriptionSourceIds(db, userId) {
+  return db.prepare(`
+    SELECT us.source_id FROM user_subscriptions us
+    JOIN sources s ON us.source_id = s.id
+    WHERE us.user_id = ? AND s.is_active = 1 AND s.is_deleted = 0 AND ${LIVE_SUBSCRIPTION}
+    ORDER BY us.source_id
+  `).all(userId).map(r => r.source_id);
+}
+
+// { sourceId: weight } for a user's live subscriptions weighted other than 1
+export function listSubscriptionWeights(db, userId) {
+  const rows = db.prepare(`SELECT us.source_id, us.weight FROM user_subscriptions us WHERE us.user_id = ? AND us.weight != 1 AND ${LIVE_SUBSCRIPTION}`).all(userId);
+  return Object.fromEntries(rows.map(r => [r.source_id, r.weight]));
+}
+
+export function listSubscribedUsers(db) {
+  return db.prepare(`
+    SELECT u.id, u.name, u.slug FROM users u
+    WHERE EXISTS (SELECT 1 FROM user_subscriptions us WHERE us.user_id = u.id)
+    ORDER BY u.id
+  `).all();
+}
+
 export function isSubscribed(db, userId, sourceId) {
   return !!db.prepare('SELECT 1 FROM user_subscriptions WHERE user_id = ? AND source_id = ?').get(userId, sourceId);
 }
@@ -0,0 +1,69 @@
+/**
+ * Digest items: the stories a digest links to, stored one row each in digest_items (migrations/019_digest_items.sql).
+ *
+ * The pipeline posts them as metadata.items. Digests without those (the LLM's plain-text fallback, hand-written
+ * ones) get their items from the markdown bullets the web view renders: `• [Title] — summary [链接](url)`.
+ */
+
+const BULLET = /^[•·-]\s*(?:\[([^\]]+)\]\s*[—–-]\s*)?(.+?)\s*\[链接\]\(([^)]+)\)\s*$/;
+
+/** Items from a digest's markdown bullets; a bullet without a [Title] uses the start of its summary. */
+export function parseBulletItems(content) {
+  const items = [];
+  for (const line of String(content || '').split('\n')) {
+    const m = line.match(BULLET);
+    if (m) items.push({ title: m[1] || m[2].slice(0, 50), summary: m[2], url: m[3] });
+  }
+  return items;
+}
+
+/**
+ * The items to store for a digest: metadata.items when it has any, else the markdown bullets.
+ * @param {{ metadata?: string|object, content?: string }} digest - metadata as stored (JSON) or parsed
+ * @returns {{ title: string, url: string, summary: string, category: string, source: string, rawItemId: number|null,
+ *   sources: { source: string, url: string }[] }[]} sources: every source the story was merged from, when the pipeline recorded them
+ */
+export function extractDigestItems({ metadata, content }) {
+  let meta = metadata;
+  if (typeof meta === 'string') {
+    try { meta = JSON.parse(meta || '{}'); } catch { meta = {}; }
+  }
+  const structured = Array.isArray(meta?.items)
+    ? meta.items.filter(i => i && typeof i === 'object' && (i.title || i.url))
+    : [];
+  return (structured.length ? structured : parseBulletItems(content)).map(i => ({
+    title: String(i.title || ''),
+    url: String(i.url || ''),
+    summary: String(i.summary || ''),
+    category: String(i.category || ''),
+    source: String(i.source || ''),
+    rawItemId: Number.isInteger(i.raw_item_id) ? i.raw_item_id : null,
+    sources: Array.isArray(i.sources)
+      ? i.sources.filter(src => src && typeof src === 'object' && src.url).map(src => ({ source: String(src.source || ''), url: String(src.url) }))
+      : [],
+  }));
+}
+
+/**
+ * Store items (extractDigestItems output) for a digest, in order. A raw item that no longer exists is not referenced.
+ * @returns {number} how many were stored
+ */
+export function insertDigestItems(db, digestId, items) {
+  const stmt = db.prepare(`INSERT INTO digest_items (digest_id, position, title, url, summary, category, source, raw_item_id, sources_json)
+    VALUES (?, ?, ?, ?, ?, ?, ?, (SELECT id FROM raw_items WHERE id = ?), ?)`);
+  items.forEach((item, i) => stmt.run(
+    digestId, i, item.title, item.url, item.summary, item.category, item.source, item.rawItemId, JSON.stringify(item.sources || [])
+  ));
+  return items.length;
+}
+
+/**
+ * Data step of migrations/021_digest_item_bullets.sql (run by src/migrate.mjs): migration 019 copied metadata.items
+ * into digest_items, this parses the markdown bullets of digests stored before it that have no items yet.
+ */
+export function backfillBulletItems(db) {
+  const digests = db.prepare(
+    "SELECT id, content FROM digests WHERE content LIKE '%[链接](%' AND id NOT IN (SELECT digest_id FROM digest_items)"
+  ).all();
+  for (const d of digests) insertDigestItems(db, d.id, extractDigestItems({ content: d.content }));
+}
@@ -0,0 +1,233 @@
+/**
+ * Streaming RSS 2.0 / RSS 1.0 (RDF) / Atom parser built on sax.
+ *
+ * Handles namespaced tags (content:encoded, dc:creator, media:content/description), multiple Atom links
+ * (rel="alternate" wins), CDATA, HTML entities and non-UTF-8 encodings (BOM, XML declaration
+ * or Content-Type charset). Items keep enclosures, categories, authors, GUIDs and updated dates.
+ */
+
+import sax from 'sax';
+
+const DESCRIPTION_MAX = 400;
+
+// Named entities that survive XML decoding inside escaped HTML (e.g. "&amp;nbsp;" → "&nbsp;")
+const HTML_ENTITIES = sax.ENTITIES;
+
+export function decodeEntities(s) {
+  return (s || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (m, ent) => {
+    if (ent[0] === '#') {
+      const code = ent[1] === 'x' || ent[1] === 'X' ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+      try { return String.fromCodePoint(code); } catch { return m; }
+    }
+    const v = HTML_ENTITIES[ent];
+    return typeof v === 'number' ? String.fromCodePoint(v) : (v ?? m);
+  });
+}
+
+/** Strip tags, decode entities and collapse whitespace. */
+export function htmlToText(s) {
+  return decodeEntities((s || '').replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, ' ').replace(/<[^>]+>/g, ' '))
+    .replace(/\s+/g, ' ').trim();
+}
+
+function charsetFromContentType(contentType) {
+  const m = (contentType || '').match(/charset\s*=\s*["']?([\w.:-]+)/i);
+  return m ? m[1] : null;
+}
+
+/**
+ * Decode raw feed bytes: BOM first, then Content-Type charset, then the XML declaration, else UTF-8.
+ * @param {Buffer|Uint8Array|string} input
+ * @param {string} [contentType]
+ */
+export function decodeFeedBody(input, contentType) {
+  if (typeof input === 'string') return input;
+  const buf = Buffer.isBuffer(input) ? input : Buffer.from(input);
+  let label = null;
+  if (buf[0] === 0xef && buf[1] === 0xbb && buf[2] === 0xbf) label = 'utf-8';
+  else if (buf[0] === 0xff && buf[1] === 0xfe) label = 'utf-16le';
+  else if (buf[0] === 0xfe && buf[1] === 0xff) label = 'utf-16be';
+  if (!label) label = charsetFromContentType(contentType);
+  if (!label) {
+    const decl = buf.subarray(0, 200).toString('latin1').match(/<\?xml[^>]*encoding\s*=\s*["']([\w.:-]+)["']/i);
+    if (decl) label = decl[1];
+  }
+  try {
+    return new TextDecoder(label || 'utf-8').decode(buf);
+  } catch {
+    return new TextDecoder('utf-8').decode(buf);
+  }
+}
+
+function pickAtomLink(links) {
+  const alternates = links.filter(l => (l.rel || 'alternate') === 'alternate' && l.href);
+  return (alternates.find(l => !l.type || /html/i.test(l.type)) || alternates[0])?.href || '';
+}
+
+function finishItem(raw, baseUrl) {
+  const resolve = (href) => {
+    if (!href) return '';
+    try { return new URL(href, baseUrl || undefined).toString(); } catch { return href; }
+  };
+  const guidIsUrl = /^https?:\/\//i.test(raw.guid || '') && raw.guidIsPermaLink !== false;
+  const url = resolve(pickAtomLink(raw.links) || raw.link || (guidIsUrl ? raw.guid : ''));
+  // media:description (Media RSS; YouTube nests it in <media:group>) only when nothing else is there
+  const descriptionHtml = raw.contentEncoded || raw.description || raw.summary || raw.content || raw.mediaDescription || '';
+  const authors = [...new Set(raw.authors.map(a => htmlToText(a)).filter(Boolean))];
+  return {
+    title: htmlToText(raw.title),
+    url,
+    description: htmlToText(descriptionHtml).slice(0, DESCRIPTION_MAX),
+    pubDate: raw.pubDate || raw.published || raw.updated || raw.dcDate || '',
+    updated: raw.updated || '',
+    author: authors.join(', '),
+    authors,
+    guid: (raw.guid || '').trim(),
+    categories: [...new Set(raw.categories.map(c => htmlToText(c)).filter(Boolean))],
+    enclosures: raw.enclosures
+      .filter(e => e.url)
+      .map(e => ({ ...e, url: resolve(e.url) }))
+      .filter((e, i, all) => all.findIndex(o => o.url === e.url) === i),
+  };
+}
+
+function newItem() {
+  return { links: [], authors: [], categories: [], enclosures: [] };
+}
+
+/**
+ * Parse an RSS/Atom document.
+ * @param {Buffer|string} input - raw bytes (decoded per BOM / charset / XML declaration) or a string
+ * @param {{ limit?: number, contentType?: string, baseUrl?: string }} options
+ * @returns {{ format: 'rss'|'atom'|'rdf'|null, title: string, link: string, items: object[] }}
+ */
+export function parseFeedDocument(input, { limit = Infinity, contentType, baseUrl } = {}) {
+  const xml = decodeFeedBody(input, contentType).replace(/^\uFEFF/, '');
+  const parser = sax.parser(false, { lowercase: true, trim: false, normalize: false });
+  const feed = { format: null, title: '', link: '', items: [] };
+  const feedLinks = [];
+  // One frame per open element; inside an item, text bubbles up so inline XHTML in <content> is kept
+  const stack = [];
+  let item = null;
+  let itemDepth = -1;
+  let done = false;
+
+  parser.onerror = () => {
+    // Loose mode: keep going past malformed markup
+    parser.error = null;
+    parser.resume();
+  };
+
+  parser.onopentag = (node) => {
+    if (done) return;
+    const name = node.name;
+    const attrs = node.attributes;
+    if (stack.length) stack[stack.length - 1].hasChildren = true;
+    stack.push({ name, text: '', hasChildren: false });
+
+    if (!feed.format) {
+      if (name === 'rss') feed.format = 'rss';
+      else if (name === 'feed') feed.format = 'atom';
+      else if (name === 'rdf:rdf') feed.format = 'rdf';
+    }
+
+    if (!item && (name === 'item' || name === 'entry')) {
+      item = newItem();
+      itemDepth = stack.length;
+      return;
+    }
+
+    if (name === 'link' && attrs.href) {
+      const link = { href: attrs.href, rel: (attrs.rel || 'alternate').toLowerCase(), type: attrs.type || '' };
+      if (item) {
+        if (link.rel === 'enclosure') item.enclosures.push({ url: attrs.href, type: attrs.type || '', length: parseInt(attrs.length, 10) || null });
+        else item.links.push(link);
+      } else if (stack.length <= 3) {
+        feedLinks.push(link);
+      }
+      return;
+    }
+    if (!item) return;
+
+    if (name === 'enclosure' || name === 'media:content') {
+      item.enclosures.push({
+        url: attrs.url || '',
+        type: attrs.type || (attrs.medium ? `${attrs.medium}/*` : ''),
+        length: parseInt(attrs.length || attrs.filesize, 10) || null,
+      });
+    } else if (name === 'media:thumbnail' || name === 'itunes:image') {
+      const url = attrs.url || attrs.href;
+      if (url) item.enclosures.push({ url, type: 'image/*', length: null });
+    } else if (name === 'category' && attrs.term) {
+      item.categories.push(attrs.label || attrs.term);
+    } else if (name === 'guid') {
+      item.guidIsPermaLink = (attrs.ispermalink || 'true').toLowerCase() !== 'false';
+    }
+  };
+
+  const onText = (t) => { if (!done && stack.length) stack[stack.length - 1].text += t; };
+  parser.ontext = onText;
+  parser.oncdata = onText;
+
+  parser.onclosetag = () => {
+    if (done || !stack.length) return;
+    const depth = stack.length;
+    const frame = stack.pop();
+    const { name, text: value } = frame;
+    const parent = stack[stack.length - 1];
+    if (parent && item && depth > itemDepth) parent.text += value;
+
+    if (item && depth === itemDepth) {
+      feed.items.push(finishItem(item, baseUrl || feed.link));
+      item = null;
+      itemDepth = -1;
+      if (feed.items.length >= limit) done = true;
+      return;
+    }
+
+    if (!item) {
+      // Feed-level title/link: direct children of <channel> or <feed>
+      if ((parent?.name === 'channel' || parent?.name === 'feed') && !feed.title && name === 'title') feed.title = htmlToText(value);
+      if (parent?.name === 'channel' && !feed.link && name === 'link' && value.trim()) feed.link = value.trim();
+      return;
+    }
+
+    const v = value.trim();
+    if (name === 'media:description') {
+      if (!item.mediaDescription) item.mediaDescription = value;
+    } else if (depth === itemDepth + 1) {
+      switch (name) {
+        case 'title': item.title = value; break;
+        case 'link': if (v) item.link = v; break;
+        case 'guid': case 'id': item.guid = v; break;
+        case 'description': item.description = value; break;
+        case 'content:encoded': item.contentEncoded = value; break;
+        case 'summary': item.summary = value; break;
+        case 'content': item.content = value; break;
+        case 'pubdate': item.pubDate = v; break;
+        case 'published': case 'issued': item.published = v; break;
+        case 'updated': case 'modified': item.updated = v; break;
+        case 'dc:date': item.dcDate = v; break;
+        // Atom <author> holds <name>/<email> children, handled below
+        case 'author': case 'dc:creator': case 'itunes:author': if (v && !frame.hasChildren) item.authors.push(v); break;
+        case 'category': case 'dc:subject': if (v) item.categories.push(v); break;
+      }
+    } else if (name === 'name' && (parent?.name === 'author' || parent?.name === 'contributor')) {
+      if (v) item.authors.push(v);
+    }
+  };
+
+  parser.write(xml).close();
+  if (!feed.link) feed.link = pickAtomLink(feedLinks);
+  return feed;
+}
+
+/**
+ * Items only, in the shape the fetchers return.
+ * @param {Buffer|string} input
+ * @param {number|{ limit?: number, contentType?: string, baseUrl?: string }} options - a number is a limit
+ */
+export function parseFeed(input, options = {}) {
+  const opts = typeof options === 'number' ? { limit: options } : options;
+  return parseFeedDocument(input, { limit: 20, ...opts }).items.filter(i => i.title || i.url);
+}
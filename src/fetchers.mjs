@@ -0,0 +1,775 @@
+/**
+ * Source fetchers: turn a source (type + config) into normalized items
+ * `{ title, url, description, pubDate?, author? }`; feed items also carry the extra
+ * fields from src/feed-parser.mjs (guid, categories, enclosures, ...), and community sources an
+ * `engagement: { score, comments }` that src/filters.mjs thresholds apply to. Social posts sharing a link
+ * carry it as `canonicalUrl`, which src/clusters.mjs uses to group the post with the article's own item.
+ *
+ * The parsers are pure functions over response bodies; `createFetchers()` binds them to
+ * HTTP (proxy, timeouts, endpoints) so tests can point every fetcher at a local fixture server.
+ */
+
+import { ProxyAgent, fetch as undiciFetch } from 'undici';
+import { parseFeed, htmlToText } from './feed-parser.mjs';
+import { decodeHtml, discoverFeeds, extractArticleLinks, diffSnapshot, SNAPSHOT_MAX_LINKS } from './website.mjs';
+import { youtubeFeedUrl, youtubeVideoId, parseWatchPage, pickCaptionTrack, parseTranscript, formatDuration } from './youtube.mjs';
+import { arxivQueryUrl, arxivPaperUrl, arxivId, parseArxivFeed } from './arxiv.mjs';
+
+const DEFAULT_ENDPOINTS = {
+  hackernews: 'https://hn.algolia.com',
+  reddit: 'https://www.reddit.com',
+  redditOAuth: 'https://oauth.reddit.com',
+  github: 'https://github.com',
+  youtube: 'https://www.youtube.com',
+  bluesky: 'https://public.api.bsky.app',
+  arxiv: 'https://export.arxiv.org',
+};
+
+// Nitter 公共实例已于 2024 年被 Twitter/X 全面封锁，仅作降级备选
+export const NITTER_INSTANCES = [
+  'https://nitter.privacydev.net',
+  'https://nitter.poast.org',
+  'https://nitter.1d4.us',
+  'https://nitter.moomoo.me',
+  'https://nitter.net',
+];
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// ── Hacker News (Algolia search response) ──────────────────────────────────
+// exclude_domains matches subdomains too ("medium.com" drops "blog.medium.com"); self posts have no domain
+function isExcludedDomain(url, domains) {
+  if (!url || !domains.length) return false;
+  let host;
+  try { host = new URL(url).hostname.toLowerCase().replace(/^www\./, ''); } catch { return false; }
+  return domains.some(d => host === d || host.endsWith(`.${d}`));
+}
+
+export function parseHackerNews(data, { min_score = 50, min_comments = 0, exclude_domains = [], limit = 20 } = {}) {
+  const excluded = (Array.isArray(exclude_domains) ? exclude_domains : [exclude_domains])
+    .map(d => String(d).trim().toLowerCase().replace(/^www\./, '')).filter(Boolean);
+  return (data.hits || [])
+    .filter(h => h.title && (h.points || 0) >= (min_score || 0) && (h.num_comments || 0) >= (min_comments || 0))
+    .filter(h => !isExcludedDomain(h.url, excluded))
+    .slice(0, limit)
+    .map(h => ({
+      title: h.title,
+      url: h.url || `https://news.ycombinator.com/item?id=${h.objectID}`,
+      description: `${h.points || 0} 分 · ${h.num_comments || 0} 评论`,
+      author: h.author,
+      hnId: h.objectID,
+      engagement: { score: h.points || 0, comments: h.num_comments || 0 },
+    }));
+}
+
+// Top-level comments of an Algolia item tree, ranked by how many replies they drew (the API does not expose HN's order)
+export function parseHackerNewsComments(item, { limit = 3, maxChars = 500 } = {}) {
+  const replies = (c) => (c.children || []).reduce((n, k) => n + 1 + replies(k), 0);
+  return (item.children || [])
+    .filter(c => c.text && c.author)
+    .map(c => ({ c, replies: replies(c) }))
+    .sort((a, b) => b.replies - a.replies)
+    .slice(0, limit)
+    .map(({ c }) => ({ author: c.author, text: htmlToText(c.text).slice(0, maxChars) }));
+}
+
+// ── Reddit (listing JSON) ──────────────────────────────────────────────────
+// Flairs match case-insensitively on the whole text; flair_include keeps only posts carrying one of them
+export function parseReddit(data, { limit = 20, min_score = 0, flair_include = [], flair_exclude = [] } = {}) {
+  const norm = (list) => (Array.isArray(list) ? list : [list]).map(f => String(f).trim().toLowerCase()).filter(Boolean);
+  const include = norm(flair_include);
+  const exclude = norm(flair_exclude);
+  return (data.data?.children || [])
+    .map(c => c.data)
+    .filter(p => p && p.title && (p.score || 0) >= (min_score || 0))
+    .filter(p => {
+      const flair = (p.link_flair_text || '').trim().toLowerCase();
+      return (!include.length || include.includes(flair)) && !exclude.includes(flair);
+    })
+    .slice(0, limit)
+    .map(p => ({
+      title: p.title,
+      url: p.url?.startsWith('/r/') ? `https://www.reddit.com${p.url}` : (p.url || `https://www.reddit.com${p.permalink}`),
+      description: p.selftext
+        ? p.selftext.slice(0, 300)
+        : `↑${p.score} · ${p.num_comments} 评论 · r/${p.subreddit}`,
+      author: p.author,
+      flair: p.link_flair_text || '',
+      engagement: { score: p.score || 0, comments: p.num_comments || 0 },
+    }));
+}
+
+// ── GitHub Trending (HTML) ─────────────────────────────────────────────────
+// One <article class="Box-row"> per repo; the repo link is the first anchor inside its <h2>.
+export function parseGitHubTrending(html, { limit = 20 } = {}) {
+  const items = [];
+  const seen = new Set();
+  const blocks = html.split(/<article\b[^>]*\bclass="[^"]*\bBox-row\b[^"]*"[^>]*>/i).slice(1);
+  for (const raw of blocks) {
+    if (items.length >= limit) break;
+    const block = raw.split(/<\/article>/i)[0];
+    const repoM = block.match(/<h[1-3]\b[^>]*>[\s\S]*?<a\b[^>]*\bhref="\/([A-Za-z0-9_.-]+\/[A-Za-z0-9_.-]+)"/i);
+    if (!repoM || seen.has(repoM[1])) continue;
+    const repo = repoM[1];
+    seen.add(repo);
+
+    const descM = block.match(/<p\b[^>]*>([\s\S]*?)<\/p>/i);
+    const starsM = block.match(/([\d,]+)\s+(stars (?:today|this week|this month))/i);
+    const desc = descM ? htmlToText(descM[1]) : '';
+    const stars = starsM ? `⭐ ${starsM[1].replace(/,/g, '')} ${starsM[2]}` : '';
+
+    items.push({
+      title: repo,
+      url: `https://github.com/${repo}`,
+      description: [desc, stars].filter(Boolean).join(' · '),
+    });
+  }
+  return items;
+}
+
+// ── Social posts (Mastodon statuses / Bluesky author feed) ─────────────────
+// Posts have no title: the first line, shortened, stands in for one
+const POST_TITLE_MAX = 120;
+
+// engagement: likes + reposts as the score, replies as comments (only when the API reports counts)
+function postItem({ text, url, pubDate, author, link, engagement }) {
+  const line = text.split('\n').map(l => l.trim()).find(Boolean) || '';
+  const title = line.length > POST_TITLE_MAX ? `${line.slice(0, POST_TITLE_MAX - 1)}…` : line;
+  const body = text.replace(/\s+/g, ' ').trim();
+  const description = (link ? `${body}\n🔗 ${[link.title, link.url].filter(Boolean).join(' ')}` : body).slice(0, 400);
+  const item = { title, url, description, pubDate, author };
+  if (link?.url) item.canonicalUrl = link.url;
+  if (engagement && Number.isFinite(engagement.score)) item.engagement = { score: engagement.score, comments: engagement.comments || 0 };
+  return item;
+}
+
+// Mastodon content is HTML; links are split into <span>s, so inline tags go without a space
+function mastodonText(html) {
+  return (html || '')
+    .replace(/<br\s*\/?>|<\/p>/gi, '\n')
+    .replace(/<\/?(?:span|a)\b[^>]*>/gi, '')
+    .split('\n').map(htmlToText).join('\n').trim();
+}
+
+/** Mastodon statuses (account or hashtag timeline) → items; reblogs are credited to the original author. */
+export function parseMastodonStatuses(statuses, { limit = 20, reposts = true } = {}) {
+  return (Array.isArray(statuses) ? statuses : [])
+    .filter(st => reposts || !st.reblog)
+    .map(st => st.reblog || st)
+    .map(st => ({ st, text: [st.spoiler_text, mastodonText(st.content)].filter(Boolean).join('\n') }))
+    .filter(({ text }) => text)
+    .slice(0, limit)
+    .map(({ st, text }) => postItem({
+      text,
+      url: st.url || st.uri,
+      pubDate: st.created_at || '',
+      author: st.account?.acct ? `@${st.account.acct}` : '',
+      link: st.card?.url ? { title: st.card.title, url: st.card.url } : null,
+      engagement: { score: st.favourites_count + st.reblogs_count, comments: st.replies_count },
+    }));
+}
+
+/** Bluesky app.bsky.feed.getAuthorFeed response → items; reposts are credited to the original author. */
+export function parseBlueskyFeed(data, { limit = 20, reposts = true } = {}) {
+  return (data?.feed || [])
+    .filter(f => reposts || !f.reason)
+    .map(f => f.post)
+    .filter(p => p?.record?.text && p.author?.handle)
+    .slice(0, limit)
+    .map(p => {
+      const external = p.embed?.external || p.embed?.media?.external;
+      return postItem({
+        text: p.record.text,
+        url: `https://bsky.app/profile/${p.author.handle}/post/${p.uri.split('/').pop()}`,
+        pubDate: p.record.createdAt || p.indexedAt || '',
+        author: `@${p.author.handle}`,
+        link: external?.uri ? { title: external.title, url: external.uri } : null,
+        engagement: { score: p.likeCount + p.repostCount, comments: p.replyCount },
+      });
+    });
+}
+
+function expectOk(res, url) {
+  if (res.status >= 400) throw new Error(`HTTP ${res.status}: ${url}`);
+  return res;
+}
+
+/**
+ * Bind the fetchers to HTTP settings.
+ * @param {{
+ *   proxyUrl?: string, rsshubUrl?: string, timeoutMs?: number,
+ *   endpoints?: { hackernews?: string, reddit?: string, redditOAuth?: string, github?: string, youtube?: string, bluesky?: string, arxiv?: string },
+ *   reddit?: { clientId?: string, clientSecret?: string, username?: string, password?: string },
+ *   nitterInstances?: string[], rsshubRetries?: number, rsshubRetryDelayMs?: number,
+ *   hostLimiter?: { run: Function }, log?: Function, warn?: Function,
+ * }} options - hostLimiter (src/scheduler.mjs) throttles every request per host;
+ *   reddit holds optional script-app credentials (with username/password the password grant, else app-only)
+ */
+export function createFetchers({
+  proxyUrl = '',
+  rsshubUrl = '',
+  timeoutMs = 15000,
+  endpoints = {},
+  reddit = {},
+  nitterInstances = NITTER_INSTANCES,
+  rsshubRetries = 3,
+  rsshubRetryDelayMs = 5000,
+  hostLimiter = null,
+  log = console.log,
+  warn = console.warn,
+} = {}) {
+  const ep = { ...DEFAULT_ENDPOINTS, ...endpoints };
+  const RSSHUB_URL = (rsshubUrl || '').replace(/\/+$/, '');
+
+  // Build proxy dispatcher once (reuse across requests)
+  const proxyDispatcher = proxyUrl ? new ProxyAgent(proxyUrl) : null;
+
+  // Try through the proxy first; fall back to a direct connection on proxy-level connection errors
+  async function withProxyFallback(attempt) {
+    if (!proxyDispatcher) return attempt(false);
+    try {
+      return await attempt(true);
+    } catch (e) {
+      // 代理层引发的连接错误时回退到直连（适用于直连可达但代理有干扰的站点）
+      const code = e.cause?.code || e.code || '';
+      if (code === 'ECONNRESET' || code === 'ECONNREFUSED' || code === 'ETIMEDOUT'
+        || code === 'UND_ERR_CONNECT_TIMEOUT' || code === 'UND_ERR_SOCKET') {
+        return attempt(false);
+      }
+      throw e;
+    }
+  }
+
+  async function readBody(res, maxBytes = Infinity) {
+    const chunks = [];
+    // 304 / 204 responses have no body stream
+    const reader = res.body ? res.body.getReader() : { read: async () => ({ done: true }) };
+    let total = 0;
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      total += value.length;
+      if (total > maxBytes) { reader.cancel(); break; }
+    }
+    const buffer = Buffer.concat(chunks.map(c => Buffer.from(c)));
+    return { status: res.status, body: buffer.toString('utf8'), buffer, headers: Object.fromEntries(res.headers) };
+  }
+
+  async function httpFetch(url, { method = 'GET', body, headers = {}, timeout = timeoutMs, maxBytes = 600000 } = {}) {
+    // The timeout starts when the host slot is granted, not while queued
+    const request = () => withProxyFallback(async (useProxy) => {
+      const opts = {
+        method,
+        body,
+        headers: { 'User-Agent': 'ClawFeed-Fetcher/1.0', ...headers },
+        signal: AbortSignal.timeout(timeout),
+        redirect: 'follow',
+      };
+      if (useProxy && proxyDispatcher) opts.dispatcher = proxyDispatcher;
+      return readBody(await undiciFetch(url, opts), maxBytes);
+    });
+    return hostLimiter ? hostLimiter.run(url, request) : request();
+  }
+
+  // POST JSON to any HTTPS URL (used for Feishu webhook)
+  async function postJson(url, body) {
+    const payload = JSON.stringify(body);
+    return withProxyFallback(async (useProxy) => {
+      const opts = {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'User-Agent': 'ClawFeed-Bot/1.0' },
+        body: payload,
+        signal: AbortSignal.timeout(10000),
+      };
+      if (useProxy && proxyDispatcher) opts.dispatcher = proxyDispatcher;
+      return readBody(await undiciFetch(url, opts));
+    });
+  }
+
+  // Conditional GET: send the validators in `cache` ({ etag, lastModified } from the previous fetch)
+  // and write back the new ones. Resolves to null on 304 and sets cache.notModified.
+  async function fetchIfChanged(url, cache, opts = {}) {
+    const headers = { ...opts.headers };
+    if (cache?.etag) headers['If-None-Match'] = cache.etag;
+    if (cache?.lastModified) headers['If-Modified-Since'] = cache.lastModified;
+    const res = expectOk(await httpFetch(url, { ...opts, headers }), url);
+    if (!cache) return res;
+    if (res.status === 304) {
+      cache.notModified = true;
+      return null;
+    }
+    cache.etag = res.headers.etag || null;
+    cache.lastModified = res.headers['last-modified'] || null;
+    return res;
+  }
+
+  async function fetchRss(url, limit = 20, cache) {
+    const res = await fetchIfChanged(url, cache);
+    if (!res) return [];
+    return parseFeed(res.buffer, { limit, contentType: res.headers['content-type'], baseUrl: url });
+  }
+
+  // 主用 Algolia HN Search API（无需认证，稳定），Firebase API 已不可靠
+  // ── Hacker News: Algolia search ───────────────────────────────────────────
+  // /search ranks by points, /search_by_date by recency; `best` is the highest-scoring stories of the window
+  const HN_FILTERS = {
+    top: { tags: 'front_page', endpoint: 'search' },
+    best: { tags: 'story', endpoint: 'search', hours: 24 },
+    new: { tags: 'story', endpoint: 'search_by_date' },
+    ask: { tags: 'ask_hn', endpoint: 'search' },
+    show: { tags: 'show_hn', endpoint: 'search' },
+  };
+
+  /**
+   * @param {{ filter?: 'top'|'best'|'new'|'ask'|'show', query?: string, hours?: number, min_score?: number,
+   *   min_comments?: number, exclude_domains?: string[], comments?: number, limit?: number }} config
+   *   hours limits stories to the last N hours; comments attaches the top N comments to each story
+   */
+  async function fetchHackerNews({
+    filter = 'top', query = '', hours, min_score = 50, min_comments = 0, exclude_domains = [], comments = 0, limit = 20,
+  } = {}, cache) {
+    const mode = HN_FILTERS[filter] || HN_FILTERS.top;
+    const windowHours = hours ?? mode.hours;
+    const numeric = [];
+    // Cut-off rounded to the hour so the URL (and its validators) stays stable between runs
+    if (windowHours > 0) numeric.push(`created_at_i>${Math.floor(Date.now() / 3600000) * 3600 - Math.round(windowHours * 3600)}`);
+    if (min_score > 0) numeric.push(`points>=${min_score}`);
+    if (min_comments > 0) numeric.push(`num_comments>=${min_comments}`);
+    const params = new URLSearchParams({ tags: mode.tags, hitsPerPage: String(Math.min(limit * 2, 60)) });
+    if (query) params.set('query', query);
+    if (numeric.length) params.set('numericFilters', numeric.join(','));
+
+    const url = `${ep.hackernews}/api/v1/${mode.endpoint}?${params}`;
+    const res = await fetchIfChanged(url, cache, { timeout: 10000 });
+    if (!res) return [];
+    const data = JSON.parse(res.body);
+    if (filter === 'best') data.hits = [...(data.hits || [])].sort((a, b) => (b.points || 0) - (a.points || 0));
+    const items = parseHackerNews(data, { min_score, min_comments, exclude_domains, limit });
+    if (comments > 0) {
+      await Promise.all(items.map(async (item) => {
+        try {
+          item.comments = await fetchHackerNewsComments(item.hnId, comments);
+        } catch (e) {
+          log(`HN 评论获取失败 (${item.hnId}: ${e.message})`);
+        }
+      }));
+    }
+    return items;
+  }
+
+  async function fetchHackerNewsComments(id, limit = 3) {
+    const url = `${ep.hackernews}/api/v1/items/${id}`;
+    return parseHackerNewsComments(JSON.parse(expectOk(await httpFetch(url, { timeout: 10000 }), url).body), { limit });
+  }
+
+  // ── Reddit: listing JSON, anonymous or through a script app's OAuth token ──
+  const redditUserAgent = `ClawFeed/1.0 (news aggregator bot${reddit.username ? ` by /u/${reddit.username}` : ''})`;
+  let redditToken = null;
+
+  async function getRedditToken() {
+    if (redditToken && redditToken.expiresAt > Date.now() + 60000) return redditToken.value;
+    const url = `${ep.reddit}/api/v1/access_token`;
+    const grant = reddit.username && reddit.password
+      ? new URLSearchParams({ grant_type: 'password', username: reddit.username, password: reddit.password })
+      : new URLSearchParams({ grant_type: 'client_credentials' });
+    const res = await httpFetch(url, {
+      method: 'POST',
+      body: grant.toString(),
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${reddit.clientId}:${reddit.clientSecret || ''}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'User-Agent': redditUserAgent,
+      },
+      timeout: 10000,
+    });
+    let data = {};
+    try { data = JSON.parse(res.body); } catch { /* reported below */ }
+    if (res.status >= 400 || !data.access_token) throw new Error(`Reddit OAuth 认证失败: ${data.error || `HTTP ${res.status}`}`);
+    redditToken = { value: data.access_token, expiresAt: Date.now() + (data.expires_in || 3600) * 1000 };
+    return redditToken.value;
+  }
+
+  /**
+   * @param {{ subreddit?: string, subreddits?: string[], sort?: 'hot'|'new'|'top'|'rising'|'controversial',
+   *   time?: 'hour'|'day'|'week'|'month'|'year'|'all', min_score?: number, flair_include?: string[],
+   *   flair_exclude?: string[], limit?: number }} config - subreddit may combine several as "a+b"
+   */
+  async function fetchReddit({ subreddit, subreddits, sort = 'hot', time, min_score = 0, flair_include = [], flair_exclude = [], limit = 20 } = {}, cache) {
+    const subs = (subreddits?.length ? subreddits : String(subreddit || '').split('+'))
+      .map(s => String(s).trim().replace(/^\/?r\//i, '')).filter(Boolean);
+    if (!subs.length) throw new Error('reddit Source 需要配置 subreddit 字段');
+    if (subs.some(s => !/^[A-Za-z0-9_]+$/.test(s))) throw new Error(`无效的 subreddit: ${subs.join('+')}`);
+
+    // Filtered sources ask for more posts so that `limit` survive the filters (Reddit caps a page at 100)
+    const filtered = min_score > 0 || flair_include.length || flair_exclude.length;
+    const params = new URLSearchParams({ limit: String(filtered ? Math.min(limit * 3, 100) : limit), raw_json: '1' });
+    if (time && (sort === 'top' || sort === 'controversial')) params.set('t', time);
+
+    const headers = { 'User-Agent': redditUserAgent };
+    let url = `${ep.reddit}/r/${subs.join('+')}/${sort}.json?${params}`;
+    if (reddit.clientId) {
+      headers.Authorization = `Bearer ${await getRedditToken()}`;
+      url = `${ep.redditOAuth}/r/${subs.join('+')}/${sort}?${params}`;
+    }
+    let res;
+    try {
+      res = await fetchIfChanged(url, cache, { headers, timeout: 10000 });
+    } catch (e) {
+      // A revoked token is fetched again on the next run
+      if (/^HTTP 401/.test(e.message)) redditToken = null;
+      throw e;
+    }
+    if (!res) return [];
+    return parseReddit(JSON.parse(res.body), { limit, min_score, flair_include, flair_exclude });
+  }
+
+  async function fetchGitHubTrending({ language = '', since = 'daily', limit = 20 } = {}, cache) {
+    const langPath = language && language !== 'all' ? `/${encodeURIComponent(language)}` : '';
+    const url = `${ep.github}/trending${langPath}?since=${since}`;
+    const res = await fetchIfChanged(url, cache, { timeout: 12000 });
+    if (!res) return [];
+    const items = parseGitHubTrending(res.body, { limit });
+    // An empty trending page means the markup changed, not that nothing is trending
+    if (items.length === 0) throw new Error('GitHub Trending 页面未解析出任何仓库，页面结构可能已变化');
+    return items;
+  }
+
+  // ── Website: autodiscovered feed, else article-link snapshot diff ─────────
+  // cache.state carries { feedUrl } or { links } (the last snapshot) between runs
+  async function fetchWebsite({ url, selector = '', limit = 20 } = {}, cache) {
+    if (!url) throw new Error('website Source 需要配置 url 字段');
+    const state = { ...(cache?.state || {}) };
+    const clearValidators = () => { if (cache) { cache.etag = null; cache.lastModified = null; } };
+
+    // A selector means the user wants the page itself, so skip feed discovery
+    if (state.feedUrl && !selector) {
+      try {
+        const items = await fetchRss(state.feedUrl, limit, cache);
+        if (cache) cache.state = state;
+        return items;
+      } catch (e) {
+        log(`网站订阅源不可用 (${state.feedUrl}: ${e.message})，重新探测 ${url}`);
+        delete state.feedUrl;
+        clearValidators();
+      }
+    }
+
+    const res = await fetchIfChanged(url, cache, { timeout: 15000 });
+    if (!res) return [];
+    const html = decodeHtml(res.buffer, res.headers['content-type']);
+
+    if (!selector) {
+      const [feed] = discoverFeeds(html, url);
+      if (feed) {
+        clearValidators();
+        const items = await fetchRss(feed.url, limit, cache);
+        if (cache) cache.state = { feedUrl: feed.url };
+        return items;
+      }
+    }
+
+    const links = extractArticleLinks(html, { baseUrl: url, selector });
+    if (selector && links.length === 0) throw new Error(`选择器 "${selector}" 未匹配到任何链接，页面结构可能已变化`);
+    if (cache) cache.state = { links: links.slice(0, SNAPSHOT_MAX_LINKS).map(l => l.url) };
+    return diffSnapshot(links, state.links).slice(0, limit).map(l => ({ title: l.title, url: l.url, description: '' }));
+  }
+
+  // ── YouTube: channel/playlist Atom feed + watch-page durations ────────────
+  // Watch pages are large; ytInitialPlayerResponse sits in the first ~1MB
+  const WATCH_PAGE_MAX_BYTES = 2_000_000;
+
+  async function fetchWatchPage(videoId) {
+    const res = expectOk(await httpFetch(`${ep.youtube}/watch?v=${videoId}`, {
+      headers: { 'Accept-Language': 'en-US,en;q=0.8' }, maxBytes: WATCH_PAGE_MAX_BYTES,
+    }), videoId);
+    return parseWatchPage(res.body);
+  }
+
+  // The feed has no durations, so each new video costs one watch-page request; cache.state.durations
+  // remembers them ({ videoId: seconds }) so unchanged videos are not looked up again
+  async function fetchYouTube({ channel_id, playlist_id, limit = 15, durations = true } = {}, cache) {
+    const feedUrl = youtubeFeedUrl({ channel_id, playlist_id }, ep.youtube);
+    if (!feedUrl) throw new Error('youtube Source 需要配置 channel_id 或 playlist_id 字段');
+    const items = await fetchRss(feedUrl, limit, cache);
+    if (!items.length) return items;
+
+    const known = { ...(cache?.state?.durations || {}) };
+    const videos = items.map(item => ({ item, videoId: youtubeVideoId(item.url) }));
+    if (durations) {
+      await Promise.all(videos.map(async ({ videoId }) => {
+        if (!videoId || videoId in known) return;
+        try {
+          known[videoId] = (await fetchWatchPage(videoId)).durationSeconds;
+        } catch (e) {
+          log(`YouTube 视频时长获取失败 (${videoId}: ${e.message})`);
+        }
+      }));
+    }
+    if (cache) {
+      // Only videos still in the feed are worth remembering
+      const current = Object.fromEntries(videos.filter(v => v.videoId && known[v.videoId] !== undefined).map(v => [v.videoId, known[v.videoId]]));
+      cache.state = { durations: current };
+    }
+
+    return videos.map(({ item, videoId }) => {
+      const duration = videoId && Number.isFinite(known[videoId]) ? known[videoId] : null;
+      const description = duration !== null ? `▶ ${formatDuration(duration)} · ${item.description}` : item.description;
+      return { ...item, description, videoId, duration };
+    });
+  }
+
+  /**
+   * Transcript text of a video for deep mode, or '' when it has no caption track.
+   * @param {string} url - watch/shorts/youtu.be URL
+   * @param {{ languages?: string[], maxChars?: number }} [options]
+   */
+  async function fetchYouTubeTranscript(url, { languages, maxChars = 12000 } = {}) {
+    const videoId = youtubeVideoId(url);
+    if (!videoId) return '';
+    const { captionTracks } = await fetchWatchPage(videoId);
+    const track = pickCaptionTrack(captionTracks, languages);
+    if (!track) return '';
+    const trackUrl = new URL(track.url, ep.youtube).toString();
+    const res = expectOk(await httpFetch(trackUrl, { timeout: 10000 }), trackUrl);
+    return parseTranscript(res.body).slice(0, maxChars);
+  }
+
+  // ── Mastodon: public REST API, instance RSS as fallback ───────────────────
+  // `instance` is a host or origin; `account` is "user" (or "user@other.host"), `hashtag` has no "#".
+  // Instances in limited-federation / authorized-fetch mode refuse anonymous API calls but still serve RSS.
+  async function fetchMastodon({ instance, account, hashtag, limit = 20, reposts = true } = {}, cache) {
+    if (!instance || (!account && !hashtag)) throw new Error('mastodon Source 需要配置 instance 以及 account 或 hashtag 字段');
+    const origin = (/^https?:\/\//i.test(instance) ? instance : `https://${instance}`).replace(/\/+$/, '');
+    const acct = (account || '').replace(/^@/, '');
+    const tag = (hashtag || '').replace(/^#/, '');
+    const count = Math.min(limit, 40);
+    const state = { ...(cache?.state || {}) };
+
+    try {
+      let url;
+      if (tag) {
+        url = `${origin}/api/v1/timelines/tag/${encodeURIComponent(tag)}?limit=${count}`;
+      } else {
+        // The account ID never changes, so it is looked up once and kept in cache.state
+        if (!state.accountId) {
+          const lookupUrl = `${origin}/api/v1/accounts/lookup?acct=${encodeURIComponent(acct)}`;
+          state.accountId = JSON.parse(expectOk(await httpFetch(lookupUrl, { timeout: 10000 }), lookupUrl).body).id;
+          if (!state.accountId) throw new Error(`Mastodon 账号不存在: ${acct}`);
+        }
+        url = `${origin}/api/v1/accounts/${state.accountId}/statuses?limit=${count}&exclude_replies=true${reposts ? '' : '&exclude_reblogs=true'}`;
+      }
+      const res = await fetchIfChanged(url, cache, { timeout: 10000 });
+      if (cache) cache.state = state;
+      if (!res) return [];
+      return parseMastodonStatuses(JSON.parse(res.body), { limit, reposts });
+    } catch (e) {
+      // RSS only covers local accounts and the instance's own hashtag timeline
+      if (acct.includes('@')) throw e;
+      const rssUrl = tag ? `${origin}/tags/${encodeURIComponent(tag)}.rss` : `${origin}/@${acct}.rss`;
+      log(`Mastodon API 不可用 (${e.message})，改用 RSS: ${rssUrl}`);
+      // Forget the account ID too, in case it is what went stale
+      if (cache) { cache.etag = null; cache.lastModified = null; cache.state = {}; }
+      const items = await fetchRss(rssUrl, limit);
+      return items.map(i => ({ ...i, title: i.title || postItem({ text: i.description }).title, author: i.author || (acct ? `@${acct}` : '') }));
+    }
+  }
+
+  // ── Bluesky: public AppView XRPC (no auth) ─────────────────────────────────
+  async function fetchBluesky({ handle, limit = 20, reposts = true } = {}, cache) {
+    if (!handle) throw new Error('bluesky Source 需要配置 handle 字段（如 "jay.bsky.team"）');
+    const actor = handle.replace(/^@/, '');
+    const url = `${ep.bluesky}/xrpc/app.bsky.feed.getAuthorFeed?actor=${encodeURIComponent(actor)}&limit=${Math.min(limit, 100)}&filter=posts_no_replies`;
+    const res = await fetchIfChanged(url, cache, { timeout: 10000 });
+    if (!res) return [];
+    return parseBlueskyFeed(JSON.parse(res.body), { limit, reposts });
+  }
+
+  // ── arXiv: export API search by category and keyword ─────────────────────
+  // The API is slow on broad queries; DEFAULT_HOST_LIMITS spaces requests 3s apart as it asks
+  async function fetchArxiv({ categories, keywords, limit = 20 } = {}, cache) {
+    const url = arxivQueryUrl({ categories, keywords, limit: Math.min(limit, 100) }, ep.arxiv);
+    if (!url) throw new Error('arxiv Source 需要配置 categories 或 keywords 字段（如 ["cs.CL"]）');
+    const res = await fetchIfChanged(url, cache, { timeout: 30000 });
+    if (!res) return [];
+    return parseArxivFeed(res.body, { limit });
+  }
+
+  /** Full abstract of an arXiv abs/pdf URL for deep mode, or '' for other URLs. */
+  async function fetchArxivAbstract(url) {
+    const id = arxivId(url);
+    if (!id) return '';
+    const apiUrl = arxivPaperUrl(id, ep.arxiv);
+    const [paper] = parseArxivFeed(expectOk(await httpFetch(apiUrl, { timeout: 30000 }), apiUrl).body);
+    return paper?.abstract || '';
+  }
+
+  // ── Twitter/X via RSSHub (preferred) or Nitter RSS (fallback) ────────────
+  // RSSHub 路由: /twitter/user/:screenName  /twitter/list/:listId
+  // First non-empty instance wins; throws the last error when no instance answered
+  async function fetchNitterRss(path, limit = 20) {
+    let lastError = new Error('未配置 Nitter 实例');
+    let answered = false;
+    for (const instance of nitterInstances) {
+      try {
+        const items = await fetchRss(`${instance}${path}`, limit);
+        if (items.length > 0) return items;
+        answered = true;
+      } catch (e) {
+        lastError = e; // try the next instance
+      }
+    }
+    if (!answered) throw lastError;
+    return [];
+  }
+
+  async function fetchRssHubWithRetry(path, limit = 20, cache) {
+    for (let attempt = 1; attempt <= rsshubRetries; attempt++) {
+      try {
+        const items = await fetchRss(`${RSSHUB_URL}${path}`, limit, cache);
+        if (items.length > 0 || cache?.notModified) return items;
+        if (attempt < rsshubRetries) {
+          log(`RSSHub 返回空结果 (${path})，${rsshubRetryDelayMs / 1000}s 后重试 (${attempt}/${rsshubRetries})`);
+          await sleep(rsshubRetryDelayMs);
+        }
+      } catch (e) {
+        if (attempt >= rsshubRetries) {
+          warn(`RSSHub 请求失败 (${path}: ${e.message})，已用尽重试`);
+          throw e;
+        }
+        log(`RSSHub 请求失败 (${path}: ${e.message})，${rsshubRetryDelayMs / 1000}s 后重试 (${attempt}/${rsshubRetries})`);
+        await sleep(rsshubRetryDelayMs);
+      }
+    }
+    return [];
+  }
+
+  // RSSHub, then Nitter. [] only when one of them answered with an empty feed (or RSSHub with a 304); when they
+  // all failed the last error is thrown, so the source's failure is recorded. Validators only apply to the RSSHub route.
+  async function fetchTwitterRoute({ rsshubPath, nitterPath, what }, limit, cache) {
+    let lastError = null;
+    let answered = false;
+    if (RSSHUB_URL) {
+      try {
+        const items = await fetchRssHubWithRetry(rsshubPath, limit, cache);
+        if (items.length > 0 || cache?.notModified) return items;
+        answered = true;
+      } catch (e) {
+        lastError = e;
+      }
+    }
+
+    try {
+      const items = await fetchNitterRss(nitterPath, limit);
+      if (items.length > 0) return items;
+      answered = true;
+    } catch (e) {
+      lastError = e;
+    }
+    if (answered) return [];
+
+    if (!RSSHUB_URL) {
+      warn(`${what}：未配置 RSSHUB_URL 且所有 Nitter 实例不可用。` +
+        ' 请在 .env 中设置 RSSHUB_URL（自建 RSSHub: https://docs.rsshub.app/deploy/）');
+    } else {
+      warn(`${what}：RSSHub 和 Nitter 均无法获取数据`);
+    }
+    throw lastError;
+  }
+
+  async function fetchTwitterFeed({ username, handle, limit = 20 } = {}, cache) {
+    const raw = username || handle;
+    if (!raw) throw new Error('twitter_feed Source 需要配置 username 或 handle 字段（如 "@karpathy"）');
+    const screenName = raw.replace(/^@/, '');
+    return fetchTwitterRoute({
+      rsshubPath: `/twitter/user/${screenName}`,
+      nitterPath: `/${screenName}/rss`,
+      what: `Twitter/X 采集失败（@${screenName}）`,
+    }, limit, cache);
+  }
+
+  async function fetchTwitterList({ url, limit = 20 } = {}, cache) {
+    if (!url) throw new Error('twitter_list Source 需要配置 url 字段（Twitter 列表页 URL）');
+    const m = url.match(/(?:twitter\.com|x\.com)\/(?:[^/]+\/)?lists?\/([^/?#]+)/i);
+    if (!m) throw new Error(`无法解析 Twitter 列表 URL: ${url}`);
+    const listId = m[1];
+    return fetchTwitterRoute({
+      rsshubPath: `/twitter/list/${listId}`,
+      nitterPath: `/i/lists/${listId}/rss`,
+      what: `Twitter/X 列表采集失败（${listId}）`,
+    }, limit, cache);
+  }
+
+  // ── Dispatcher ───────────────────────────────────────────────────────────
+  // `cache` is optional: { etag, lastModified, state } in, updated validators (and notModified on 304) out;
+  // `state` is collector-specific data persisted between runs (website snapshots, YouTube durations, Mastodon account IDs)
+  async function fetchSource(source, cache) {
+    let config;
+    try {
+      config = typeof source.config === 'string' ? JSON.parse(source.config) : (source.config || {});
+    } catch {
+      config = {};
+    }
+
+    switch (source.type) {
+      case 'rss':
+      case 'atom':
+      case 'digest_feed':
+        return fetchRss(config.url, 20, cache);
+
+      case 'hackernews':
+        return fetchHackerNews(config, cache);
+
+      case 'reddit':
+        return fetchReddit(config, cache);
+
+      case 'github_trending':
+        return fetchGitHubTrending(config, cache);
+
+      case 'twitter_feed':
+        return fetchTwitterFeed(config, cache);
+
+      case 'twitter_list':
+        return fetchTwitterList(config, cache);
+
+      case 'website':
+        return fetchWebsite(config, cache);
+
+      case 'youtube':
+        return fetchYouTube(config, cache);
+
+      case 'mastodon':
+        return fetchMastodon(config, cache);
+
+      case 'bluesky':
+        return fetchBluesky(config, cache);
+
+      case 'arxiv':
+        return fetchArxiv(config, cache);
+
+      default:
+        warn(`暂不支持的 Source 类型: ${source.type} (${source.name})，已跳过`);
+        return [];
+    }
+  }
+
+  return {
+    httpFetch,
+    postJson,
+    fetchRss,
+    fetchHackerNews,
+    fetchHackerNewsComments,
+    fetchReddit,
+    fetchGitHubTrending,
+    fetchWebsite,
+    fetchYouTube,
+    fetchYouTubeTranscript,
+    fetchMastodon,
+    fetchBluesky,
+    fetchArxiv,
+    fetchArxivAbstract,
+    fetchTwitterFeed,
+    fetchTwitterList,
+    fetchSource,
+  };
+}
@@ -0,0 +1,103 @@
+/**
+ * Per-source item filters, configured under `config.filters` of any source type:
+ *
+ *   { include: ["agent", "/\\bLLMs?\\b/"], exclude: ["hiring"], languages: ["en", "zh"], min_score: 50, min_comments: 10 }
+ *
+ * include/exclude entries are keywords (case-insensitive; whole words for Latin-script keywords) or
+ * "/pattern/flags" regexes, matched against title + description (their first MATCH_MAX_CHARS characters).
+ * An item passes when it matches any include (or there are none) and no exclude. Rules come from any user
+ * and run in the shared collector, so regexes are kept short and without nested quantifiers, which can
+ * backtrack for minutes on a single item. Engagement thresholds only apply to items that report
+ * engagement (Hacker News, Reddit, Mastodon, Bluesky); feed items have none and are not held back by them.
+ */
+
+// Scripts that identify a language on their own; anything else with Latin letters counts as "en"
+const SCRIPTS = [
+  ['ko', /[가-힯]/g],
+  ['zh', /[一-鿿]/g],
+  ['ru', /[Ѐ-ӿ]/g],
+  ['ar', /[؀-ۿ]/g],
+];
+
+/**
+ * Script-based language guess: "ja" | "ko" | "zh" | "ru" | "ar" | "en", or '' for text without letters.
+ * Japanese wins whenever kana appear, since Japanese text also uses Han characters.
+ */
+export function detectLanguage(text) {
+  const s = text || '';
+  if (/[぀-ヿ]/.test(s)) return 'ja';
+  let best = '';
+  let bestCount = 0;
+  for (const [lang, re] of SCRIPTS) {
+    const count = (s.match(re) || []).length;
+    if (count > bestCount) { best = lang; bestCount = count; }
+  }
+  const latin = (s.match(/[A-Za-z]/g) || []).length;
+  // A few Han characters in English text (names, quotes) do not make it Chinese
+  if (latin > bestCount * 3) return 'en';
+  return best;
+}
+
+export const RULE_MAX_LENGTH = 200;
+export const MATCH_MAX_CHARS = 4000;
+// A repeated group that repeats or alternates inside — (a+)+, (\w|\d)*, (x{2,}){2,} — backtracks exponentially
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*(?:[+*|]|\{\d+,\d*\})(?:[^()\\]|\\.)*\)(?:[+*]|\{\d+,\d*\})/;
+
+/**
+ * "/pattern/flags" → RegExp (case-insensitive unless flags say otherwise); keywords → word or substring matcher.
+ * @throws on an invalid regex, one longer than RULE_MAX_LENGTH or one with nested quantifiers
+ */
+export function compileRule(rule) {
+  const s = String(rule).trim();
+  const re = s.match(/^\/(.+)\/([a-z]*)$/);
+  if (re) {
+    if (re[1].length > RULE_MAX_LENGTH) throw new Error(`regex ${s.slice(0, 40)}… is longer than ${RULE_MAX_LENGTH} characters`);
+    if (NESTED_QUANTIFIER.test(re[1])) throw new Error(`regex ${s} repeats a group that repeats or alternates inside (e.g. (a+)+), which can hang matching`);
+    return new RegExp(re[1], re[2] || 'i');
+  }
+  const escaped = s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return /^[\w\s-]+$/.test(s) ? new RegExp(`\\b${escaped}\\b`, 'i') : new RegExp(escaped, 'i');
+}
+
+const toList = (v) => (Array.isArray(v) ? v : (v ? [v] : [])).map(String).map(s => s.trim()).filter(Boolean);
+
+/**
+ * Compile a filters config once; the returned function says why an item is dropped, or null to keep it.
+ * @param {{ include?: string[], exclude?: string[], languages?: string[], min_score?: number, min_comments?: number }} [filters]
+ * @returns {((item: object) => string|null) | null} null when the config filters nothing
+ * @throws on an invalid or unsafe regex (see compileRule), so a broken rule fails the source instead of silently passing everything
+ */
+export function compileFilters(filters) {
+  if (!filters || typeof filters !== 'object') return null;
+  const include = toList(filters.include).map(compileRule);
+  const exclude = toList(filters.exclude).map(compileRule);
+  const languages = toList(filters.languages).map(l => l.toLowerCase().split('-')[0]);
+  const minScore = Number(filters.min_score) || 0;
+  const minComments = Number(filters.min_comments) || 0;
+  if (!include.length && !exclude.length && !languages.length && !minScore && !minComments) return null;
+
+  return (item) => {
+    const text = `${item.title || ''}\n${item.description || ''}`.slice(0, MATCH_MAX_CHARS);
+    if (include.length && !include.some(re => re.test(text))) return 'include';
+    if (exclude.some(re => re.test(text))) return 'exclude';
+    if (languages.length) {
+      const lang = detectLanguage(text);
+      if (lang && !languages.includes(lang)) return 'language';
+    }
+    const e = item.engagement;
+    if (e && minScore && (e.score || 0) < minScore) return 'score';
+    if (e && minComments && (e.comments || 0) < minComments) return 'comments';
+    return null;
+  };
+}
+
+/**
+ * Split items by a source's filters.
+ * @returns {{ kept: object[], dropped: number }}
+ */
+export function applySourceFilters(items, filters) {
+  const reject = compileFilters(filters);
+  if (!reject) return { kept: items, dropped: 0 };
+  const kept = items.filter(item => !reject(item));
+  return { kept, dropped: items.length - kept.length };
+}
@@ -0,0 +1,164 @@
+/**
+ * Shared LLM provider layer for digest generation, deep summaries and translation.
+ *
+ * Providers:
+ *   openai    — any OpenAI-compatible /chat/completions endpoint (default: SiliconFlow DeepSeek-V3)
+ *   ollama    — local Ollama /api/chat
+ *   anthropic — Anthropic Messages API
+ *
+ * Config (.env or process env):
+ *   LLM_PROVIDER           openai | ollama | anthropic (default openai)
+ *   LLM_BASE_URL           endpoint base, e.g. https://api.openai.com/v1 (default per provider)
+ *   LLM_API_KEY            falls back to DEEPSEEK_API_KEY; not needed for ollama
+ *   LLM_MODEL              default model for every task
+ *   LLM_MODEL_DIGEST / LLM_MODEL_DEEP / LLM_MODEL_TRANSLATE — per-task overrides
+ *   LLM_TIMEOUT_MS         per-attempt timeout (default 120000)
+ *   LLM_MAX_RETRIES        retries on network errors, timeouts, 429 and 5xx (default 2)
+ */
+
+const PROVIDERS = {
+  openai: {
+    baseUrl: 'https://api.siliconflow.cn/v1',
+    model: 'deepseek-ai/DeepSeek-V3',
+    needsKey: true,
+    request(cfg, model, messages, { temperature, maxTokens }) {
+      return {
+        url: `${cfg.baseUrl}/chat/completions`,
+        headers: { 'Authorization': `Bearer ${cfg.apiKey}` },
+        body: { model, messages, temperature, max_tokens: maxTokens },
+      };
+    },
+    parse: (data) => data.choices?.[0]?.message?.content,
+  },
+  ollama: {
+    baseUrl: 'http://127.0.0.1:11434',
+    model: 'qwen2.5:7b',
+    needsKey: false,
+    request(cfg, model, messages, { temperature, maxTokens }) {
+      return {
+        url: `${cfg.baseUrl}/api/chat`,
+        headers: cfg.apiKey ? { 'Authorization': `Bearer ${cfg.apiKey}` } : {},
+        body: { model, messages, stream: false, options: { temperature, num_predict: maxTokens } },
+      };
+    },
+    parse: (data) => data.message?.content,
+  },
+  anthropic: {
+    baseUrl: 'https://api.anthropic.com',
+    model: 'claude-sonnet-4-5',
+    needsKey: true,
+    request(cfg, model, messages, { temperature, maxTokens }) {
+      // Anthropic takes the system prompt as a top-level field
+      const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+      const body = { model, messages: messages.filter(m => m.role !== 'system'), temperature, max_tokens: maxTokens };
+      if (system) body.system = system;
+      return {
+        url: `${cfg.baseUrl}/v1/messages`,
+        headers: { 'x-api-key': cfg.apiKey, 'anthropic-version': '2023-06-01' },
+        body,
+      };
+    },
+    parse: (data) => (data.content || []).filter(b => b.type === 'text').map(b => b.text).join(''),
+  },
+};
+
+class LlmError extends Error {
+  constructor(message, { status, retryable = false } = {}) {
+    super(message);
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Build provider config from an env map (callers pass `{ ...process.env, ...dotenv }`).
+ * @param {Record<string, string|undefined>} env
+ */
+export function llmConfigFromEnv(env = process.env) {
+  const provider = (env.LLM_PROVIDER || 'openai').toLowerCase();
+  const preset = PROVIDERS[provider];
+  if (!preset) throw new Error(`Unknown LLM_PROVIDER "${provider}" (expected ${Object.keys(PROVIDERS).join(' | ')})`);
+  const model = env.LLM_MODEL || preset.model;
+  return {
+    provider,
+    baseUrl: (env.LLM_BASE_URL || preset.baseUrl).replace(/\/+$/, ''),
+    apiKey: env.LLM_API_KEY || env.DEEPSEEK_API_KEY || '',
+    models: {
+      digest: env.LLM_MODEL_DIGEST || model,
+      deep: env.LLM_MODEL_DEEP || model,
+      translate: env.LLM_MODEL_TRANSLATE || model,
+    },
+    timeoutMs: parseInt(env.LLM_TIMEOUT_MS || '120000', 10),
+    maxRetries: parseInt(env.LLM_MAX_RETRIES ?? '2', 10),
+  };
+}
+
+/**
+ * Create an LLM client.
+ * `chat(task, messages, opts)` resolves to the reply text and throws on HTTP errors or empty replies.
+ * Retries wait `cfg.retryDelayMs` (default 1000), doubling each time.
+ * @param {ReturnType<typeof llmConfigFromEnv> & { retryDelayMs?: number }} cfg
+ */
+export function createLlm(cfg) {
+  const preset = PROVIDERS[cfg.provider];
+  if (!preset) throw new Error(`Unknown LLM provider "${cfg.provider}"`);
+  const retryDelayMs = cfg.retryDelayMs ?? 1000;
+
+  async function attempt(model, messages, opts) {
+    const { url, headers, body } = preset.request(cfg, model, messages, opts);
+    let res;
+    try {
+      res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(cfg.timeoutMs),
+      });
+    } catch (e) {
+      const timedOut = e.name === 'TimeoutError' || e.name === 'AbortError';
+      throw new LlmError(timedOut ? `${cfg.provider} request timed out (${cfg.timeoutMs / 1000}s)` : `${cfg.provider} request failed: ${e.cause?.message || e.message}`, { retryable: true });
+    }
+    const text = await res.text();
+    let data;
+    try { data = JSON.parse(text); } catch {
+      throw new LlmError(`Invalid JSON from ${cfg.provider} (HTTP ${res.status}): ${text.slice(0, 300)}`, { status: res.status, retryable: res.status >= 500 });
+    }
+    if (!res.ok) {
+      const msg = data.error?.message || data.error?.msg || (typeof data.error === 'string' ? data.error : '') || text.slice(0, 300);
+      throw new LlmError(`${cfg.provider} HTTP ${res.status}: ${msg}`, { status: res.status, retryable: res.status === 429 || res.status >= 500 });
+    }
+    const content = preset.parse(data)?.trim();
+    if (!content) throw new LlmError(data.error?.message || data.error?.msg || `${cfg.provider} returned empty content`);
+    return content;
+  }
+
+  const configured = !preset.needsKey || !!cfg.apiKey;
+  const modelFor = (task) => cfg.models[task] || cfg.models.digest;
+
+  return {
+    provider: cfg.provider,
+    configured,
+    modelFor,
+
+    /**
+     * @param {'digest'|'deep'|'translate'} task - picks the model
+     * @param {{ role: string, content: string }[]} messages
+     * @param {{ model?: string, temperature?: number, maxTokens?: number }} opts
+     * @returns {Promise<string>}
+     */
+    async chat(task, messages, { model, temperature = 0.7, maxTokens = 4096 } = {}) {
+      if (!configured) throw new Error(`LLM API key not configured (provider: ${cfg.provider})`);
+      const useModel = model || modelFor(task);
+      for (let i = 0; ; i++) {
+        try {
+          return await attempt(useModel, messages, { temperature, maxTokens });
+        } catch (e) {
+          if (!e.retryable || i >= cfg.maxRetries) throw e;
+          await sleep(retryDelayMs * 2 ** i);
+        }
+      }
+    },
+  };
+}
@@ -0,0 +1,160 @@
+/**
+ * Versioned schema migrations: every migrations/NNN_name.sql runs once, in order, inside a transaction,
+ * and is recorded in schema_migrations. An optional NNN_name.down.sql next to it undoes it.
+ *
+ * Databases created before schema_migrations existed are adopted on first run: their migrations are
+ * replayed statement by statement, skipping "duplicate column" / "already exists" (what the old
+ * hand-written chain in getDb did), then recorded. After that, any migration error aborts.
+ *
+ * A migration whose data change needs JS (parsing SQLite cannot do) registers a step in DATA_STEPS under
+ * its name; the step runs after the file's SQL, in the same transaction, so it too runs exactly once.
+ */
+
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { backfillBulletItems } from './digest-items.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const MIGRATIONS_DIR = join(__dirname, '..', 'migrations');
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.sql$/;
+
+// migration name → (db) => void, run after that migration's SQL
+export const DATA_STEPS = {
+  '021_digest_item_bullets': backfillBulletItems,
+};
+
+/**
+ * Migration files in version order.
+ * @returns {{ version: number, name: string, up: string, down: string|null }[]}
+ * @throws when two files share a version number
+ */
+export function listMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+  for (const file of readdirSync(dir).sort()) {
+    if (file.endsWith('.down.sql')) continue;
+    const m = file.match(MIGRATION_FILE);
+    if (!m) continue;
+    const name = file.slice(0, -'.sql'.length);
+    const down = join(dir, `${name}.down.sql`);
+    migrations.push({ version: Number(m[1]), name, up: join(dir, file), down: existsSync(down) ? down : null });
+  }
+  migrations.sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`duplicate migration version ${migrations[i].version}: ${migrations[i - 1].name}, ${migrations[i].name}`);
+    }
+  }
+  return migrations;
+}
+
+function ensureTable(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+  )`);
+}
+
+function appliedVersions(db) {
+  const hasTable = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'").get();
+  if (!hasTable) return new Map();
+  return new Map(db.prepare('SELECT version, applied_at FROM schema_migrations').all().map(r => [r.version, r.applied_at]));
+}
+
+// A pre-runner database: has the app's tables but nothing recorded
+function isLegacy(db, applied) {
+  return applied.size === 0 && !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'digests'").get();
+}
+
+/**
+ * Every migration with the time it was applied (null when pending).
+ * @returns {{ version: number, name: string, appliedAt: string|null, hasDown: boolean }[]}
+ */
+export function migrationStatus(db, { dir = MIGRATIONS_DIR } = {}) {
+  const applied = appliedVersions(db);
+  return listMigrations(dir).map(m => ({ version: m.version, name: m.name, appliedAt: applied.get(m.version) || null, hasDown: !!m.down }));
+}
+
+const TOLERATED = /duplicate column|already exists/;
+
+// Statements of a migration file, comments dropped; trigger bodies keep their inner semicolons
+function splitStatements(sql) {
+  const statements = [];
+  let current = '';
+  for (const part of sql.replace(/--[^\n]*/g, '').split(';')) {
+    current += part + ';';
+    if (/^\s*CREATE\s+(TEMP\s+)?TRIGGER\b/i.test(current) && !/\bEND\s*;$/i.test(current.trim())) continue;
+    if (current.trim() !== ';') statements.push(current.trim());
+    current = '';
+  }
+  return statements;
+}
+
+function replayTolerant(db, sql) {
+  for (const stmt of splitStatements(sql)) {
+    try { db.exec(stmt); } catch (e) {
+      if (!TOLERATED.test(e.message)) throw e;
+    }
+  }
+}
+
+/**
+ * Apply pending migrations in order, each in its own transaction together with its data step.
+ * @param {{ dir?: string, dryRun?: boolean, steps?: Record<string, (db) => void> }} [opts] - dryRun reports what would
+ *   run without touching the database; steps replaces DATA_STEPS
+ * @returns {{ applied: string[], adopted: boolean }} adopted is true when a pre-runner database was taken over
+ * @throws `migration <name> failed: ...` — that migration is rolled back and later ones are not attempted
+ */
+export function migrate(db, { dir = MIGRATIONS_DIR, dryRun = false, steps = DATA_STEPS } = {}) {
+  const applied = appliedVersions(db);
+  const adopted = isLegacy(db, applied);
+  const pending = listMigrations(dir).filter(m => !applied.has(m.version));
+  if (dryRun || !pending.length) return { applied: pending.map(m => m.name), adopted };
+
+  ensureTable(db);
+  const record = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+  for (const m of pending) {
+    const sql = readFileSync(m.up, 'utf8');
+    try {
+      db.transaction(() => {
+        if (adopted) replayTolerant(db, sql);
+        else db.exec(sql);
+        steps[m.name]?.(db);
+        record.run(m.version, m.name);
+      })();
+    } catch (e) {
+      throw new Error(`migration ${m.name} failed: ${e.message}`);
+    }
+  }
+  return { applied: pending.map(m => m.name), adopted };
+}
+
+/**
+ * Undo the most recently applied migrations with their .down.sql files, newest first.
+ * @param {{ dir?: string, steps?: number, dryRun?: boolean }} [opts]
+ * @returns {{ rolledBack: string[] }}
+ * @throws before touching anything when one of them has no down migration
+ */
+export function rollback(db, { dir = MIGRATIONS_DIR, steps = 1, dryRun = false } = {}) {
+  const applied = appliedVersions(db);
+  const targets = listMigrations(dir).filter(m => applied.has(m.version)).reverse().slice(0, steps);
+  const missing = targets.find(m => !m.down);
+  if (missing) throw new Error(`migration ${missing.name} has no down migration (${missing.name}.down.sql)`);
+  if (dryRun) return { rolledBack: targets.map(m => m.name) };
+
+  const unrecord = db.prepare('DELETE FROM schema_migrations WHERE version = ?');
+  for (const m of targets) {
+    const sql = readFileSync(m.down, 'utf8');
+    try {
+      db.transaction(() => {
+        db.exec(sql);
+        unrecord.run(m.version);
+      })();
+    } catch (e) {
+      throw new Error(`rollback of ${m.name} failed: ${e.message}`);
+    }
+  }
+  return { rolledBack: targets.map(m => m.name) };
+}
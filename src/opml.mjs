@@ -0,0 +1,160 @@
+/**
+ * OPML 2.0 import/export for subscriptions.
+ *
+ * Exported outlines carry standard xmlUrl/htmlUrl where a source has one, so other readers can use
+ * them, plus clawfeedType/clawfeedConfig so a ClawFeed import restores non-feed sources exactly.
+ */
+
+import sax from 'sax';
+import { youtubeFeedUrl, youtubePageUrl } from './youtube.mjs';
+import { arxivQueryUrl, arxivPageUrl } from './arxiv.mjs';
+
+// Folder each source type is exported under
+const TYPE_FOLDERS = {
+  rss: 'RSS',
+  atom: 'RSS',
+  digest_feed: 'Digests',
+  website: 'Websites',
+  reddit: 'Reddit',
+  youtube: 'YouTube',
+  arxiv: 'arXiv',
+  hackernews: 'Hacker News',
+  github_trending: 'GitHub',
+  twitter_feed: 'X / Twitter',
+  twitter_list: 'X / Twitter',
+  mastodon: 'Mastodon',
+  bluesky: 'Bluesky',
+};
+
+// Import cap per file
+export const OPML_MAX_OUTLINES = 500;
+
+const escXml = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function parseJson(s) {
+  try { return typeof s === 'string' ? JSON.parse(s) : (s || {}); } catch { return {}; }
+}
+
+/**
+ * Feed and page URLs other readers understand, where the source type has them.
+ * @param {{ type: string, config: string|object, collector_state?: string }} source
+ * @returns {{ xmlUrl?: string, htmlUrl?: string }}
+ */
+export function sourceUrls(source) {
+  const config = parseJson(source.config);
+  switch (source.type) {
+    case 'rss':
+    case 'atom':
+    case 'digest_feed':
+      return { xmlUrl: config.url };
+    case 'website':
+      // A discovered feed is more useful to another reader than the page
+      return { xmlUrl: parseJson(source.collector_state).feedUrl, htmlUrl: config.url };
+    case 'reddit':
+      return config.subreddit ? {
+        xmlUrl: `https://www.reddit.com/r/${config.subreddit}/.rss`,
+        htmlUrl: `https://www.reddit.com/r/${config.subreddit}/`,
+      } : {};
+    case 'youtube':
+      return { xmlUrl: youtubeFeedUrl(config) || undefined, htmlUrl: youtubePageUrl(config) || undefined };
+    case 'arxiv':
+      // The API query is itself an Atom feed
+      return { xmlUrl: arxivQueryUrl(config) || undefined, htmlUrl: arxivPageUrl(config) || undefined };
+    case 'mastodon': {
+      if (!config.instance) return {};
+      const origin = (/^https?:\/\//i.test(config.instance) ? config.instance : `https://${config.instance}`).replace(/\/+$/, '');
+      const account = (config.account || '').replace(/^@/, '');
+      const tag = (config.hashtag || '').replace(/^#/, '');
+      if (tag) return { xmlUrl: `${origin}/tags/${encodeURIComponent(tag)}.rss`, htmlUrl: `${origin}/tags/${encodeURIComponent(tag)}` };
+      // Instance RSS only exists for local accounts
+      return account ? { xmlUrl: account.includes('@') ? undefined : `${origin}/@${account}.rss`, htmlUrl: `${origin}/@${account}` } : {};
+    }
+    case 'bluesky':
+      return config.handle ? {
+        xmlUrl: `https://bsky.app/profile/${config.handle.replace(/^@/, '')}/rss`,
+        htmlUrl: `https://bsky.app/profile/${config.handle.replace(/^@/, '')}`,
+      } : {};
+    case 'hackernews':
+      return { htmlUrl: 'https://news.ycombinator.com/' };
+    case 'twitter_list':
+      return { htmlUrl: config.list_url };
+    case 'twitter_feed':
+      return /^@?\w+$/.test(config.handle || '') ? { htmlUrl: `https://x.com/${config.handle.replace(/^@/, '')}` } : {};
+    default:
+      return {};
+  }
+}
+
+/**
+ * Serialize sources as OPML, one folder per source kind (TYPE_FOLDERS order).
+ * @param {object[]} sources - rows with name, type, config (and collector_state for websites)
+ * @param {{ title?: string, ownerName?: string, dateCreated?: Date }} [meta]
+ */
+export function buildOpml(sources, { title = 'ClawFeed subscriptions', ownerName = '', dateCreated = new Date() } = {}) {
+  const folders = new Map();
+  for (const s of sources) {
+    const folder = TYPE_FOLDERS[s.type] || s.type;
+    if (!folders.has(folder)) folders.set(folder, []);
+    folders.get(folder).push(s);
+  }
+  const order = [...new Set(Object.values(TYPE_FOLDERS))];
+  const names = [...folders.keys()].sort((a, b) => (order.indexOf(a) + 1 || 99) - (order.indexOf(b) + 1 || 99));
+
+  const outline = (s) => {
+    const { xmlUrl, htmlUrl } = sourceUrls(s);
+    const config = typeof s.config === 'string' ? s.config : JSON.stringify(s.config || {});
+    return `      <outline text="${escXml(s.name)}" title="${escXml(s.name)}"`
+      + (xmlUrl ? ` type="rss" xmlUrl="${escXml(xmlUrl)}"` : '')
+      + (htmlUrl ? ` htmlUrl="${escXml(htmlUrl)}"` : '')
+      + ` clawfeedType="${escXml(s.type)}" clawfeedConfig="${escXml(config)}"/>`;
+  };
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n<opml version="2.0">\n  <head>\n'
+    + `    <title>${escXml(title)}</title>\n`
+    + `    <dateCreated>${dateCreated.toUTCString()}</dateCreated>\n`
+    + (ownerName ? `    <ownerName>${escXml(ownerName)}</ownerName>\n` : '')
+    + '  </head>\n  <body>\n'
+    + names.map(f => `    <outline text="${escXml(f)}" title="${escXml(f)}">\n${folders.get(f).map(outline).join('\n')}\n    </outline>`).join('\n')
+    + (names.length ? '\n' : '')
+    + '  </body>\n</opml>\n';
+}
+
+/**
+ * Flatten an OPML document into its subscription outlines (ones with xmlUrl, htmlUrl or clawfeedType).
+ * Nested folders are recorded as a " / "-joined path.
+ * @param {string} xml
+ * @returns {{ title: string, xmlUrl: string, htmlUrl: string, folder: string, clawfeedType: string, clawfeedConfig: string }[]}
+ */
+export function parseOpml(xml) {
+  const parser = sax.parser(false, { lowercase: true });
+  const outlines = [];
+  const folders = [];
+  const stack = [];
+  let sawOpml = false;
+  let error = null;
+
+  parser.onerror = (e) => {
+    error = error || e;
+    parser.error = null;
+    parser.resume();
+  };
+  parser.onopentag = ({ name, attributes: a }) => {
+    if (name === 'opml') sawOpml = true;
+    if (name !== 'outline') return;
+    const attr = (k) => String(a[k.toLowerCase()] ?? '').trim();
+    const title = attr('title') || attr('text');
+    const entry = { title, xmlUrl: attr('xmlUrl'), htmlUrl: attr('htmlUrl'), folder: folders.join(' / '), clawfeedType: attr('clawfeedType'), clawfeedConfig: attr('clawfeedConfig') };
+    const isFeed = entry.xmlUrl || entry.htmlUrl || entry.clawfeedType;
+    if (isFeed) outlines.push(entry);
+    // Only outlines that are not themselves subscriptions act as folders (sax also closes self-closing tags)
+    stack.push(!isFeed);
+    if (!isFeed) folders.push(title);
+  };
+  parser.onclosetag = (name) => {
+    if (name === 'outline' && stack.length && stack.pop()) folders.pop();
+  };
+
+  parser.write(xml).close();
+  if (!sawOpml) throw new Error(error ? `invalid OPML: ${error.message.split('\n')[0]}` : 'invalid OPML: no <opml> element');
+  return outlines;
+}
@@ -0,0 +1,88 @@
+/**
+ * Fetch scheduling: a global concurrency cap over sources plus per-host budgets over HTTP requests,
+ * so RSSHub, reddit.com, etc. are throttled independently and a run takes as long as its slowest host.
+ */
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Built-in budgets for hosts known to rate-limit anonymous clients
+export const DEFAULT_HOST_LIMITS = {
+  'reddit.com': { concurrency: 1, delayMs: 2000 },
+  'github.com': { concurrency: 1, delayMs: 1000 },
+  // Watch-page lookups for durations and transcripts come in bursts
+  'youtube.com': { concurrency: 2, delayMs: 500 },
+  // export.arxiv.org asks API clients for one request every 3 seconds
+  'arxiv.org': { concurrency: 1, delayMs: 3000 },
+};
+
+function hostOf(url) {
+  try { return new URL(url).hostname.toLowerCase(); } catch { return ''; }
+}
+
+/**
+ * Per-host limiter. A host matches a `hosts` key exactly or as a subdomain (www.reddit.com → reddit.com),
+ * and all hosts matching one key share its budget.
+ * @param {{ concurrency?: number, delayMs?: number, hosts?: Record<string, { concurrency?: number, delayMs?: number }> }} options
+ *   concurrency/delayMs are the defaults for hosts without an entry; delayMs is the minimum gap between request starts
+ */
+export function createHostLimiter({ concurrency = 2, delayMs = 0, hosts = {} } = {}) {
+  const rules = Object.entries(hosts).map(([host, limits]) => [host.toLowerCase(), limits]);
+  const buckets = new Map();
+
+  function bucketFor(host) {
+    const rule = rules.find(([key]) => host === key || host.endsWith(`.${key}`));
+    const key = rule ? rule[0] : host;
+    if (!buckets.has(key)) {
+      buckets.set(key, {
+        concurrency: Math.max(1, (rule?.[1].concurrency ?? concurrency) || 1),
+        delayMs: (rule?.[1].delayMs ?? delayMs) || 0,
+        active: 0,
+        queue: [],
+        nextStart: 0,
+      });
+    }
+    return buckets.get(key);
+  }
+
+  function pump(bucket) {
+    while (bucket.active < bucket.concurrency && bucket.queue.length) {
+      const job = bucket.queue.shift();
+      bucket.active++;
+      const now = Date.now();
+      const wait = Math.max(0, bucket.nextStart - now);
+      bucket.nextStart = Math.max(now, bucket.nextStart) + bucket.delayMs;
+      sleep(wait)
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => { bucket.active--; pump(bucket); });
+    }
+  }
+
+  /** Run `task()` once the host of `url` has a free slot. */
+  function run(url, task) {
+    const bucket = bucketFor(hostOf(url));
+    return new Promise((resolve, reject) => {
+      bucket.queue.push({ task, resolve, reject });
+      pump(bucket);
+    });
+  }
+
+  return { run };
+}
+
+/**
+ * Like Promise.all(items.map(fn)) but with at most `limit` calls in flight. Results keep input order;
+ * the first rejection rejects the whole call, so `fn` should handle its own errors.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit || 1), items.length) }, worker));
+  return results;
+}
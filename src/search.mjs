@@ -0,0 +1,96 @@
+/**
+ * Search query helpers for the search_index FTS5 table (migrations/018_search.sql).
+ *
+ * The index uses the trigram tokenizer, so a term matches as a substring in any language — but only
+ * terms of 3+ characters can use the index. Shorter ones ("AI", "融资") fall back to LIKE over the row.
+ */
+
+export const SEARCH_KINDS = ['digest', 'item', 'mark'];
+export const DIGEST_TYPES = ['4h', 'daily', 'weekly', 'monthly'];
+
+const SNIPPET_RADIUS = 80;
+
+/** Terms of a query: whitespace-separated words, "quoted phrases" kept whole. */
+export function parseSearchQuery(q) {
+  const terms = [];
+  for (const m of String(q || '').matchAll(/"([^"]*)"|(\S+)/g)) {
+    const term = (m[1] ?? m[2]).trim();
+    if (term) terms.push(term);
+  }
+  return terms;
+}
+
+/**
+ * Split terms into an FTS5 MATCH expression (3+ characters, ANDed) and LIKE patterns for the rest.
+ * @returns {{ match: string|null, likes: string[] }}
+ */
+export function buildSearchMatch(terms) {
+  const long = terms.filter(t => [...t].length >= 3);
+  const short = terms.filter(t => [...t].length < 3);
+  return {
+    match: long.length ? long.map(t => `"${t.replace(/"/g, '""')}"`).join(' AND ') : null,
+    likes: short.map(t => `%${t.replace(/[\\%_]/g, '\\$&')}%`),
+  };
+}
+
+/**
+ * 'YYYY-MM-DD' or an ISO time → 'YYYY-MM-DD HH:MM:SS' UTC for comparing with created_at.
+ * A bare date used as an upper bound covers that whole day.
+ * @returns {string|null} null when the value is not a date
+ */
+export function toSqlTime(value, { endOfDay = false } = {}) {
+  const s = String(value || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return `${s} ${endOfDay ? '23:59:59' : '00:00:00'}`;
+  const d = new Date(s);
+  return s && !isNaN(d.getTime()) ? d.toISOString().slice(0, 19).replace('T', ' ') : null;
+}
+
+const escHtml = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const escRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** HTML-escaped text with every occurrence of the terms wrapped in <mark>. */
+export function highlight(text, terms) {
+  const s = String(text || '');
+  if (!terms.length) return escHtml(s);
+  const re = new RegExp(terms.map(escRe).sort((a, b) => b.length - a.length).join('|'), 'gi');
+  let out = '';
+  let last = 0;
+  for (const m of s.matchAll(re)) {
+    out += escHtml(s.slice(last, m.index)) + `<mark>${escHtml(m[0])}</mark>`;
+    last = m.index + m[0].length;
+  }
+  return out + escHtml(s.slice(last));
+}
+
+/** A window of the text around the first matching term, highlighted; the start of the text when none match. */
+export function searchSnippet(text, terms, radius = SNIPPET_RADIUS) {
+  const s = String(text || '').replace(/\s+/g, ' ').trim();
+  const lower = s.toLowerCase();
+  const hits = terms.map(t => lower.indexOf(t.toLowerCase())).filter(i => i >= 0);
+  const at = hits.length ? Math.min(...hits) : 0;
+  const start = Math.max(0, at - radius);
+  const end = Math.min(s.length, at + radius);
+  return (start > 0 ? '…' : '') + highlight(s.slice(start, end), terms) + (end < s.length ? '…' : '');
+}
+
+const RELATED_STOPWORDS = new Set(['about', 'after', 'from', 'have', 'into', 'more', 'over', 'than', 'that', 'their', 'this', 'what', 'when', 'will', 'with', 'your']);
+const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+/**
+ * A MATCH expression for text sharing words with a title ("related items"): Latin words of 4+ letters, minus common
+ * ones, and every 3-character window of CJK words, ORed so that bm25 ranks by how much is shared.
+ * @returns {string|null} null when the title has nothing to match on
+ */
+export function relatedItemsMatch(title, maxTerms = 16) {
+  const terms = new Set();
+  for (const word of String(title || '').toLowerCase().split(/[^\p{L}\p{N}]+/u)) {
+    const chars = [...word];
+    if (CJK.test(word)) {
+      for (let i = 0; i + 3 <= chars.length; i++) terms.add(chars.slice(i, i + 3).join(''));
+    } else if (chars.length >= 4 && !RELATED_STOPWORDS.has(word)) {
+      terms.add(word);
+    }
+  }
+  const list = [...terms].slice(0, maxTerms);
+  return list.length ? list.map(t => `"${t}"`).join(' OR ') : null;
+}
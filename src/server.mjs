@@ -8,8 +8,17 @@ import { spawn } from 'child_process';
 import { randomBytes, createHmac, timingSafeEqual } from 'crypto';
 import { lookup } from 'dns/promises';
 import { isIP } from 'net';
-import { getDb, listDigests, getDigest, createDigest, listMarks, createMark, deleteMark, getConfig, setConfig, upsertUser, createSession, getSession, deleteSession, listSources, getSource, createSource, updateSource, deleteSource, getSourceByTypeConfig, getUserBySlug, listDigestsByUser, countDigestsByUser, createPack, getPack, getPackBySlug, listPacks, incrementPackInstall, deletePack, listSubscriptions, subscribe, unsubscribe, bulkSubscribe, isSubscribed, createFeedback, getUserFeedback, getAllFeedback, replyToFeedback, updateFeedbackStatus, markFeedbackRead, getUnreadFeedbackCount, upsertPhoneUser, createSmsOtp, verifySmsOtp, cleanExpiredOtps } from './db.mjs';
+import { getDb, listDigests, getDigest, createDigest, listDigestItems, getDigestItem, listItemAppearances, listRelatedItems, searchIndex, listMarks, createMark, deleteMark, getConfig, setConfig, upsertUser, createSession, getSession, deleteSession, listSources, getSource, createSource, updateSource, deleteSource, getSourceByTypeConfig, getSourceHealth, resetSourceHealth, getUserBySlug, listDigestsByUser, countDigestsByUser, createPack, getPack, getPackBySlug, listPacks, incrementPackInstall, deletePack, listSubscriptions, subscribe, unsubscribe, bulkSubscribe, isSubscribed, getSubscription, updateSubscription, SUBSCRIPTION_WEIGHT_MIN, SUBSCRIPTION_WEIGHT_MAX, createFeedback, getUserFeedback, getAllFeedback, replyToFeedback, updateFeedbackStatus, markFeedbackRead, getUnreadFeedbackCount, upsertPhoneUser, createSmsOtp, verifySmsOtp, cleanExpiredOtps } from './db.mjs';
 import { translateText, translateRssItems } from './translate.mjs';
+import { createLlm, llmConfigFromEnv } from './llm.mjs';
+import { parseFeedDocument } from './feed-parser.mjs';
+import { decodeHtml, findFeedCandidates } from './website.mjs';
+import { parseOpml, buildOpml, OPML_MAX_OUTLINES } from './opml.mjs';
+import { mapWithConcurrency } from './scheduler.mjs';
+import { parseYouTubeUrl, youtubeFeedUrl, extractChannelId, YOUTUBE_ORIGIN } from './youtube.mjs';
+import { parseArxivUrl, arxivQueryUrl, arxivPaperUrl, parseArxivFeed } from './arxiv.mjs';
+import { compileFilters } from './filters.mjs';
+import { parseSearchQuery, buildSearchMatch, toSqlTime, highlight, searchSnippet, relatedItemsMatch, SEARCH_KINDS, DIGEST_TYPES } from './search.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT = join(__dirname, '..');
@@ -33,7 +42,7 @@ const API_KEY = env.API_KEY || process.env.API_KEY || '';
 const ALLOWED_ORIGINS = (env.ALLOWED_ORIGINS || process.env.ALLOWED_ORIGINS || 'localhost').split(',').map(o => o.trim()).filter(Boolean);
 const PORT = process.env.DIGEST_PORT || env.DIGEST_PORT || 8767;
 const OAUTH_STATE_SECRET = env.OAUTH_STATE_SECRET || process.env.OAUTH_STATE_SECRET || SESSION_SECRET || API_KEY || 'dev-state-secret';
-const DEEPSEEK_API_KEY = env.DEEPSEEK_API_KEY || process.env.DEEPSEEK_API_KEY || '';
+const llm = createLlm(llmConfigFromEnv({ ...process.env, ...env }));
 const SMS_ACCESS_KEY_ID = env.SMS_ACCESS_KEY_ID || process.env.SMS_ACCESS_KEY_ID || '';
 const SMS_ACCESS_KEY_SECRET = env.SMS_ACCESS_KEY_SECRET || process.env.SMS_ACCESS_KEY_SECRET || '';
 const SMS_SIGN_NAME = env.SMS_SIGN_NAME || process.env.SMS_SIGN_NAME || '';
@@ -276,8 +285,41 @@ function _digestTitle(d, ca) {
   return `${icons[d.type] || '📝'} ${labels[d.type] || 'ClawFeed'} | ${timeStr} SGT`;
 }
 
+const escHtml = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// <title> plus OpenGraph / Twitter card tags for a shared /item/:id link, which Lark and Slack render as the preview
+function _itemHeadTags(item, pageUrl) {
+  const title = item.title || item.url;
+  const description = item.summary.length > 200 ? item.summary.slice(0, 199) + '…' : item.summary;
+  const og = { 'og:type': 'article', 'og:site_name': 'ClawFeed', 'og:title': title, 'og:description': description, 'og:url': pageUrl };
+  return [
+    `<title>${escHtml(title)} · ClawFeed</title>`,
+    `<meta name="description" content="${escHtml(description)}">`,
+    ...Object.entries(og).map(([k, v]) => `<meta property="${k}" content="${escHtml(v)}">`),
+    '<meta name="twitter:card" content="summary">',
+  ].join('\n');
+}
+
+// digest_items row (with its digest's type and time) → API shape
+function _itemJson(i) {
+  return {
+    id: i.id, title: i.title, url: i.url, summary: i.summary, category: i.category, source: i.source, sources: _itemSources(i),
+    digestId: i.digest_id, digestType: i.digest_type, position: i.position, createdAt: i.created_at,
+  };
+}
+
+// Every source a digest item's story was merged from: [{ source, url }]
+function _itemSources(i) {
+  try { return JSON.parse(i.sources_json || '[]'); } catch { return []; }
+}
+
+// Names of the other sources that carried an item's story ("也见于 ..."), without its own source
+function _alsoCoveredBy(i) {
+  return [...new Set(_itemSources(i).map(s => s.source).filter(name => name && name !== i.source))];
+}
+
 // ── Source URL resolver ──
-async function httpFetch(url, timeout = 5000, redirectsLeft = 3) {
+async function httpFetch(url, timeout = 5000, redirectsLeft = 3, maxBytes = 200000) {
   await assertSafeFetchUrl(url);
   return new Promise((resolve, reject) => {
     const mod = url.startsWith('https') ? https : http;
@@ -287,11 +329,19 @@ async function httpFetch(url, timeout = 5000, redirectsLeft = 3) {
           clearTimeout(timer);
           if (redirectsLeft <= 0) return reject(new Error('too many redirects'));
           const nextUrl = new URL(resp.headers.location, url).toString();
-          return resolve(await httpFetch(nextUrl, Math.max(1000, timeout - 1000), redirectsLeft - 1));
+          return resolve(await httpFetch(nextUrl, Math.max(1000, timeout - 1000), redirectsLeft - 1, maxBytes));
         }
-        let data = '';
-        resp.on('data', c => { data += c; if (data.length > 200000) resp.destroy(); });
-        resp.on('end', () => { clearTimeout(timer); resolve({ contentType: resp.headers['content-type'] || '', body: data }); });
+        const chunks = [];
+        let size = 0;
+        const done = () => {
+          clearTimeout(timer);
+          const buffer = Buffer.concat(chunks);
+          resolve({ contentType: resp.headers['content-type'] || '', body: buffer.toString('utf8'), buffer });
+        };
+        resp.on('data', c => { chunks.push(c); size += c.length; if (size > maxBytes) resp.destroy(); });
+        resp.on('end', done);
+        // Past maxBytes the response is destroyed without 'end'; keep what was read
+        resp.on('close', done);
       } catch (e) {
         clearTimeout(timer);
         reject(e);
@@ -302,22 +352,88 @@ async function httpFetch(url, timeout = 5000, redirectsLeft = 3) {
   });
 }
 
-function extractRssPreview(xml) {
-  const items = [];
-  const re = /<item[^>]*>([\s\S]*?)<\/item>|<entry[^>]*>([\s\S]*?)<\/entry>/gi;
-  let m;
-  while ((m = re.exec(xml)) && items.length < 5) {
-    const block = m[1] || m[2];
-    const t = block.match(/<title[^>]*>(?:<!\[CDATA\[)?(.*?)(?:\]\]>)?<\/title>/i);
-    const l = block.match(/<link[^>]*href=["']([^"']+)["']/i) || block.match(/<link[^>]*>(.*?)<\/link>/i);
-    items.push({ title: t ? t[1].trim() : '(untitled)', url: l ? l[1].trim() : '' });
+function extractRssPreview(feed) {
+  // The description is kept so filter rules preview the same way they run
+  return feed.items.map(i => ({ title: i.title || '(untitled)', url: i.url, description: (i.description || '').slice(0, 200) }));
+}
+
+// A source config whose filters do not compile (bad regex) is rejected up front rather than failing every fetch
+function configFiltersError(config) {
+  let parsed;
+  try { parsed = typeof config === 'string' ? JSON.parse(config) : config; } catch { return null; }
+  try {
+    compileFilters(parsed?.filters);
+    return null;
+  } catch (e) {
+    return `invalid filters: ${e.message}`;
+  }
+}
+
+// YouTube pages are large; the channel ID is in the <head> or early ytInitialData
+const YOUTUBE_PAGE_MAX_BYTES = 1500000;
+
+async function resolveYouTube(ref) {
+  let config;
+  if (ref.kind === 'playlist') config = { playlist_id: ref.id };
+  else if (ref.kind === 'channel') config = { channel_id: ref.id };
+  else {
+    // Handles, /user/ and /c/ URLs and videos only name their channel on the page
+    const pagePath = { video: `/watch?v=${ref.id}`, handle: `/${encodeURIComponent(ref.id)}`, user: `/user/${encodeURIComponent(ref.id)}`, custom: `/c/${encodeURIComponent(ref.id)}` }[ref.kind];
+    const page = await httpFetch(`${YOUTUBE_ORIGIN}${pagePath}`, 8000, 3, YOUTUBE_PAGE_MAX_BYTES);
+    const channelId = extractChannelId(page.body);
+    if (!channelId) throw new Error('cannot find YouTube channel');
+    config = { channel_id: channelId };
+  }
+  const resp = await httpFetch(youtubeFeedUrl(config));
+  const feed = parseFeedDocument(resp.buffer, { limit: 5, contentType: resp.contentType });
+  if (!feed.format) throw new Error('YouTube feed unavailable');
+  return { name: feed.title || 'YouTube', type: 'youtube', config, icon: '▶️', preview: extractRssPreview(feed) };
+}
+
+// Listing/RSS URLs name their categories; a paper follows its primary category
+async function resolveArxiv(ref) {
+  let categories = ref.categories;
+  if (ref.kind === 'paper') {
+    const [paper] = parseArxivFeed((await httpFetch(arxivPaperUrl(ref.id), 15000)).body);
+    if (!paper?.primaryCategory) throw new Error('arXiv paper not found');
+    categories = [paper.primaryCategory];
+  }
+  const config = { categories };
+  const papers = parseArxivFeed((await httpFetch(arxivQueryUrl({ ...config, limit: 5 }), 15000)).body);
+  return { name: `arXiv ${categories.join(' + ')}`, type: 'arxiv', config, icon: '📄', preview: extractRssPreview({ items: papers }) };
+}
+
+// Mastodon paths are only recognizable by shape, so the host must answer the instance API to count
+async function detectMastodon(url) {
+  const u = new URL(url);
+  const account = u.pathname.match(/^\/@([A-Za-z0-9_]+(?:@[A-Za-z0-9.-]+)?)\/?$/);
+  const tag = u.pathname.match(/^\/tags\/([^/]+)\/?$/);
+  if (!account && !tag) return null;
+  try {
+    const info = JSON.parse((await httpFetch(`${u.origin}/api/v1/instance`)).body);
+    if (!info.uri && !info.domain) return null;
+  } catch {
+    return null;
+  }
+  if (account) {
+    const acct = account[1];
+    return { name: `@${acct.includes('@') ? acct : `${acct}@${u.hostname}`}`, type: 'mastodon', config: { instance: u.hostname, account: acct }, icon: '🐘' };
   }
-  return items;
+  const hashtag = decodeURIComponent(tag[1]);
+  return { name: `#${hashtag} (${u.hostname})`, type: 'mastodon', config: { instance: u.hostname, hashtag }, icon: '🐘' };
 }
 
 async function resolveSourceUrl(url) {
   const u = url.toLowerCase();
 
+  // YouTube channel / handle / playlist (or a video, via its channel) → the public Atom feed
+  const youtube = parseYouTubeUrl(url);
+  if (youtube) return resolveYouTube(youtube);
+
+  // arXiv listing / RSS / paper → category search on the arXiv API
+  const arxiv = parseArxivUrl(url);
+  if (arxiv) return resolveArxiv(arxiv);
+
   // Twitter/X
   if (u.includes('x.com') || u.includes('twitter.com')) {
     const listMatch = url.match(/\/i\/lists\/(\d+)/);
@@ -332,10 +448,13 @@ async function resolveSourceUrl(url) {
     return { name: 'X Feed', type: 'twitter_feed', config: { handle: url }, icon: '🐦' };
   }
 
-  // Reddit
-  const redditMatch = url.match(/reddit\.com\/r\/([A-Za-z0-9_]+)/);
+  // Reddit (r/a+b multi-subreddits; /top/?t=week keeps its sort and time window)
+  const redditMatch = url.match(/reddit\.com\/r\/([A-Za-z0-9_+]+)(?:\/(hot|new|top|rising|controversial)\b)?/);
   if (redditMatch) {
-    return { name: `r/${redditMatch[1]}`, type: 'reddit', config: { subreddit: redditMatch[1], sort: 'hot', limit: 20 }, icon: '👽' };
+    const config = { subreddit: redditMatch[1], sort: redditMatch[2] || 'hot', limit: 20 };
+    const time = url.match(/[?&]t=(hour|day|week|month|year|all)\b/);
+    if (time && (config.sort === 'top' || config.sort === 'controversial')) config.time = time[1];
+    return { name: `r/${redditMatch[1]}`, type: 'reddit', config, icon: '👽' };
   }
 
   // GitHub Trending
@@ -345,11 +464,24 @@ async function resolveSourceUrl(url) {
     return { name: `GitHub Trending${lang ? ' - ' + lang : ''}`, type: 'github_trending', config: { language: lang || 'all', since: 'daily' }, icon: '⭐' };
   }
 
-  // Hacker News
+  // Hacker News (/best, /newest, /ask, /show pick the matching filter)
   if (u.includes('news.ycombinator.com')) {
+    const page = { best: 'best', newest: 'new', ask: 'ask', show: 'show' }[url.match(/news\.ycombinator\.com\/(best|newest|ask|show)\/?(?:[?#]|$)/i)?.[1].toLowerCase()];
+    if (page) return { name: `Hacker News (${page})`, type: 'hackernews', config: { filter: page, min_score: page === 'new' ? 0 : 50 }, icon: '🔶' };
     return { name: 'Hacker News', type: 'hackernews', config: { filter: 'top', min_score: 100 }, icon: '🔶' };
   }
 
+  // Bluesky profile (or a post, via its author)
+  const bskyMatch = url.match(/^https?:\/\/(?:www\.)?bsky\.app\/profile\/([A-Za-z0-9.:-]+)/i);
+  if (bskyMatch) {
+    const handle = bskyMatch[1];
+    return { name: `@${handle}`, type: 'bluesky', config: { handle }, icon: '🦋' };
+  }
+
+  // Mastodon account (/@user, /@user@remote) or hashtag (/tags/x) on any instance
+  const mastodon = await detectMastodon(url);
+  if (mastodon) return mastodon;
+
   // Fetch the URL to detect content type
   const resp = await httpFetch(url);
   const ct = resp.contentType.toLowerCase();
@@ -358,9 +490,9 @@ async function resolveSourceUrl(url) {
   // RSS/Atom
   if (ct.includes('xml') || ct.includes('rss') || ct.includes('atom') || body.trimStart().startsWith('<?xml') || body.includes('<rss') || body.includes('<feed')) {
     if (body.includes('<rss') || body.includes('<feed') || body.includes('<channel')) {
-      const titleMatch = body.match(/<title[^>]*>(?:<!\[CDATA\[)?(.*?)(?:\]\]>)?<\/title>/);
-      const name = titleMatch ? titleMatch[1].trim() : new URL(url).hostname;
-      const preview = extractRssPreview(body);
+      const feed = parseFeedDocument(resp.buffer, { limit: 5, contentType: resp.contentType, baseUrl: url });
+      const name = feed.title || new URL(url).hostname;
+      const preview = extractRssPreview(feed);
       return { name, type: 'rss', config: { url }, icon: '📡', preview };
     }
   }
@@ -376,19 +508,79 @@ async function resolveSourceUrl(url) {
     } catch {}
   }
 
-  // HTML - extract title, treat as website
+  // HTML - offer the feeds the page advertises (or that live at common paths), else treat as website.
+  // Candidates are fetched with httpFetch, so each one passes assertSafeFetchUrl.
   if (ct.includes('html') || body.includes('<html') || body.includes('<!DOCTYPE')) {
-    const titleMatch = body.match(/<title[^>]*>(.*?)<\/title>/is);
+    const html = decodeHtml(resp.buffer, resp.contentType);
+    const titleMatch = html.match(/<title[^>]*>(.*?)<\/title>/is);
     const name = titleMatch ? titleMatch[1].trim().replace(/\s+/g, ' ').slice(0, 100) : new URL(url).hostname;
-    return { name, type: 'website', config: { url }, icon: '🌐' };
+    const website = { name, type: 'website', config: { url }, icon: '🌐' };
+    const feeds = await findFeedCandidates(html, url, (feedUrl) => httpFetch(feedUrl));
+    if (!feeds.length) return website;
+    const candidates = feeds.map(f => ({
+      name: f.title || name,
+      type: f.type,
+      config: { url: f.url },
+      icon: f.type === 'digest_feed' ? '📰' : '📡',
+      preview: f.preview,
+    }));
+    // The first feed is the suggestion; the page itself stays available as the last choice
+    return { ...candidates[0], candidates: [...candidates, website] };
   }
 
   throw new Error('Cannot detect source type');
 }
 
+// ── OPML import ──
+// Outlines exported by ClawFeed carry their type/config; anything else goes through resolveSourceUrl
+async function resolveOpmlOutline(o) {
+  if (o.clawfeedType && o.clawfeedConfig) {
+    if (!/^[a-z_]+$/.test(o.clawfeedType)) throw new Error('invalid clawfeedType');
+    JSON.parse(o.clawfeedConfig);
+    const filtersError = configFiltersError(o.clawfeedConfig);
+    if (filtersError) throw new Error(filtersError);
+    return { name: o.title || o.clawfeedType, type: o.clawfeedType, config: o.clawfeedConfig };
+  }
+  const resolved = await resolveSourceUrl(o.xmlUrl || o.htmlUrl);
+  return { name: o.title || resolved.name, type: resolved.type, config: JSON.stringify(resolved.config) };
+}
+
+async function importOpml(userId, xml) {
+  const outlines = parseOpml(xml);
+  if (outlines.length > OPML_MAX_OUTLINES) throw new Error(`too many outlines, max ${OPML_MAX_OUTLINES}`);
+  const resolved = await mapWithConcurrency(outlines, 4, async (o) => {
+    try {
+      return { source: await resolveOpmlOutline(o) };
+    } catch (e) {
+      return { error: e.message || 'cannot resolve' };
+    }
+  });
+  const result = { created: 0, subscribed: 0, skipped: 0, failed: [] };
+  // Writes run in file order, so duplicates inside one file dedup against each other too
+  resolved.forEach(({ source, error }, i) => {
+    if (error) {
+      result.failed.push({ title: outlines[i].title, url: outlines[i].xmlUrl || outlines[i].htmlUrl, error });
+      return;
+    }
+    const existing = getSourceByTypeConfig(db, source.type, source.config);
+    if (!existing) {
+      // createSource auto-subscribes the creator
+      createSource(db, { name: source.name, type: source.type, config: source.config, isPublic: 0, createdBy: userId });
+      result.created++;
+    } else if (existing.is_deleted || isSubscribed(db, userId, existing.id)) {
+      // Soft-deleted sources are not resurrected (same rule as pack install)
+      result.skipped++;
+    } else {
+      subscribe(db, userId, existing.id);
+      result.subscribed++;
+    }
+  });
+  return result;
+}
+
 const server = createServer(async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   if (req.method === 'OPTIONS') { res.writeHead(204); res.end(); return; }
 
@@ -416,27 +608,8 @@ const server = createServer(async (req, res) => {
     const total = countDigestsByUser(db, user.id, { type });
     const BASE = 'https://clawfeed.kevinhe.io';
 
-    // Helper: parse structured items from digest metadata
-    function parseDigestItems(d) {
-      try {
-        const meta = JSON.parse(d.metadata || '{}');
-        if (Array.isArray(meta.items) && meta.items.length > 0) return meta.items;
-      } catch {}
-      return null;
-    }
-
-    // Helper: fallback — parse bullet items from markdown content
-    function parseBulletItems(content) {
-      const lines = content.split('\n');
-      const items = [];
-      for (const line of lines) {
-        const m = line.match(/^[•·-]\s*(?:\[([^\]]+)\]\s*[—–-]\s*)?(.+?)\s*\[链接\]\(([^)]+)\)\s*$/);
-        if (m) {
-          items.push({ title: m[1] || m[2].slice(0, 50), summary: m[2], url: m[3] });
-        }
-      }
-      return items.length > 0 ? items : null;
-    }
+    // One feed entry per digest item; digests without items are a single entry
+    const itemsByDigest = listDigestItems(db, digests.map(d => d.id));
 
     if (format === 'json') {
       // JSON Feed 1.1 — one item per article
@@ -446,20 +619,21 @@ const server = createServer(async (req, res) => {
         const ca = d.created_at;
         const dt = ca.includes('+') ? ca : ca.replace(' ', 'T') + '+08:00';
         const digestTitle = _digestTitle(d, ca);
-        const structured = parseDigestItems(d) || parseBulletItems(d.content);
-        if (structured) {
+        const structured = itemsByDigest.get(d.id);
+        if (structured.length) {
           for (const item of structured) {
             if (!item.url || seenUrls.has(item.url)) continue;
             seenUrls.add(item.url);
             const isHot = item.category === '重要动态';
             const tag = isHot ? '🔥' : '📰';
+            const also = _alsoCoveredBy(item);
             feedItems.push({
               id: item.url,
               title: `${tag} ${item.title || digestTitle}`,
               summary: item.summary || '',
               content_html: `<p>${(item.summary || '').replace(/\n/g, '<br>')}</p>`
-                + `<p><small>📰 ${item.source || '-'}　·　${item.category || '-'}</small></p>`
-                + `<p><a href="${item.url}">阅读原文</a></p>`,
+                + `<p><small>📰 ${item.source || '-'}　·　${item.category || '-'}${also.length ? `　·　也见于 ${also.join('、')}` : ''}</small></p>`
+                + `<p><a href="${item.url}">阅读原文</a>　·　<a href="${BASE}/item/${item.id}">ClawFeed</a></p>`,
               url: item.url,
               date_published: dt,
               tags: [item.category, item.source].filter(Boolean),
@@ -496,15 +670,18 @@ const server = createServer(async (req, res) => {
         const ca = d.created_at;
         const dt = new Date(ca.includes('+') ? ca : ca.replace(' ', 'T') + '+08:00');
         const digestTitle = _digestTitle(d, ca);
-        const structured = parseDigestItems(d) || parseBulletItems(d.content);
-        if (structured) {
+        const structured = itemsByDigest.get(d.id);
+        if (structured.length) {
           for (const item of structured) {
             if (!item.url || seenUrls.has(item.url)) continue;
             seenUrls.add(item.url);
             const isHot = item.category === '重要动态';
             const tag = isHot ? '🔥' : '📰';
+            const also = _alsoCoveredBy(item);
             const descHtml = `<p>${escXml(item.summary || '')}</p>`
-              + `<p><small>${escXml(item.source || '-')}　·　${escXml(item.category || '-')}</small></p>`;
+              + `<p><small>${escXml(item.source || '-')}　·　${escXml(item.category || '-')}`
+              + (also.length ? `　·　也见于 ${escXml(also.join('、'))}` : '')
+              + `　·　<a href="${BASE}/item/${item.id}">ClawFeed</a></small></p>`;
             itemsXml += `<item>`
               + `<title>${escXml(`${tag} ${item.title || digestTitle}`)}</title>`
               + `<link>${escXml(item.url)}</link>`
@@ -545,10 +722,17 @@ const server = createServer(async (req, res) => {
     });
   }
 
-  // SPA route: / and /pack/:slug serve frontend HTML
-  if (req.method === 'GET' && (path === '/' || path.startsWith('/pack/'))) {
+  // SPA route: /, /pack/:slug and /item/:id serve frontend HTML; item pages get link preview tags
+  // (system digest items only, since crawlers have no session)
+  const itemPage = path.match(/^\/item\/(\d+)$/);
+  if (req.method === 'GET' && (path === '/' || path.startsWith('/pack/') || itemPage)) {
     try {
-      const html = readFileSync(join(ROOT, 'web', 'index.html'), 'utf8');
+      let html = readFileSync(join(ROOT, 'web', 'index.html'), 'utf8');
+      const item = itemPage && getDigestItem(db, parseInt(itemPage[1]));
+      if (item) {
+        const origin = req.headers.host ? `${req.headers['x-forwarded-proto'] || 'http'}://${req.headers.host}` : `http://localhost:${PORT}`;
+        html = html.replace('<title>ClawFeed</title>', _itemHeadTags(item, `${origin}/item/${item.id}`));
+      }
       res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
       res.end(html);
       return;
@@ -715,14 +899,33 @@ const server = createServer(async (req, res) => {
       const type = params.get('type') || undefined;
       const limit = parseInt(params.get('limit') || '20');
       const offset = parseInt(params.get('offset') || '0');
-      return json(res, listDigests(db, { type, limit, offset }));
+      return json(res, listDigests(db, { type, limit, offset, userId: req.user?.id }));
     }
 
     const digestMatch = path.match(/^\/api\/digests\/(\d+)$/);
     if (req.method === 'GET' && digestMatch) {
-      const d = getDigest(db, parseInt(digestMatch[1]));
+      const d = getDigest(db, parseInt(digestMatch[1]), { userId: req.user?.id });
       if (!d) return json(res, { error: 'not found' }, 404);
-      return json(res, d);
+      const items = listDigestItems(db, [d.id]).get(d.id).map(i => ({
+        id: i.id, position: i.position, title: i.title, url: i.url, summary: i.summary, category: i.category, source: i.source,
+        sources: _itemSources(i),
+      }));
+      return json(res, { ...d, items });
+    }
+
+    // GET /api/items/:id — one digest item, the digests its story appeared in and related items
+    const itemMatch = path.match(/^\/api\/items\/(\d+)$/);
+    if (req.method === 'GET' && itemMatch) {
+      const userId = req.user?.id;
+      const item = getDigestItem(db, parseInt(itemMatch[1]), { userId });
+      if (!item) return json(res, { error: 'not found' }, 404);
+      return json(res, {
+        ..._itemJson(item),
+        appearances: listItemAppearances(db, item, { userId }).map(a => ({
+          itemId: a.id, digestId: a.digest_id, digestType: a.digest_type, position: a.position, createdAt: a.created_at,
+        })),
+        related: listRelatedItems(db, item, { match: relatedItemsMatch(item.title), userId }).map(_itemJson),
+      });
     }
 
     if (req.method === 'POST' && path === '/api/digests') {
@@ -734,6 +937,42 @@ const server = createServer(async (req, res) => {
       return json(res, result, 201);
     }
 
+    // ── Search ──
+    // GET /api/search?q=&type=&from=&to= — type: digest|item|mark and/or 4h|daily|weekly|monthly, comma-separated
+    if (req.method === 'GET' && path === '/api/search') {
+      const q = (params.get('q') || '').trim();
+      const terms = parseSearchQuery(q);
+      if (!terms.length) return json(res, { error: 'q required' }, 400);
+      const types = (params.get('type') || '').split(',').map(t => t.trim()).filter(Boolean);
+      const unknown = types.find(t => !SEARCH_KINDS.includes(t) && !DIGEST_TYPES.includes(t));
+      if (unknown) return json(res, { error: `unknown type: ${unknown}` }, 400);
+      const from = params.get('from') ? toSqlTime(params.get('from')) : null;
+      const to = params.get('to') ? toSqlTime(params.get('to'), { endOfDay: true }) : null;
+      if ((params.get('from') && !from) || (params.get('to') && !to)) return json(res, { error: 'from/to must be dates (YYYY-MM-DD or ISO)' }, 400);
+      const limit = Math.min(Math.max(parseInt(params.get('limit') || '20') || 20, 1), 50);
+      const offset = Math.max(parseInt(params.get('offset') || '0') || 0, 0);
+
+      const { total, rows } = searchIndex(db, {
+        ...buildSearchMatch(terms),
+        kinds: types.filter(t => SEARCH_KINDS.includes(t)),
+        digestTypes: types.filter(t => DIGEST_TYPES.includes(t)),
+        from, to, userId: req.user?.id, limit, offset,
+      });
+      const results = rows.map(r => ({
+        kind: r.kind,
+        ...(r.kind === 'mark' ? { markId: r.ref_id } : { digestId: r.ref_id, digestType: r.digest_type }),
+        ...(r.kind === 'item' && { itemIndex: r.item_index, itemId: r.item_id }),
+        title: r.title,
+        titleHtml: highlight(r.title, terms),
+        snippet: searchSnippet(r.body, terms),
+        url: r.url || '',
+        source: r.source,
+        category: r.category,
+        createdAt: r.created_at,
+      }));
+      return json(res, { q, total, limit, offset, results });
+    }
+
     // ── Trigger fetch-and-digest manually ──
     if (req.method === 'POST' && path === '/api/digests/generate') {
       const authHeader = req.headers.authorization || '';
@@ -808,7 +1047,7 @@ const server = createServer(async (req, res) => {
     if (req.method === 'GET' && path === '/api/subscriptions') {
       if (!req.user) return json(res, { error: 'not authenticated' }, 401);
       const subs = listSubscriptions(db, req.user.id);
-      return json(res, subs.map(s => ({ ...s, sourceDeleted: !!s.is_deleted })));
+      return json(res, subs.map(s => ({ ...s, muted: !!s.muted, sourceDeleted: !!s.is_deleted })));
     }
 
     if (req.method === 'POST' && path === '/api/subscriptions') {
@@ -829,6 +1068,18 @@ const server = createServer(async (req, res) => {
       return json(res, { ok: true, added });
     }
 
+    if (req.method === 'GET' && path === '/api/subscriptions.opml') {
+      if (!req.user) return json(res, { error: 'not authenticated' }, 401);
+      const subs = listSubscriptions(db, req.user.id).filter(s => !s.is_deleted);
+      const opml = buildOpml(subs, { ownerName: req.user.name || '' });
+      res.writeHead(200, {
+        'Content-Type': 'text/x-opml; charset=utf-8',
+        'Content-Disposition': 'attachment; filename="clawfeed-subscriptions.opml"',
+      });
+      res.end(opml);
+      return;
+    }
+
     const subMatch = path.match(/^\/api\/subscriptions\/(\d+)$/);
     if (req.method === 'DELETE' && subMatch) {
       if (!req.user) return json(res, { error: 'not authenticated' }, 401);
@@ -836,6 +1087,49 @@ const server = createServer(async (req, res) => {
       return json(res, { ok: true });
     }
 
+    // PATCH /api/subscriptions/:sourceId { weight?, muted?, snoozedUntil? } — snoozedUntil is an ISO time, null to wake
+    if (req.method === 'PATCH' && subMatch) {
+      if (!req.user) return json(res, { error: 'not authenticated' }, 401);
+      const sourceId = parseInt(subMatch[1]);
+      if (!getSubscription(db, req.user.id, sourceId)) return json(res, { error: 'not subscribed' }, 404);
+      const body = await parseBody(req);
+      const patch = {};
+      if (body.weight !== undefined) {
+        const weight = Number(body.weight);
+        if (!Number.isFinite(weight) || weight < SUBSCRIPTION_WEIGHT_MIN || weight > SUBSCRIPTION_WEIGHT_MAX) {
+          return json(res, { error: `weight must be between ${SUBSCRIPTION_WEIGHT_MIN} and ${SUBSCRIPTION_WEIGHT_MAX}` }, 400);
+        }
+        patch.weight = weight;
+      }
+      if (body.muted !== undefined) patch.muted = !!body.muted;
+      if (body.snoozedUntil !== undefined) {
+        if (body.snoozedUntil === null) {
+          patch.snoozedUntil = null;
+        } else {
+          const until = new Date(body.snoozedUntil);
+          if (isNaN(until.getTime())) return json(res, { error: 'snoozedUntil must be an ISO date or null' }, 400);
+          // Stored like datetime('now') so SQLite compares it as text
+          patch.snoozedUntil = until.toISOString().slice(0, 19).replace('T', ' ');
+        }
+      }
+      updateSubscription(db, req.user.id, sourceId, patch);
+      const sub = getSubscription(db, req.user.id, sourceId);
+      return json(res, { ...sub, muted: !!sub.muted });
+    }
+
+    // ── OPML import ──
+    // POST /api/sources/import { opml } — create or subscribe to every outline; failures are reported, not fatal
+    if (req.method === 'POST' && path === '/api/sources/import') {
+      if (!req.user) return json(res, { error: 'login required' }, 401);
+      const body = await parseBody(req);
+      if (typeof body.opml !== 'string' || !body.opml.trim()) return json(res, { error: 'opml required' }, 400);
+      try {
+        return json(res, { ok: true, ...(await importOpml(req.user.id, body.opml)) });
+      } catch (e) {
+        return json(res, { error: e.message }, 400);
+      }
+    }
+
     // ── Source resolve endpoint ──
     if (req.method === 'POST' && path === '/api/sources/resolve') {
       if (!req.user) return json(res, { error: 'login required' }, 401);
@@ -845,10 +1139,22 @@ const server = createServer(async (req, res) => {
 
       try {
         const result = await resolveSourceUrl(url);
-        // Optionally translate RSS preview items when translate=true and API key is configured
-        if (body.translate && DEEPSEEK_API_KEY && result.preview && result.preview.length > 0) {
+        // Filter rules sent along mark which preview items they would keep, and travel with the config;
+        // each feed candidate gets its own marks, since picking one replaces the preview shown
+        if (body.filters && typeof body.filters === 'object') {
+          const reject = compileFilters(body.filters);
+          const withFilters = (r) => ({
+            ...r,
+            config: { ...r.config, filters: body.filters },
+            ...(reject && r.preview ? { preview: r.preview.map(p => ({ ...p, passed: !reject(p) })) } : {}),
+          });
+          Object.assign(result, withFilters(result));
+          if (result.candidates) result.candidates = result.candidates.map(withFilters);
+        }
+        // Optionally translate RSS preview items when translate=true and an LLM provider is configured
+        if (body.translate && llm.configured && result.preview && result.preview.length > 0) {
           try {
-            result.preview = await translateRssItems(DEEPSEEK_API_KEY, result.preview);
+            result.preview = await translateRssItems(llm, result.preview);
           } catch (e) {
             console.error('[translate] preview translation failed:', e.message);
           }
@@ -860,7 +1166,7 @@ const server = createServer(async (req, res) => {
     }
 
     // ── Translate endpoint ──
-    // POST /api/translate — translate text or RSS items to Chinese via DeepSeek
+    // POST /api/translate — translate text or RSS items to Chinese via the configured LLM provider
     if (req.method === 'POST' && path === '/api/translate') {
       // Require user session OR API key
       if (!req.user) {
@@ -868,7 +1174,7 @@ const server = createServer(async (req, res) => {
         const bearerKey = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
         if (!API_KEY || bearerKey !== API_KEY) return json(res, { error: 'login or API key required' }, 401);
       }
-      if (!DEEPSEEK_API_KEY) return json(res, { error: 'translation service not configured' }, 503);
+      if (!llm.configured) return json(res, { error: 'translation service not configured' }, 503);
 
       const body = await parseBody(req);
       const targetLang = body.targetLang || '中文';
@@ -877,14 +1183,14 @@ const server = createServer(async (req, res) => {
       try {
         // Single text translation
         if (typeof body.text === 'string') {
-          const translated = await translateText(DEEPSEEK_API_KEY, body.text, { targetLang, model });
+          const translated = await translateText(llm, body.text, { targetLang, model });
           return json(res, { translated });
         }
         // Batch RSS items translation
         if (Array.isArray(body.items)) {
           if (body.items.length === 0) return json(res, { items: [] });
           if (body.items.length > 50) return json(res, { error: 'too many items, max 50' }, 400);
-          const items = await translateRssItems(DEEPSEEK_API_KEY, body.items, { model });
+          const items = await translateRssItems(llm, body.items, { model });
           return json(res, { items });
         }
         return json(res, { error: 'text (string) or items (array) required' }, 400);
@@ -914,12 +1220,25 @@ const server = createServer(async (req, res) => {
       if (!s.is_public && (!req.user || s.created_by !== req.user.id)) {
         return json(res, { error: 'not found' }, 404);
       }
-      return json(res, s);
+      return json(res, { ...s, health: getSourceHealth(db, s.id) });
+    }
+
+    // Clear the failure streak / broken flag so the next run fetches the source again
+    const sourceRetryMatch = path.match(/^\/api\/sources\/(\d+)\/retry$/);
+    if (req.method === 'POST' && sourceRetryMatch) {
+      if (!req.user) return json(res, { error: 'login required' }, 401);
+      const s = getSource(db, parseInt(sourceRetryMatch[1]));
+      if (!s) return json(res, { error: 'not found' }, 404);
+      if (s.created_by !== req.user.id) return json(res, { error: 'forbidden' }, 403);
+      resetSourceHealth(db, s.id);
+      return json(res, { ok: true });
     }
 
     if (req.method === 'POST' && path === '/api/sources') {
       if (!req.user) return json(res, { error: 'login required' }, 401);
       const body = await parseBody(req);
+      const filtersError = configFiltersError(body.config);
+      if (filtersError) return json(res, { error: filtersError }, 400);
       const result = createSource(db, { ...body, createdBy: req.user.id });
       return json(res, result, 201);
     }
@@ -930,6 +1249,8 @@ const server = createServer(async (req, res) => {
       if (!s) return json(res, { error: 'not found' }, 404);
       if (s.created_by !== req.user.id) return json(res, { error: 'forbidden' }, 403);
       const body = await parseBody(req);
+      const filtersError = body.config !== undefined && configFiltersError(body.config);
+      if (filtersError) return json(res, { error: filtersError }, 400);
       updateSource(db, parseInt(sourceMatch[1]), body);
       return json(res, { ok: true });
     }
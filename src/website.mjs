@@ -0,0 +1,207 @@
+/**
+ * Website collector helpers: feed autodiscovery and article-link extraction from plain HTML pages.
+ *
+ * A website source prefers a feed advertised with <link rel="alternate">; pages without one are
+ * collected by diffing the article links on the page against the previous run's snapshot.
+ * The source resolver uses findFeedCandidates to offer a page's feeds before falling back to `website`.
+ */
+
+import { parse } from 'node-html-parser';
+import { parseFeedDocument } from './feed-parser.mjs';
+
+const FEED_TYPES = {
+  'application/rss+xml': 'rss',
+  'application/atom+xml': 'atom',
+  'application/feed+json': 'json',
+  'application/json': 'json',
+  'application/rdf+xml': 'rdf',
+  'text/xml': 'rss',
+  'application/xml': 'rss',
+};
+
+// Where feeds usually live when a page does not say (WordPress, Jekyll/Hugo, Ghost...)
+export const FEED_PROBE_PATHS = ['/feed', '/rss.xml', '/atom.xml'];
+
+// Snapshot size kept per source (links seen on the last fetch)
+export const SNAPSHOT_MAX_LINKS = 500;
+
+// Paths that are navigation, not articles
+const NON_ARTICLE_PATH = /^\/(?:$|(?:tags?|categor(?:y|ies)|topics?|authors?|search|login|logout|signin|signup|register|account|about|contact|privacy|terms|feed|rss|page\/\d+)(?:\/|$))/i;
+
+// Anchor texts too short to be a headline (CJK headlines are denser) or generic "more" links
+const MIN_TITLE_LENGTH = 12;
+const MIN_CJK_TITLE_LENGTH = 6;
+const CJK = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/;
+const GENERIC_ANCHOR = /^(?:read more|continue reading|more|full story|阅读全文|阅读更多|查看更多|更多|详情)\W*$/i;
+
+function looksLikeHeadline(text) {
+  if (GENERIC_ANCHOR.test(text)) return false;
+  return text.length >= (CJK.test(text) ? MIN_CJK_TITLE_LENGTH : MIN_TITLE_LENGTH);
+}
+
+/**
+ * Decode an HTML response: BOM, then Content-Type charset, then <meta charset>, else UTF-8.
+ * @param {Buffer|string} input
+ * @param {string} [contentType]
+ */
+export function decodeHtml(input, contentType) {
+  if (typeof input === 'string') return input;
+  const buf = Buffer.isBuffer(input) ? input : Buffer.from(input);
+  let label = null;
+  if (buf[0] === 0xef && buf[1] === 0xbb && buf[2] === 0xbf) label = 'utf-8';
+  if (!label) label = (contentType || '').match(/charset\s*=\s*["']?([\w.:-]+)/i)?.[1];
+  if (!label) label = buf.subarray(0, 2048).toString('latin1').match(/<meta[^>]+charset\s*=\s*["']?([\w.:-]+)/i)?.[1];
+  try {
+    return new TextDecoder(label || 'utf-8').decode(buf);
+  } catch {
+    return new TextDecoder('utf-8').decode(buf);
+  }
+}
+
+function resolveUrl(href, baseUrl) {
+  try {
+    const u = new URL(href, baseUrl);
+    return /^https?:$/.test(u.protocol) ? u.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Feeds advertised by a page via <link rel="alternate" type="...">, in document order.
+ * @returns {{ url: string, title: string, type: 'rss'|'atom'|'json'|'rdf' }[]}
+ */
+export function discoverFeeds(html, baseUrl) {
+  const root = parse(html);
+  const base = resolveUrl(root.querySelector('base[href]')?.getAttribute('href') || '', baseUrl) || baseUrl;
+  const feeds = [];
+  for (const link of root.querySelectorAll('link[href]')) {
+    const rel = (link.getAttribute('rel') || '').toLowerCase().split(/\s+/);
+    const type = FEED_TYPES[(link.getAttribute('type') || '').toLowerCase().split(';')[0].trim()];
+    if (!rel.includes('alternate') || !type) continue;
+    const url = resolveUrl(link.getAttribute('href'), base);
+    if (!url || feeds.some(f => f.url === url)) continue;
+    feeds.push({ url, title: (link.getAttribute('title') || '').trim(), type });
+  }
+  // Comment feeds are rarely what the user wants
+  return feeds.sort((a, b) => /comments?/i.test(a.title + a.url) - /comments?/i.test(b.title + b.url));
+}
+
+// A fetched candidate as a source: RSS/Atom/RDF → rss, JSON Feed → digest_feed; null if it is not a feed
+function parseCandidate(url, resp, previewLimit) {
+  const text = resp.buffer ? resp.buffer.toString('utf8') : String(resp.body || '');
+  if (/json/i.test(resp.contentType || '') || text.trimStart().startsWith('{')) {
+    try {
+      const j = JSON.parse(text);
+      if (!String(j.version || '').includes('jsonfeed')) return null;
+      const preview = (j.items || []).slice(0, previewLimit).map(i => ({ title: i.title || '(untitled)', url: i.url }));
+      return { url, title: j.title || '', type: 'digest_feed', format: 'json', preview };
+    } catch {
+      return null;
+    }
+  }
+  const feed = parseFeedDocument(resp.buffer ?? text, { limit: previewLimit, contentType: resp.contentType, baseUrl: url });
+  if (!feed.format) return null;
+  const preview = feed.items.map(i => ({ title: i.title || '(untitled)', url: i.url }));
+  return { url, title: feed.title, type: 'rss', format: feed.format, preview };
+}
+
+/**
+ * Feeds a page offers: its <link rel="alternate"> feeds plus FEED_PROBE_PATHS on the page's origin,
+ * each fetched and parsed for a preview. Candidates that fail, are not feeds, or repeat an earlier
+ * one (same title and first item — e.g. /feed and an advertised /feed/) are dropped.
+ * @param {string} html
+ * @param {string} pageUrl
+ * @param {(url: string) => Promise<{ contentType: string, buffer: Buffer }>} fetchUrl - applies the caller's SSRF policy
+ * @param {{ previewLimit?: number, maxCandidates?: number }} [options]
+ * @returns {Promise<{ url: string, title: string, type: 'rss'|'digest_feed', format: string, preview: { title: string, url: string }[] }[]>}
+ */
+export async function findFeedCandidates(html, pageUrl, fetchUrl, { previewLimit = 5, maxCandidates = 5 } = {}) {
+  const advertised = discoverFeeds(html, pageUrl);
+  const urls = [...new Set([
+    ...advertised.map(f => f.url),
+    ...FEED_PROBE_PATHS.map(p => new URL(p, pageUrl).toString()),
+  ])];
+  const fetched = await Promise.all(urls.map(async (url) => {
+    try {
+      const candidate = parseCandidate(url, await fetchUrl(url), previewLimit);
+      // Untitled feeds fall back to the <link title> the page gave them
+      const hint = advertised.find(f => f.url === url)?.title;
+      if (candidate && !candidate.title && hint) candidate.title = hint;
+      return candidate;
+    } catch {
+      return null;
+    }
+  }));
+  const candidates = [];
+  const seen = new Set();
+  for (const c of fetched) {
+    if (!c) continue;
+    const key = `${c.title}\n${c.preview[0]?.url || ''}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    candidates.push(c);
+  }
+  return candidates.slice(0, maxCandidates);
+}
+
+const sameSite = (a, b) => {
+  const strip = (h) => h.replace(/^www\./, '');
+  return strip(a) === strip(b) || a.endsWith(`.${strip(b)}`) || b.endsWith(`.${strip(a)}`);
+};
+
+/**
+ * Article links on a page, in document order, deduplicated by URL.
+ * With `selector`, every match is used (the element itself if it is an <a>, else its first link) and
+ * off-site links are kept. Without one, links inside <nav>/<header>/<footer>/<aside>, off-site links,
+ * navigation paths and short anchor texts are dropped.
+ * @param {string} html
+ * @param {{ baseUrl: string, selector?: string }} options
+ * @returns {{ title: string, url: string }[]}
+ */
+export function extractArticleLinks(html, { baseUrl, selector = '' } = {}) {
+  const root = parse(html);
+  const page = new URL(baseUrl);
+  const links = [];
+  const seen = new Set();
+  const add = (a, titleEl = a) => {
+    const url = resolveUrl(a.getAttribute('href') || '', baseUrl);
+    if (!url || seen.has(url)) return;
+    const title = (titleEl.text || a.getAttribute('title') || '').replace(/\s+/g, ' ').trim();
+    if (!title) return;
+    seen.add(url);
+    links.push({ title, url });
+  };
+
+  if (selector) {
+    for (const el of root.querySelectorAll(selector)) {
+      const a = el.tagName === 'A' ? el : el.querySelector('a[href]');
+      if (a) add(a, el);
+    }
+    return links;
+  }
+
+  const scope = root.querySelector('main') || root.querySelector('[role=main]') || root.querySelector('body') || root;
+  for (const a of scope.querySelectorAll('a[href]')) {
+    if (a.closest('nav, header, footer, aside, [role=navigation]')) continue;
+    const url = resolveUrl(a.getAttribute('href') || '', baseUrl);
+    if (!url) continue;
+    const u = new URL(url);
+    if (!sameSite(u.hostname, page.hostname) || NON_ARTICLE_PATH.test(u.pathname)) continue;
+    if (u.pathname === page.pathname && u.search === page.search) continue;
+    if (!looksLikeHeadline(a.text.replace(/\s+/g, ' ').trim())) continue;
+    add(a);
+  }
+  return links;
+}
+
+/**
+ * Links not in the previous snapshot. With no snapshot (first run) every link counts as new.
+ * @param {{ url: string }[]} links
+ * @param {string[]|undefined} previous
+ */
+export function diffSnapshot(links, previous) {
+  if (!Array.isArray(previous)) return links;
+  const seen = new Set(previous);
+  return links.filter(l => !seen.has(l.url));
+}
@@ -0,0 +1,170 @@
+/**
+ * YouTube helpers: channel/handle/playlist URLs → public Atom feeds, watch-page metadata
+ * (duration, description, caption tracks) and transcript parsing for deep mode.
+ *
+ * Nothing here needs an API key: feeds come from /feeds/videos.xml and everything else from
+ * the ytInitialPlayerResponse JSON embedded in the watch page.
+ */
+
+import { decodeEntities } from './feed-parser.mjs';
+
+export const YOUTUBE_ORIGIN = 'https://www.youtube.com';
+
+const YOUTUBE_HOST = /^(?:(?:www|m|music)\.)?youtube\.com$/i;
+const CHANNEL_ID = /^UC[\w-]{22}$/;
+const VIDEO_ID = /^[\w-]{11}$/;
+
+/**
+ * What a YouTube URL points at, or null for non-YouTube URLs, paths with malformed percent-encoding
+ * and pages that are not a channel, playlist or video (search, /feed/subscriptions, ...).
+ * @returns {{ kind: 'channel'|'playlist'|'handle'|'user'|'custom'|'video', id: string } | null}
+ */
+export function parseYouTubeUrl(url) {
+  let u;
+  try { u = new URL(url); } catch { return null; }
+  const host = u.hostname.toLowerCase();
+  if (host === 'youtu.be') {
+    const id = u.pathname.slice(1).split('/')[0];
+    return VIDEO_ID.test(id) ? { kind: 'video', id } : null;
+  }
+  if (!YOUTUBE_HOST.test(host)) return null;
+
+  let segments;
+  try { segments = u.pathname.split('/').filter(Boolean).map(decodeURIComponent); } catch { return null; }
+  const [first = '', second = ''] = segments;
+  if (first === 'feeds') {
+    if (u.searchParams.get('channel_id')) return { kind: 'channel', id: u.searchParams.get('channel_id') };
+    if (u.searchParams.get('playlist_id')) return { kind: 'playlist', id: u.searchParams.get('playlist_id') };
+    if (u.searchParams.get('user')) return { kind: 'user', id: u.searchParams.get('user') };
+    return null;
+  }
+  // A playlist link wins over the video it was opened from (watch?v=...&list=...)
+  if (u.searchParams.get('list') && (first === 'playlist' || first === 'watch')) return { kind: 'playlist', id: u.searchParams.get('list') };
+  if (first === 'watch' && VIDEO_ID.test(u.searchParams.get('v') || '')) return { kind: 'video', id: u.searchParams.get('v') };
+  if ((first === 'shorts' || first === 'live' || first === 'embed') && VIDEO_ID.test(second)) return { kind: 'video', id: second };
+  if (first === 'channel' && CHANNEL_ID.test(second)) return { kind: 'channel', id: second };
+  if (first.startsWith('@') && first.length > 1) return { kind: 'handle', id: first };
+  if (first === 'user' && second) return { kind: 'user', id: second };
+  if (first === 'c' && second) return { kind: 'custom', id: second };
+  return null;
+}
+
+/** The video ID of a watch/shorts/youtu.be URL, else null. */
+export function youtubeVideoId(url) {
+  const ref = parseYouTubeUrl(url);
+  return ref?.kind === 'video' ? ref.id : null;
+}
+
+/**
+ * Public Atom feed of a channel or playlist source config.
+ * @param {{ channel_id?: string, playlist_id?: string }} config
+ */
+export function youtubeFeedUrl({ channel_id, playlist_id } = {}, origin = YOUTUBE_ORIGIN) {
+  if (channel_id) return `${origin}/feeds/videos.xml?channel_id=${encodeURIComponent(channel_id)}`;
+  if (playlist_id) return `${origin}/feeds/videos.xml?playlist_id=${encodeURIComponent(playlist_id)}`;
+  return null;
+}
+
+/** The human-facing page of a channel or playlist source config. */
+export function youtubePageUrl({ channel_id, playlist_id } = {}) {
+  if (channel_id) return `${YOUTUBE_ORIGIN}/channel/${channel_id}`;
+  if (playlist_id) return `${YOUTUBE_ORIGIN}/playlist?list=${playlist_id}`;
+  return null;
+}
+
+/** Channel ID from a channel, handle or watch page. */
+export function extractChannelId(html) {
+  const patterns = [
+    /<meta itemprop="(?:channelId|identifier)" content="(UC[\w-]{22})"/,
+    /<link rel="canonical" href="https:\/\/www\.youtube\.com\/channel\/(UC[\w-]{22})"/,
+    /"externalId":"(UC[\w-]{22})"/,
+    /"channelId":"(UC[\w-]{22})"/,
+  ];
+  for (const re of patterns) {
+    const m = html.match(re);
+    if (m) return m[1];
+  }
+  return null;
+}
+
+// The JSON object assigned to `ytInitialPlayerResponse`, found by brace matching (it is followed by more script)
+function extractPlayerResponse(html) {
+  const start = html.search(/ytInitialPlayerResponse\s*=\s*\{/);
+  if (start < 0) return null;
+  const open = html.indexOf('{', start);
+  let depth = 0;
+  let inString = false;
+  for (let i = open; i < html.length; i++) {
+    const c = html[i];
+    if (inString) {
+      if (c === '\\') i++;
+      else if (c === '"') inString = false;
+    } else if (c === '"') inString = true;
+    else if (c === '{') depth++;
+    else if (c === '}' && --depth === 0) {
+      try { return JSON.parse(html.slice(open, i + 1)); } catch { return null; }
+    }
+  }
+  return null;
+}
+
+/**
+ * Metadata from a watch page.
+ * @returns {{ durationSeconds: number|null, description: string, channelId: string|null,
+ *   captionTracks: { url: string, lang: string, auto: boolean }[] }}
+ */
+export function parseWatchPage(html) {
+  const player = extractPlayerResponse(html) || {};
+  const details = player.videoDetails || {};
+  let durationSeconds = parseInt(details.lengthSeconds, 10);
+  if (!Number.isFinite(durationSeconds)) {
+    // <meta itemprop="duration" content="PT1H2M3S">
+    const m = html.match(/<meta itemprop="duration" content="PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?"/);
+    durationSeconds = m ? (+m[1] || 0) * 3600 + (+m[2] || 0) * 60 + (+m[3] || 0) : NaN;
+  }
+  const tracks = player.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
+  return {
+    durationSeconds: Number.isFinite(durationSeconds) ? durationSeconds : null,
+    description: details.shortDescription || '',
+    channelId: details.channelId || extractChannelId(html),
+    captionTracks: tracks.filter(t => t.baseUrl).map(t => ({ url: t.baseUrl, lang: t.languageCode || '', auto: t.kind === 'asr' })),
+  };
+}
+
+/** 62 → "1:02", 3723 → "1:02:03" */
+export function formatDuration(seconds) {
+  if (!Number.isFinite(seconds) || seconds < 0) return '';
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = Math.floor(seconds % 60);
+  const pad = (n) => String(n).padStart(2, '0');
+  return h ? `${h}:${pad(m)}:${pad(s)}` : `${m}:${pad(s)}`;
+}
+
+/**
+ * Caption track to summarize from: manual captions over auto-generated ones, then by language preference.
+ * @param {{ lang: string, auto: boolean }[]} tracks
+ * @param {string[]} [languages] - language prefixes in order of preference
+ */
+export function pickCaptionTrack(tracks, languages = ['en', 'zh']) {
+  const rank = (t) => {
+    const i = languages.findIndex(l => t.lang.toLowerCase().startsWith(l));
+    return (t.auto ? 100 : 0) + (i < 0 ? languages.length : i);
+  };
+  return [...tracks].sort((a, b) => rank(a) - rank(b))[0] || null;
+}
+
+/**
+ * Plain text of a timedtext caption document (<transcript><text> or srv3 <timedtext><body><p>).
+ * Cue text is escaped twice (XML over HTML), so entities are decoded twice.
+ */
+export function parseTranscript(xml) {
+  const cues = [];
+  const re = /<(text|p)\b[^>]*>([\s\S]*?)<\/\1>/g;
+  let m;
+  while ((m = re.exec(xml))) {
+    const text = decodeEntities(decodeEntities(m[2].replace(/<[^>]+>/g, ''))).replace(/\s+/g, ' ').trim();
+    if (text) cues.push(text);
+  }
+  return cues.join(' ');
+}
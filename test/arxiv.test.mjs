@@ -0,0 +1,101 @@
+// Tests for src/arxiv.mjs and the arxiv fetcher — run with `npm run test:unit`
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { parseArxivUrl, arxivSearchQuery, arxivQueryUrl, parseArxivFeed } from '../src/arxiv.mjs';
+import { createFetchers } from '../src/fetchers.mjs';
+import { startFixtureServer, FIXTURES_DIR } from './fixture-server.mjs';
+
+const fixture = (name) => readFileSync(join(FIXTURES_DIR, 'arxiv', name), 'utf8');
+
+describe('parseArxivUrl', () => {
+  test('listings and RSS name categories; abs/pdf/html name a paper', () => {
+    const cases = {
+      'https://arxiv.org/list/cs.CL/recent': { kind: 'list', categories: ['cs.CL'] },
+      'https://arxiv.org/list/cs/new': { kind: 'list', categories: ['cs'] },
+      'https://rss.arxiv.org/rss/cs.CL+cs.LG': { kind: 'list', categories: ['cs.CL', 'cs.LG'] },
+      'https://arxiv.org/abs/2410.01234v2': { kind: 'paper', id: '2410.01234' },
+      'http://export.arxiv.org/pdf/2410.01234.pdf': { kind: 'paper', id: '2410.01234' },
+      'https://arxiv.org/html/2410.01234v1': { kind: 'paper', id: '2410.01234' },
+      'https://arxiv.org/abs/hep-th/9901001': { kind: 'paper', id: 'hep-th/9901001' },
+    };
+    for (const [url, expected] of Object.entries(cases)) assert.deepEqual(parseArxivUrl(url), expected, url);
+  });
+
+  test('other arXiv pages and sites are not sources', () => {
+    for (const url of ['https://arxiv.org/', 'https://arxiv.org/abs/not-an-id', 'https://notarxiv.org/list/cs.CL/recent', 'nope', 'https://arxiv.org/abs/%ZZ%E0']) {
+      assert.equal(parseArxivUrl(url), null, url);
+    }
+  });
+});
+
+describe('arxivSearchQuery', () => {
+  test('any category AND any keyword; phrases quoted, fielded terms kept', () => {
+    assert.equal(arxivSearchQuery({ categories: ['cs.CL', 'cs.LG'], keywords: ['chain of thought', 'ti:agents'] }),
+      '(cat:cs.CL OR cat:cs.LG) AND (all:"chain of thought" OR ti:agents)');
+    assert.equal(arxivSearchQuery({ categories: 'cs.AI, stat.ML' }), '(cat:cs.AI OR cat:stat.ML)');
+    assert.equal(arxivSearchQuery({ keywords: ['RLHF'] }), 'all:RLHF');
+    assert.equal(arxivSearchQuery({}), '');
+  });
+
+  test('query URL sorts by submission date', () => {
+    assert.equal(arxivQueryUrl({ categories: ['cs.CL'], limit: 5 }),
+      'https://export.arxiv.org/api/query?search_query=cat%3Acs.CL&sortBy=submittedDate&sortOrder=descending&max_results=5');
+    assert.equal(arxivQueryUrl({}), null);
+  });
+});
+
+describe('parseArxivFeed', () => {
+  test('keeps the full abstract, authors, PDF link and categories', () => {
+    const [paper, benchmark] = parseArxivFeed(fixture('query.xml'));
+    assert.equal(paper.title, 'Step-by-Step Verification for Long-Horizon Reasoning');
+    assert.equal(paper.url, 'https://arxiv.org/abs/2410.01234');
+    assert.equal(paper.guid, '2410.01234v2');
+    assert.equal(paper.pdfUrl, 'https://arxiv.org/pdf/2410.01234v2');
+    assert.deepEqual(paper.authors, ['Ada Chen', 'Ravi Patel']);
+    assert.equal(paper.author, 'Ada Chen, Ravi Patel');
+    assert.deepEqual(paper.categories, ['cs.CL', 'cs.LG']);
+    assert.equal(paper.primaryCategory, 'cs.CL');
+    assert.equal(paper.comment, '21 pages, 7 figures');
+    assert.equal(paper.pubDate, '2026-10-13T12:00:00Z');
+    assert.match(paper.abstract, /^We study how .* <5k labelled traces .* process supervision & transfers .* the verifier\.$/);
+    assert.equal(paper.description, paper.abstract.slice(0, 400));
+    assert.ok(paper.abstract.length > 400);
+
+    assert.equal(benchmark.authors.length, 6);
+    assert.equal(benchmark.author, 'A. One, B. Two, C. Three et al.');
+  });
+
+  test('API error entries throw', () => {
+    assert.throws(() => parseArxivFeed(fixture('error.xml')), /arXiv API error: incorrect id format/);
+    assert.deepEqual(parseArxivFeed('<feed></feed>'), []);
+  });
+});
+
+describe('fetchArxiv / fetchArxivAbstract', () => {
+  let server;
+  let fetchers;
+
+  before(async () => {
+    server = await startFixtureServer({ routes: { '/api/query': 'arxiv/query.xml' } });
+    fetchers = createFetchers({ endpoints: { arxiv: server.url }, log: () => {}, warn: () => {} });
+  });
+
+  after(() => server.close());
+
+  test('category and keyword source', async () => {
+    const cache = {};
+    const items = await fetchers.fetchSource({ type: 'arxiv', name: 'cs.CL', config: JSON.stringify({ categories: ['cs.CL'], keywords: ['reasoning'], limit: 1 }) }, cache);
+    assert.deepEqual(items.map(i => i.arxivId), ['2410.01234']);
+    assert.ok(server.requests.includes('/api/query?search_query=cat%3Acs.CL%20AND%20all%3Areasoning&sortBy=submittedDate&sortOrder=descending&max_results=1'));
+    assert.deepEqual(await fetchers.fetchArxiv({ categories: ['cs.CL'], limit: 1 }, { ...cache }), [], '304 on the second run');
+    await assert.rejects(fetchers.fetchArxiv({}), /categories/);
+  });
+
+  test('abstract of a paper URL for deep mode', async () => {
+    assert.match(await fetchers.fetchArxivAbstract('https://arxiv.org/pdf/2410.01234v2'), /^We study how language models/);
+    assert.ok(server.requests.includes('/api/query?id_list=2410.01234'));
+    assert.equal(await fetchers.fetchArxivAbstract('https://example.com/paper'), '');
+  });
+});
@@ -0,0 +1,96 @@
+// Tests for src/clusters.mjs — run with `npm run test:unit`
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { storyUrl, storyUrls, titleTokens, titleSimilarity, clusterItems } from '../src/clusters.mjs';
+
+describe('storyUrl', () => {
+  test('drops the scheme, fragment, trailing slash, www. and tracking parameters', () => {
+    assert.equal(storyUrl('https://www.Example.com/post/42/?utm_source=hn&b=2&a=1#comments'), 'example.com/post/42?a=1&b=2');
+    assert.equal(storyUrl('http://m.example.com/post/42'), 'example.com/post/42');
+    assert.equal(storyUrl('https://example.com/Post'), 'example.com/Post', 'paths keep their case');
+  });
+
+  test('keeps generic parameters that select content outside the hosts that use them for tracking', () => {
+    assert.notEqual(storyUrl('https://blog.test/?s=agents'), storyUrl('https://blog.test/?s=chips'), 'WordPress search');
+    assert.equal(storyUrl('https://news.test/list?source=hn&ref=top&share=1'), 'news.test/list?ref=top&share=1&source=hn');
+    assert.equal(storyUrl('https://github.com/acme/agent?ref=producthunt&mc_cid=9'), 'github.com/acme/agent');
+  });
+
+  test('treats twitter.com as x.com and reduces arXiv and YouTube URLs to their ID', () => {
+    assert.equal(storyUrl('https://mobile.twitter.com/karpathy/status/1?s=20'), 'x.com/karpathy/status/1');
+    assert.equal(storyUrl('https://arxiv.org/pdf/2401.00001v2'), 'arxiv.org/abs/2401.00001');
+    assert.equal(storyUrl('https://youtu.be/dQw4w9WgXcQ'), storyUrl('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=30'));
+  });
+
+  test('is empty for anything but http(s) URLs', () => {
+    for (const url of ['', 'not a url', 'mailto:a@test', undefined]) assert.equal(storyUrl(url), '', String(url));
+  });
+
+  test('keeps YouTube and arXiv URLs with malformed percent-encoding as plain URLs', () => {
+    assert.equal(storyUrl('https://www.youtube.com/%E0%A4%A'), 'youtube.com/%E0%A4%A');
+    assert.equal(storyUrl('https://arxiv.org/abs/%ZZ%E0'), 'arxiv.org/abs/%ZZ%E0');
+  });
+
+  test('storyUrls includes the canonical link a post shares', () => {
+    assert.deepEqual(storyUrls({ url: 'https://bsky.app/profile/a/post/1', canonicalUrl: 'https://lab.test/evals' }),
+      ['bsky.app/profile/a/post/1', 'lab.test/evals']);
+    assert.deepEqual(storyUrls({ url: 'https://a.test/x', canonicalUrl: '' }), ['a.test/x']);
+  });
+});
+
+describe('title similarity', () => {
+  test('titleTokens keeps significant words and numbers, CJK as character pairs', () => {
+    assert.deepEqual([...titleTokens('OpenAI raises $6.6B at a $157B valuation')], ['openai', 'raises', '$6.6b', '$157b', 'valuation']);
+    assert.deepEqual([...titleTokens('大模型融资')], ['大模', '模型', '型融', '融资']);
+  });
+
+  test('titleSimilarity needs two shared tokens', () => {
+    const t = (s) => titleTokens(s);
+    assert.equal(titleSimilarity(t('Open model tops reasoning benchmark'), t('Open-weights model tops a reasoning benchmark')), 5 / 6);
+    assert.equal(titleSimilarity(t('Anthropic news'), t('Anthropic hiring')), 0);
+  });
+});
+
+describe('clusterItems', () => {
+  const item = (title, url, extra = {}) => ({ title, url, ...extra });
+
+  test('merges items sharing a story URL or a similar title, led by the first', () => {
+    const hn = item('Open model tops reasoning benchmark', 'https://lab.test/model');
+    const reddit = item('Open-weights model tops a reasoning benchmark, beating GPT', 'https://reddit.com/r/LocalLLaMA/1');
+    const post = item('This is huge', 'https://x.com/karpathy/status/9', { canonicalUrl: 'https://www.lab.test/model?utm_source=x' });
+    const other = item('Chipmaker raises $400M for inference accelerators', 'https://chips.test/a');
+    const clusters = clusterItems([hn, other, reddit, post]);
+    assert.equal(clusters.length, 2);
+    assert.equal(clusters[0].lead, hn);
+    assert.deepEqual(clusters[0].items, [hn, reddit, post]);
+    assert.deepEqual(clusters[0].urls, ['lab.test/model', 'reddit.com/r/LocalLLaMA/1', 'x.com/karpathy/status/9']);
+    assert.deepEqual(clusters[1].items, [other]);
+  });
+
+  test('titles are compared with the lead only, so loose chains stay apart', () => {
+    const clusters = clusterItems([
+      item('Acme launches agent platform for developers', 'https://a.test/1'),
+      item('Acme agent platform pricing for developers revealed', 'https://a.test/2'),
+      item('Acme platform pricing revealed for developers', 'https://a.test/3'),
+    ]);
+    assert.deepEqual(clusters.map(c => c.items.length), [2, 1]);
+  });
+
+  test('an item URL with malformed percent-encoding does not stop clustering', () => {
+    const clusters = clusterItems([
+      item('Broken link', 'https://www.youtube.com/%E0%A4%A'),
+      item('Open model tops reasoning benchmark', 'https://arxiv.org/abs/%ZZ%E0'),
+      item('Open model tops reasoning benchmark', 'https://a.test/1'),
+    ]);
+    assert.deepEqual(clusters.map(c => c.items.length), [1, 2]);
+  });
+
+  test('a threshold of 1 only merges by URL', () => {
+    const clusters = clusterItems([
+      item('Open model tops reasoning benchmark', 'https://a.test/1'),
+      item('Open model tops reasoning benchmark again', 'https://b.test/1'),
+      item('Same link, other title', 'https://a.test/1/'),
+    ], { threshold: 1 });
+    assert.deepEqual(clusters.map(c => c.items.length), [2, 1]);
+  });
+});
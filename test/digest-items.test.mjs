@@ -0,0 +1,168 @@
+// Tests for src/digest-items.mjs and the digest_items table — run with `npm run test:unit`
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { migrate, rollback } from '../src/migrate.mjs';
+import { createDigest, listDigestItems, insertRawItems, searchIndex, getDigestItem, listItemAppearances, listRelatedItems } from '../src/db.mjs';
+import { parseBulletItems, extractDigestItems } from '../src/digest-items.mjs';
+import { relatedItemsMatch } from '../src/search.mjs';
+
+const MARKDOWN = `☀️ AI 快报 | 2026/03/01 08:00 CST
+
+🔥 重要动态
+• [OpenAI ships o5] — Cheaper reasoning for everyone [链接](https://a.test/o5)
+
+📰 精选资讯
+- A bullet without a title, only a summary [链接](https://a.test/plain)
+• Not an item line`;
+
+describe('parseBulletItems', () => {
+  test('reads `• [Title] — summary [链接](url)` lines', () => {
+    assert.deepEqual(parseBulletItems(MARKDOWN), [
+      { title: 'OpenAI ships o5', summary: 'Cheaper reasoning for everyone', url: 'https://a.test/o5' },
+      { title: 'A bullet without a title, only a summary', summary: 'A bullet without a title, only a summary', url: 'https://a.test/plain' },
+    ]);
+    assert.deepEqual(parseBulletItems(''), []);
+  });
+});
+
+describe('extractDigestItems', () => {
+  test('prefers metadata.items, skipping entries without a title or url', () => {
+    const metadata = JSON.stringify({ items: [
+      { title: 'Structured', url: 'https://a.test/s', summary: 'From JSON', category: '重要动态', source: 'HN', raw_item_id: 7,
+        sources: [{ source: 'HN', url: 'https://a.test/s' }, { url: '' }, null, { source: 'r/LocalLLaMA', url: 'https://reddit.test/1' }] },
+      { summary: 'no title or url' },
+      'not an object',
+    ] });
+    assert.deepEqual(extractDigestItems({ metadata, content: MARKDOWN }), [
+      { title: 'Structured', url: 'https://a.test/s', summary: 'From JSON', category: '重要动态', source: 'HN', rawItemId: 7,
+        sources: [{ source: 'HN', url: 'https://a.test/s' }, { source: 'r/LocalLLaMA', url: 'https://reddit.test/1' }] },
+    ]);
+  });
+
+  test('falls back to the markdown when metadata has no items or is not JSON', () => {
+    for (const metadata of ['{}', '{"items":[]}', 'not json', undefined, { items: null }]) {
+      const items = extractDigestItems({ metadata, content: MARKDOWN });
+      assert.deepEqual(items.map(i => i.url), ['https://a.test/o5', 'https://a.test/plain'], String(metadata));
+      assert.equal(items[0].rawItemId, null);
+      assert.deepEqual(items[0].sources, []);
+    }
+  });
+});
+
+describe('digest_items table', () => {
+  let db;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    db.pragma('foreign_keys = ON');
+    migrate(db);
+  });
+
+  afterEach(() => db.close());
+
+  test('createDigest writes the items in order with their raw item', () => {
+    db.prepare("INSERT INTO sources (id, name, type, config) VALUES (1, 'HN', 'hackernews', '{}')").run();
+    insertRawItems(db, 1, [{ title: 'o5', url: 'https://a.test/o5' }]);
+    const rawId = db.prepare('SELECT id FROM raw_items').get().id;
+    const metadata = JSON.stringify({ items: [
+      { title: 'First', url: 'https://a.test/o5', summary: 's1', raw_item_id: rawId, sources: [{ source: 'HN', url: 'https://a.test/o5' }] },
+      { title: 'Second', url: 'https://a.test/2', summary: 's2', raw_item_id: 999 },
+    ] });
+    const { id, items } = createDigest(db, { type: '4h', content: 'md', metadata });
+    assert.equal(items, 2);
+    const rows = listDigestItems(db, [id]).get(id);
+    assert.deepEqual(rows.map(r => [r.position, r.title, r.raw_item_id]), [[0, 'First', rawId], [1, 'Second', null]],
+      'a raw item that does not exist is not referenced');
+    assert.deepEqual(rows.map(r => JSON.parse(r.sources_json)), [[{ source: 'HN', url: 'https://a.test/o5' }], []]);
+
+    db.prepare('DELETE FROM raw_items').run();
+    assert.equal(listDigestItems(db, [id]).get(id)[0].raw_item_id, null, 'cleaning raw items keeps the story');
+    db.prepare('DELETE FROM digests WHERE id = ?').run(id);
+    assert.equal(db.prepare('SELECT COUNT(*) as n FROM digest_items').get().n, 0);
+  });
+
+  test('markdown-only digests get items, and digests without any an empty list', () => {
+    const md = createDigest(db, { type: 'daily', content: MARKDOWN });
+    const plain = createDigest(db, { type: 'daily', content: 'Just prose' });
+    const byDigest = listDigestItems(db, [md.id, plain.id]);
+    assert.equal(byDigest.get(md.id).length, 2);
+    assert.deepEqual(byDigest.get(plain.id), []);
+  });
+
+  test('search indexes items from the table', () => {
+    const { id } = createDigest(db, { type: '4h', content: 'md', metadata: JSON.stringify({ items: [{ title: 'Quantum chips', url: 'https://a.test/q' }] }) });
+    const found = () => searchIndex(db, { match: '"Quantum"', likes: [] }).rows;
+    assert.deepEqual(found().map(r => [r.kind, r.ref_id, r.item_index]), [['item', id, 0]]);
+    db.prepare("UPDATE digest_items SET title = 'Photonic chips' WHERE digest_id = ?").run(id);
+    assert.deepEqual(found(), []);
+  });
+
+  test('migration 019 backfills items from metadata of existing digests', () => {
+    rollback(db, { steps: 3 }); // 021, 020, then 019
+    db.prepare("INSERT INTO digests (type, content, metadata) VALUES ('4h', 'md', ?)")
+      .run(JSON.stringify({ items: [{ title: 'Old', url: 'https://a.test/old', summary: 'kept' }, { title: 'Older', url: 'https://a.test/older' }] }));
+    migrate(db);
+    assert.deepEqual(db.prepare('SELECT position, title, summary FROM digest_items ORDER BY position').all(),
+      [{ position: 0, title: 'Old', summary: 'kept' }, { position: 1, title: 'Older', summary: '' }]);
+    assert.equal(searchIndex(db, { match: '"Older"', likes: [] }).total, 1, 'indexed once, through digest_items');
+  });
+
+  test('migration 021 parses the markdown bullets of existing digests', () => {
+    rollback(db, { steps: 3 });
+    db.prepare("INSERT INTO digests (type, content) VALUES ('daily', ?)").run(MARKDOWN);
+    db.prepare("INSERT INTO digests (type, content) VALUES ('daily', 'No links here')").run();
+    migrate(db);
+    assert.deepEqual(db.prepare('SELECT digest_id, position, title, url FROM digest_items ORDER BY digest_id, position').all(), [
+      { digest_id: 1, position: 0, title: 'OpenAI ships o5', url: 'https://a.test/o5' },
+      { digest_id: 1, position: 1, title: 'A bullet without a title, only a summary', url: 'https://a.test/plain' },
+    ]);
+    assert.equal(db.prepare("SELECT name FROM schema_migrations WHERE version = 21").get().name, '021_digest_item_bullets');
+  });
+});
+
+describe('item lookups', () => {
+  let db;
+  let ids;
+  const story = (title, url, extra = {}) => ({ title, url, summary: `About ${title}`, ...extra });
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    migrate(db);
+    db.prepare("INSERT INTO users (id, google_id, email, name) VALUES (1, 'g1', 'a@test', 'A'), (2, 'g2', 'b@test', 'B')").run();
+    const post = (items, opts = {}) => {
+      const { id } = createDigest(db, { type: '4h', content: 'md', metadata: JSON.stringify({ items }), ...opts });
+      return listDigestItems(db, [id]).get(id).map(i => i.id);
+    };
+    ids = {
+      first: post([story('Quantum chips reach a milestone', 'https://a.test/q'), story('Unrelated gardening news', 'https://a.test/g')],
+        { created_at: '2026-03-01 08:00:00' }),
+      again: post([story('Quantum chips reach a milestone', 'https://a.test/q'), story('Quantum networking startup raises money', 'https://a.test/n')],
+        { created_at: '2026-03-02 08:00:00' }),
+      personal: post([story('Quantum chips for one reader', 'https://a.test/p')], { user_id: 1 }),
+    };
+  });
+
+  afterEach(() => db.close());
+
+  test('an item is only found through a digest the user may see', () => {
+    assert.equal(getDigestItem(db, ids.first[0]).title, 'Quantum chips reach a milestone');
+    assert.equal(getDigestItem(db, ids.first[0]).digest_type, '4h');
+    assert.equal(getDigestItem(db, ids.personal[0]), undefined);
+    assert.equal(getDigestItem(db, ids.personal[0], { userId: 2 }), undefined);
+    assert.equal(getDigestItem(db, ids.personal[0], { userId: 1 }).url, 'https://a.test/p');
+  });
+
+  test('appearances are the visible digests with the same URL, newest first', () => {
+    const item = getDigestItem(db, ids.first[0]);
+    assert.deepEqual(listItemAppearances(db, item).map(a => a.id), [ids.again[0], ids.first[0]]);
+  });
+
+  test('related items share title words, one per URL, never the story itself', () => {
+    const item = getDigestItem(db, ids.first[0]);
+    const related = (userId) => listRelatedItems(db, item, { match: relatedItemsMatch(item.title), userId }).map(r => r.url);
+    assert.deepEqual(related(), ['https://a.test/n']);
+    assert.deepEqual(related(1).sort(), ['https://a.test/n', 'https://a.test/p']);
+    assert.deepEqual(listRelatedItems(db, item, { match: null }), []);
+  });
+});
@@ -0,0 +1,130 @@
+// Tests for src/feed-parser.mjs — run with `npm run test:unit`
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { parseFeed, parseFeedDocument, decodeFeedBody, htmlToText } from '../src/feed-parser.mjs';
+import { startFixtureServer, FIXTURES_DIR } from './fixture-server.mjs';
+import { createFetchers } from '../src/fetchers.mjs';
+
+const fixture = (name) => readFileSync(join(FIXTURES_DIR, 'fetchers', name));
+
+describe('RSS 2.0', () => {
+  test('keeps enclosures, media, categories, itunes author and permalink GUID', () => {
+    const [ep] = parseFeed(fixture('podcast.xml'), { baseUrl: 'https://pod.example.com/feed.xml' });
+    assert.equal(ep.title, 'Ep. 42: Queues everywhere');
+    assert.equal(ep.url, 'https://pod.example.com/ep/42', 'permalink guid is the url');
+    assert.equal(ep.guid, 'https://pod.example.com/ep/42');
+    assert.equal(ep.description, 'We talk about back-pressure & retries…');
+    assert.deepEqual(ep.categories, ['Infrastructure', 'Queues']);
+    assert.equal(ep.author, 'Sam Host');
+    assert.deepEqual(ep.enclosures, [
+      { url: 'https://pod.example.com/audio/ep42.mp3', type: 'audio/mpeg', length: 31457280 },
+      { url: 'https://cdn.example.com/ep42.mp4', type: 'video/mp4', length: 1048576 },
+      { url: 'https://cdn.example.com/ep42.jpg', type: 'image/*', length: null },
+    ]);
+  });
+
+  test('channel-level atom:link is not mistaken for an item link; relative links resolve', () => {
+    const doc = parseFeedDocument(fixture('podcast.xml'));
+    assert.equal(doc.format, 'rss');
+    assert.equal(doc.title, 'Infra Weekly — Podcast');
+    assert.equal(doc.link, 'https://pod.example.com/');
+    assert.equal(doc.items[1].url, 'https://pod.example.com/ep/41', 'resolved against the channel link');
+  });
+
+  test('guid with isPermaLink="false" is not used as url', () => {
+    const items = parseFeed(fixture('rss.xml'));
+    assert.equal(items[0].guid, 'post-101');
+    assert.equal(items[0].url, 'https://blog.example.com/posts/scaling-sqlite');
+  });
+});
+
+describe('Atom', () => {
+  test('prefers the HTML rel="alternate" link over edit/replies/json links', () => {
+    const [entry] = parseFeed(fixture('atom-links.xml'));
+    assert.equal(entry.url, 'https://news.example.net/entries/7');
+    assert.equal(entry.title, 'Release notes v2.0');
+    assert.deepEqual(entry.enclosures, [{ url: 'https://news.example.net/entries/7.pdf', type: 'application/pdf', length: 20480 }]);
+  });
+
+  test('keeps published vs updated, authors, contributors, category labels and xhtml content', () => {
+    const [entry, onlyUpdated] = parseFeed(fixture('atom-links.xml'));
+    assert.equal(entry.pubDate, '2026-10-10T12:00:00Z');
+    assert.equal(entry.updated, '2026-10-11T08:15:00Z');
+    assert.deepEqual(entry.authors, ['Lin Wei', 'Ana Souza']);
+    assert.equal(entry.author, 'Lin Wei, Ana Souza');
+    assert.deepEqual(entry.categories, ['Releases', 'changelog']);
+    assert.equal(entry.guid, 'tag:news.example.net,2026:entry-7');
+    assert.equal(entry.description, 'Faster startup and a new CLI.');
+    assert.equal(onlyUpdated.pubDate, '2026-10-09T00:00:00Z', 'updated is the pubDate fallback');
+  });
+
+  test('feed title and alternate link', () => {
+    const doc = parseFeedDocument(fixture('atom-links.xml'));
+    assert.equal(doc.format, 'atom');
+    assert.equal(doc.title, 'Example News');
+    assert.equal(doc.link, 'https://news.example.net/');
+  });
+});
+
+describe('encodings', () => {
+  test('GBK declared in the XML prolog', () => {
+    const doc = parseFeedDocument(fixture('rss-gbk.xml'));
+    assert.equal(doc.title, '中文科技');
+    assert.equal(doc.items[0].title, '国产数据库发布新版本');
+    assert.equal(doc.items[0].description, '性能提升三倍');
+  });
+
+  test('Content-Type charset when the prolog has none', () => {
+    const [item] = parseFeed(fixture('rss-latin1.xml'), { contentType: 'application/rss+xml; charset=ISO-8859-1' });
+    assert.equal(item.title, 'Crème brûlée à la carte');
+  });
+
+  test('BOM wins over a wrong declaration; unknown labels fall back to UTF-8', () => {
+    const body = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('<?xml version="1.0" encoding="latin1"?><rss>ü</rss>')]);
+    assert.match(decodeFeedBody(body), /<rss>ü<\/rss>/);
+    assert.equal(decodeFeedBody(Buffer.from('ü'), 'text/xml; charset=x-made-up'), 'ü');
+  });
+
+  test('fetchRss decodes the raw response bytes', async () => {
+    const server = await startFixtureServer({
+      routes: {
+        '/gbk.xml': { body: fixture('rss-gbk.xml'), type: 'application/xml' },
+        '/latin1.xml': { body: fixture('rss-latin1.xml'), type: 'application/rss+xml; charset=iso-8859-1' },
+      },
+    });
+    try {
+      const { fetchRss } = createFetchers({ log: () => {}, warn: () => {} });
+      assert.equal((await fetchRss(`${server.url}/gbk.xml`))[0].title, '国产数据库发布新版本');
+      assert.equal((await fetchRss(`${server.url}/latin1.xml`))[0].title, 'Crème brûlée à la carte');
+    } finally {
+      server.close();
+    }
+  });
+});
+
+describe('robustness', () => {
+  test('survives malformed markup and unknown entities', () => {
+    const xml = '<rss><channel><item><title>A &bogus; <b>bold</title><link>https://x.example/a</link></item>'
+      + '<item><title>B & C</title><link>https://x.example/b</link></item></channel>';
+    const items = parseFeed(xml);
+    assert.equal(items.length, 2);
+    assert.equal(items[1].title, 'B & C');
+  });
+
+  test('RSS 1.0 (RDF) items outside the channel', () => {
+    const xml = '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns="http://purl.org/rss/1.0/" xmlns:dc="http://purl.org/dc/elements/1.1/">'
+      + '<channel><title>RDF</title><link>https://rdf.example/</link></channel>'
+      + '<item><title>One</title><link>https://rdf.example/1</link><dc:date>2026-10-01T00:00:00Z</dc:date><dc:subject>misc</dc:subject></item>'
+      + '</rdf:RDF>';
+    const doc = parseFeedDocument(xml);
+    assert.equal(doc.format, 'rdf');
+    assert.equal(doc.items[0].pubDate, '2026-10-01T00:00:00Z');
+    assert.deepEqual(doc.items[0].categories, ['misc']);
+  });
+
+  test('htmlToText drops scripts and decodes numeric entities', () => {
+    assert.equal(htmlToText('<p>a<script>alert(1)</script> &#x4e2d;&#25991; &nbsp;b</p>'), 'a 中文 b');
+  });
+});
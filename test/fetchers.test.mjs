@@ -0,0 +1,394 @@
+// Fixture-driven tests for src/fetchers.mjs — run with `npm run test:unit`
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { createFetchers, parseGitHubTrending, parseHackerNews, parseHackerNewsComments, parseReddit } from '../src/fetchers.mjs';
+import { startFixtureServer, FIXTURES_DIR } from './fixture-server.mjs';
+
+let server;
+let fetchers;
+const warnings = [];
+
+before(async () => {
+  server = await startFixtureServer({
+    routes: {
+      '/hn/api/v1/search': 'fetchers/hn-search.json',
+      '/hn/api/v1/search_by_date': 'fetchers/hn-search.json',
+      '/hn/api/v1/items/41000001': 'fetchers/hn-item.json',
+      '/reddit/r/programming/hot.json': 'fetchers/reddit-hot.json',
+      '/reddit/r/programming/top.json': 'fetchers/reddit-hot.json',
+      '/reddit/r/MachineLearning+LocalLLaMA/top.json': 'fetchers/reddit-multi-top.json',
+      '/reddit/api/v1/access_token': { body: '{"access_token":"tok-1","token_type":"bearer","expires_in":86400}', type: 'application/json' },
+      '/reddit-bad-auth/api/v1/access_token': { status: 401, body: '{"error":"invalid_grant"}', type: 'application/json' },
+      '/reddit-oauth/r/MachineLearning+LocalLLaMA/top': 'fetchers/reddit-multi-top.json',
+      '/github/trending': 'fetchers/github-trending.html',
+      '/github/trending/rust': 'fetchers/github-trending.html',
+      '/github-changed/trending': { body: '<html><body><div class="repo-list"></div></body></html>', type: 'text/html' },
+      '/rsshub/twitter/user/karpathy': 'fetchers/twitter-user.xml',
+      '/rsshub/twitter/user/emptyuser': 'fetchers/empty-feed.xml',
+      '/rsshub/twitter/list/123456': 'fetchers/twitter-user.xml',
+      '/nitter-up/emptyuser/rss': 'fetchers/twitter-user.xml',
+      '/nitter-down/emptyuser/rss': { status: 502, body: 'bad gateway' },
+      '/rsshub/twitter/user/quietuser': 'fetchers/empty-feed.xml',
+      '/nitter-up/quietuser/rss': 'fetchers/empty-feed.xml',
+      '/hn-down/api/v1/search': { status: 500, body: '<html>Internal Server Error</html>', type: 'text/html' },
+      '/hn-html/api/v1/search': { body: '<html>maintenance</html>', type: 'text/html' },
+      '/reddit-html/r/programming/hot.json': { body: '<html>whoa there, pardner!</html>', type: 'text/html' },
+      '/status/404': { status: 404, body: 'not found' },
+      '/slow.xml': { file: 'fetchers/rss.xml', delayMs: 1000 },
+      '/plain.xml': { body: readFileSync(join(FIXTURES_DIR, 'fetchers/rss.xml'), 'utf8'), type: 'application/rss+xml' },
+    },
+  });
+  fetchers = createFetchers({
+    rsshubUrl: `${server.url}/rsshub`,
+    timeoutMs: 300,
+    endpoints: {
+      hackernews: `${server.url}/hn`,
+      reddit: `${server.url}/reddit`,
+      github: `${server.url}/github`,
+    },
+    nitterInstances: [`${server.url}/nitter-down`, `${server.url}/nitter-up`],
+    rsshubRetries: 2,
+    rsshubRetryDelayMs: 10,
+    log: () => {},
+    warn: (...a) => warnings.push(a.join(' ')),
+  });
+});
+
+after(() => server.close());
+
+const lastRequest = (prefix) => [...server.requests].reverse().find(u => u.startsWith(prefix));
+
+describe('fetchRss', () => {
+  test('parses RSS 2.0 items: CDATA, entities, content:encoded, author', async () => {
+    const items = await fetchers.fetchRss(`${server.url}/fixtures/fetchers/rss.xml`);
+    assert.equal(items.length, 3, 'item without title and link is skipped');
+    const { title, url, description, pubDate, author } = items[0];
+    assert.deepEqual({ title, url, description, pubDate, author }, {
+      title: 'Scaling SQLite to 1M writes/day',
+      url: 'https://blog.example.com/posts/scaling-sqlite',
+      description: 'Full text: we moved our job queue to SQLite in WAL mode and kept p99 latency under 5ms.',
+      pubDate: 'Mon, 12 Oct 2026 08:30:00 GMT',
+      author: 'Jane Doe',
+    });
+    assert.equal(items[1].title, 'Tom & Jerry\'s "deploy" checklist');
+    assert.equal(items[1].author, 'ops@example.com (Ops Team)');
+    assert.equal(items[2].author, '');
+  });
+
+  test('parses Atom entries: link href, id fallback, summary/content, author name', async () => {
+    const items = await fetchers.fetchRss(`${server.url}/fixtures/fetchers/atom.xml`);
+    assert.equal(items.length, 2);
+    assert.equal(items[0].url, 'https://research.example.org/notes/sparse-attention');
+    assert.equal(items[0].pubDate, '2026-10-12T09:00:00Z');
+    assert.equal(items[0].author, 'Ada Researcher');
+    assert.match(items[0].description, /block-sparse attention/);
+    assert.equal(items[1].url, 'https://research.example.org/notes/41');
+    assert.equal(items[1].author, 'Grace Hopper');
+  });
+
+  test('respects limit', async () => {
+    const items = await fetchers.fetchRss(`${server.url}/fixtures/fetchers/rss.xml`, 2);
+    assert.equal(items.length, 2);
+  });
+
+  test('caps description at 400 chars', async () => {
+    const items = await fetchers.fetchRss(`${server.url}/fixtures/fetchers/rss.xml`);
+    assert.ok(items.every(i => i.description.length <= 400));
+  });
+
+  test('throws on HTTP errors instead of returning an empty list', async () => {
+    await assert.rejects(fetchers.fetchRss(`${server.url}/status/404`), /HTTP 404/);
+  });
+
+  test('times out slow feeds', async () => {
+    await assert.rejects(fetchers.fetchRss(`${server.url}/slow.xml`), /abort|timeout/i);
+  });
+});
+
+describe('conditional GET', () => {
+  const feedUrl = () => `${server.url}/fixtures/fetchers/rss.xml`;
+
+  test('stores ETag / Last-Modified, then treats 304 as no new items', async () => {
+    const cache = {};
+    assert.equal((await fetchers.fetchRss(feedUrl(), 20, cache)).length, 3);
+    assert.match(cache.etag, /^"[0-9a-f]+"$/);
+    assert.ok(cache.lastModified);
+    assert.equal(cache.notModified, undefined);
+
+    const again = { etag: cache.etag, lastModified: cache.lastModified };
+    assert.deepEqual(await fetchers.fetchRss(feedUrl(), 20, again), []);
+    assert.equal(again.notModified, true);
+    assert.equal(again.etag, cache.etag, 'validators kept on 304');
+  });
+
+  test('Last-Modified alone is enough; a stale ETag gets the full body', async () => {
+    const first = {};
+    await fetchers.fetchRss(feedUrl(), 20, first);
+    const byDate = { lastModified: first.lastModified };
+    await fetchers.fetchRss(feedUrl(), 20, byDate);
+    assert.equal(byDate.notModified, true);
+
+    const stale = { etag: '"stale"' };
+    assert.equal((await fetchers.fetchRss(feedUrl(), 20, stale)).length, 3);
+    assert.equal(stale.etag, first.etag);
+  });
+
+  test('validators are cleared when the server stops sending them', async () => {
+    const cache = { etag: '"old"', lastModified: 'Mon, 12 Oct 2026 08:30:00 GMT' };
+    const items = await fetchers.fetchSource({ type: 'rss', name: 'Plain', config: { url: `${server.url}/plain.xml` } }, cache);
+    assert.equal(items.length, 3);
+    assert.equal(cache.etag, null);
+    assert.equal(cache.lastModified, null);
+  });
+
+  test('fetchSource threads the cache; a 304 from RSSHub skips retries and Nitter', async () => {
+    const cache = {};
+    await fetchers.fetchSource({ type: 'twitter_feed', name: 'K', config: { username: 'karpathy' } }, cache);
+    const sent = server.requests.length;
+    const again = { etag: cache.etag };
+    assert.deepEqual(await fetchers.fetchSource({ type: 'twitter_feed', name: 'K', config: { username: 'karpathy' } }, again), []);
+    assert.equal(again.notModified, true);
+    assert.deepEqual(server.requests.slice(sent), ['/rsshub/twitter/user/karpathy']);
+  });
+
+  test('sends the validators as request headers', async () => {
+    const seen = [];
+    const echo = await startFixtureServer({ routes: { '/feed.xml': { status: 304 } } });
+    echo.on('request', (req) => seen.push(req.headers));
+    try {
+      const cache = { etag: 'W/"abc"', lastModified: 'Tue, 13 Oct 2026 06:00:00 GMT' };
+      await fetchers.fetchRss(`${echo.url}/feed.xml`, 20, cache);
+      assert.equal(seen[0]['if-none-match'], 'W/"abc"');
+      assert.equal(seen[0]['if-modified-since'], 'Tue, 13 Oct 2026 06:00:00 GMT');
+      assert.equal(cache.notModified, true);
+    } finally {
+      echo.close();
+    }
+  });
+});
+
+describe('fetchHackerNews', () => {
+  test('maps Algolia hits, falls back to item URL, filters by min_score and missing titles', async () => {
+    const items = await fetchers.fetchHackerNews({ min_score: 50 });
+    assert.deepEqual(items.map(i => i.title), [
+      'Show HN: A tiny SQLite-backed job queue',
+      'Ask HN: How do you review large PRs?',
+      'The history of the B-tree',
+    ]);
+    assert.equal(items[1].url, 'https://news.ycombinator.com/item?id=41000002');
+    assert.equal(items[0].description, '312 分 · 87 评论');
+    assert.equal(items[0].author, 'alice');
+  });
+
+  test('maps filter to Algolia tags and sizes the page from limit', async () => {
+    const items = await fetchers.fetchHackerNews({ filter: 'show', min_score: 0, limit: 2 });
+    assert.equal(items.length, 2);
+    const url = new URL(lastRequest('/hn/'), server.url);
+    assert.equal(url.searchParams.get('tags'), 'show_hn');
+    assert.equal(url.searchParams.get('hitsPerPage'), '4');
+  });
+
+  test('min_score 0 keeps low-score stories', async () => {
+    const items = await fetchers.fetchHackerNews({ min_score: 0 });
+    assert.equal(items.length, 4);
+  });
+
+  test('filters, time window, keywords and thresholds become Algolia parameters', async () => {
+    await fetchers.fetchHackerNews({ filter: 'new', query: 'sqlite', hours: 6, min_score: 10, min_comments: 5 });
+    let url = new URL(lastRequest('/hn/'), server.url);
+    assert.equal(url.pathname, '/hn/api/v1/search_by_date');
+    assert.equal(url.searchParams.get('tags'), 'story');
+    assert.equal(url.searchParams.get('query'), 'sqlite');
+    const [since, ...thresholds] = url.searchParams.get('numericFilters').split(',');
+    assert.deepEqual(thresholds, ['points>=10', 'num_comments>=5']);
+    const cutoff = Number(since.replace('created_at_i>', ''));
+    assert.ok(Date.now() / 1000 - cutoff >= 6 * 3600 && Date.now() / 1000 - cutoff < 7 * 3600, since);
+
+    const best = await fetchers.fetchHackerNews({ filter: 'best', min_score: 0 });
+    url = new URL(lastRequest('/hn/'), server.url);
+    assert.equal(url.pathname, '/hn/api/v1/search');
+    assert.match(url.searchParams.get('numericFilters'), /^created_at_i>\d+$/, 'best defaults to the last 24 hours');
+    assert.deepEqual(best.map(i => i.hnId), ['41000001', '41000002', '41000005', '41000003'], 'highest score first');
+  });
+
+  test('min_comments and exclude_domains filter hits (subdomains included)', () => {
+    const data = JSON.parse(readFileSync(join(FIXTURES_DIR, 'fetchers/hn-search.json'), 'utf8'));
+    assert.deepEqual(parseHackerNews(data, { min_score: 0, min_comments: 50 }).map(i => i.hnId), ['41000001', '41000002']);
+    assert.deepEqual(parseHackerNews({ hits: [...data.hits, { objectID: '9', title: 'Gist', url: 'https://gist.github.com/x', points: 80 }] },
+      { exclude_domains: ['GitHub.com', 'www.example.com'] }).map(i => i.hnId), ['41000002'], 'self posts have no domain to exclude');
+  });
+
+  test('comments: N attaches the most-replied-to top-level comments', async () => {
+    const items = await fetchers.fetchHackerNews({ min_score: 100, comments: 2 });
+    assert.deepEqual(items[0].comments, [
+      { author: 'grace', text: 'We ran something like this in production for two years & the WAL mode was the key. Checkpointing was the only pain point.' },
+      { author: 'judy', text: 'Benchmarks against Redis?' },
+    ]);
+    assert.equal(items[1].comments, undefined, 'a failed comment lookup keeps the story');
+    assert.deepEqual(parseHackerNewsComments({ children: [] }), []);
+  });
+
+  test('throws on HTTP errors and non-JSON bodies', async () => {
+    const down = createFetchers({ endpoints: { hackernews: `${server.url}/hn-down` }, log: () => {}, warn: () => {} });
+    await assert.rejects(down.fetchHackerNews(), /HTTP 500/);
+    const html = createFetchers({ endpoints: { hackernews: `${server.url}/hn-html` }, log: () => {}, warn: () => {} });
+    await assert.rejects(html.fetchHackerNews(), SyntaxError);
+  });
+});
+
+describe('fetchReddit', () => {
+  test('maps posts: relative URLs, selftext, score line, permalink fallback', async () => {
+    const items = await fetchers.fetchReddit({ subreddit: 'programming' });
+    assert.equal(items.length, 3, 'post with empty title is skipped');
+    assert.equal(items[0].url, 'https://www.reddit.com/r/programming/comments/abc123/what_is_the_best_way_to_learn_rust/');
+    assert.match(items[0].description, /^I have ten years of Python/);
+    assert.equal(items[1].url, 'https://www.postgresql.org/about/news/postgres-19-released/');
+    assert.equal(items[1].description, '↑2048 · 311 评论 · r/programming');
+    assert.equal(items[2].url, 'https://www.reddit.com/r/programming/comments/abc125/link_post/');
+  });
+
+  test('passes sort and limit through', async () => {
+    const items = await fetchers.fetchReddit({ subreddit: 'programming', sort: 'top', limit: 1 });
+    assert.equal(items.length, 1);
+    const url = new URL(lastRequest('/reddit/'), server.url);
+    assert.equal(url.pathname, '/reddit/r/programming/top.json');
+    assert.equal(url.searchParams.get('limit'), '1');
+  });
+
+  test('requires subreddit', async () => {
+    await assert.rejects(fetchers.fetchReddit({}), /subreddit/);
+    await assert.rejects(fetchers.fetchReddit({ subreddit: '../api' }), /无效的 subreddit/);
+  });
+
+  test('multi-subreddit top with a time window, score and flair filters', async () => {
+    const items = await fetchers.fetchReddit({ subreddits: ['r/MachineLearning', 'LocalLLaMA'], sort: 'top', time: 'week', min_score: 100, flair_exclude: ['discussion'], limit: 5 });
+    assert.deepEqual(items.map(i => [i.title, i.flair]), [['[R] Scaling laws for sparse retrieval', 'Research'], ['New 8B model runs on a phone', 'News ']]);
+    const url = new URL(lastRequest('/reddit/'), server.url);
+    assert.equal(url.pathname, '/reddit/r/MachineLearning+LocalLLaMA/top.json');
+    assert.equal(url.searchParams.get('t'), 'week');
+    assert.equal(url.searchParams.get('limit'), '15', 'filtered sources over-fetch');
+
+    await fetchers.fetchReddit({ subreddit: 'programming', time: 'week' });
+    assert.equal(new URL(lastRequest('/reddit/'), server.url).searchParams.get('t'), null, 'time only applies to top/controversial');
+  });
+
+  test('flair_include keeps only matching flairs, case-insensitively', () => {
+    const data = JSON.parse(readFileSync(join(FIXTURES_DIR, 'fetchers/reddit-multi-top.json'), 'utf8'));
+    assert.deepEqual(parseReddit(data, { flair_include: ['research', 'NEWS'] }).map(i => i.author), ['researcher1', 'tinkerer']);
+  });
+
+  test('script-app credentials: token once, then bearer requests to the OAuth host', async () => {
+    const oauth = createFetchers({
+      endpoints: { reddit: `${server.url}/reddit`, redditOAuth: `${server.url}/reddit-oauth` },
+      reddit: { clientId: 'app', clientSecret: 'secret', username: 'bot', password: 'pw' },
+      log: () => {}, warn: () => {},
+    });
+    const sent = server.requestLog.length;
+    await oauth.fetchReddit({ subreddit: 'MachineLearning+LocalLLaMA', sort: 'top', time: 'day' });
+    await oauth.fetchReddit({ subreddit: 'MachineLearning+LocalLLaMA', sort: 'top', time: 'day' });
+    const log = server.requestLog.slice(sent);
+    assert.deepEqual(log.map(r => [r.method, new URL(r.url, server.url).pathname]), [
+      ['POST', '/reddit/api/v1/access_token'],
+      ['GET', '/reddit-oauth/r/MachineLearning+LocalLLaMA/top'],
+      ['GET', '/reddit-oauth/r/MachineLearning+LocalLLaMA/top'],
+    ]);
+    assert.equal(log[0].headers.authorization, `Basic ${Buffer.from('app:secret').toString('base64')}`);
+    assert.equal(log[1].headers.authorization, 'Bearer tok-1');
+    assert.match(log[1].headers['user-agent'], /by \/u\/bot/);
+
+    const bad = createFetchers({ endpoints: { reddit: `${server.url}/reddit-bad-auth` }, reddit: { clientId: 'app', clientSecret: 'nope' }, log: () => {}, warn: () => {} });
+    await assert.rejects(bad.fetchReddit({ subreddit: 'programming' }), /Reddit OAuth 认证失败: invalid_grant/);
+  });
+
+  test('throws when Reddit answers with HTML (rate limit page)', async () => {
+    const broken = createFetchers({ endpoints: { reddit: `${server.url}/reddit-html` }, log: () => {}, warn: () => {} });
+    await assert.rejects(broken.fetchReddit({ subreddit: 'programming' }), SyntaxError);
+  });
+});
+
+describe('fetchGitHubTrending', () => {
+  test('parses one item per repo row, ignoring nav, login and stargazer links', async () => {
+    const items = await fetchers.fetchGitHubTrending({});
+    assert.deepEqual(items.map(i => i.title), ['example/fastdb', 'acme/agent-kit', 'someone/dotfiles.nvim']);
+    assert.equal(items[0].url, 'https://github.com/example/fastdb');
+    assert.equal(items[0].description, 'An embedded key-value store written in Rust & tuned for NVMe · ⭐ 1024 stars today');
+    assert.equal(items[1].description, '⭐ 87 stars today');
+  });
+
+  test('puts language in the path and since in the query', async () => {
+    await fetchers.fetchGitHubTrending({ language: 'rust', since: 'weekly' });
+    const url = new URL(lastRequest('/github/'), server.url);
+    assert.equal(url.pathname, '/github/trending/rust');
+    assert.equal(url.searchParams.get('since'), 'weekly');
+  });
+
+  test('respects limit', async () => {
+    const items = await fetchers.fetchGitHubTrending({ limit: 1 });
+    assert.equal(items.length, 1);
+  });
+
+  test('fails loudly when the markup no longer matches', async () => {
+    const changed = createFetchers({ endpoints: { github: `${server.url}/github-changed` }, log: () => {}, warn: () => {} });
+    await assert.rejects(changed.fetchGitHubTrending({}), /页面结构可能已变化/);
+  });
+
+  test('parser ignores duplicate rows', () => {
+    const html = readFileSync(join(FIXTURES_DIR, 'fetchers/github-trending.html'), 'utf8');
+    const row = html.match(/<article class="Box-row">[\s\S]*?<\/article>/)[0];
+    assert.equal(parseGitHubTrending(row + row).length, 1);
+  });
+});
+
+describe('Twitter via RSSHub / Nitter', () => {
+  test('twitter_feed reads the RSSHub user route', async () => {
+    const items = await fetchers.fetchTwitterFeed({ username: '@karpathy' });
+    assert.equal(items.length, 2);
+    assert.equal(items[0].url, 'https://x.com/karpathy/status/1900000000000000001');
+  });
+
+  test('falls back to the first working Nitter instance when RSSHub is empty', async () => {
+    const items = await fetchers.fetchTwitterFeed({ handle: 'emptyuser', limit: 1 });
+    assert.equal(items.length, 1);
+    assert.ok(server.requests.includes('/nitter-down/emptyuser/rss'));
+    assert.equal(server.requests.filter(u => u === '/rsshub/twitter/user/emptyuser').length, 2, 'RSSHub retried');
+  });
+
+  test('throws the last error and warns when every backend fails', async () => {
+    warnings.length = 0;
+    await assert.rejects(fetchers.fetchTwitterFeed({ username: 'nobody' }), /404/);
+    assert.match(warnings.join('\n'), /RSSHub 和 Nitter 均无法获取数据/);
+    await assert.rejects(fetchers.fetchTwitterList({ url: 'https://x.com/i/lists/999' }), /404/);
+  });
+
+  test('returns [] when a backend answers with an empty feed', async () => {
+    assert.deepEqual(await fetchers.fetchTwitterFeed({ username: 'quietuser' }), []);
+    assert.ok(server.requests.includes('/nitter-up/quietuser/rss'));
+  });
+
+  test('twitter_list extracts the list id from x.com URLs', async () => {
+    const items = await fetchers.fetchTwitterList({ url: 'https://x.com/i/lists/123456' });
+    assert.equal(items.length, 2);
+  });
+
+  test('config errors are thrown', async () => {
+    await assert.rejects(fetchers.fetchTwitterFeed({}), /username 或 handle/);
+    await assert.rejects(fetchers.fetchTwitterList({ url: 'https://example.com/nope' }), /无法解析 Twitter 列表 URL/);
+  });
+});
+
+describe('fetchSource', () => {
+  test('dispatches on source type with JSON string config', async () => {
+    const items = await fetchers.fetchSource({ type: 'rss', name: 'Blog', config: JSON.stringify({ url: `${server.url}/fixtures/fetchers/atom.xml` }) });
+    assert.equal(items.length, 2);
+    const hn = await fetchers.fetchSource({ type: 'hackernews', name: 'HN', config: { min_score: 100 } });
+    assert.equal(hn.length, 2);
+  });
+
+  test('unknown types and broken config are skipped with a warning', async () => {
+    warnings.length = 0;
+    assert.deepEqual(await fetchers.fetchSource({ type: 'carrier_pigeon', name: 'Coo', config: '{not json' }), []);
+    assert.match(warnings[0], /carrier_pigeon/);
+  });
+});
@@ -0,0 +1,97 @@
+// Tests for src/filters.mjs — run with `npm run test:unit`
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLanguage, compileRule, compileFilters, applySourceFilters, RULE_MAX_LENGTH, MATCH_MAX_CHARS } from '../src/filters.mjs';
+
+describe('detectLanguage', () => {
+  test('guesses by script', () => {
+    const cases = {
+      'OpenAI ships a new reasoning model': 'en',
+      '大模型推理成本持续下降': 'zh',
+      '新しいモデルを公開しました': 'ja',
+      '새로운 모델을 공개했습니다': 'ko',
+      'Новая модель для рассуждений': 'ru',
+      'نموذج جديد للاستدلال': 'ar',
+      // A quoted name does not make English text Chinese
+      'Interview with the founders of 月之暗面 about long context': 'en',
+      '2026 · 42%': '',
+    };
+    for (const [text, lang] of Object.entries(cases)) assert.equal(detectLanguage(text), lang, text);
+  });
+});
+
+describe('compileRule', () => {
+  test('Latin keywords match whole words, case-insensitively', () => {
+    const re = compileRule('agent');
+    assert.ok(re.test('New Agent framework'));
+    assert.ok(!re.test('Agentless crawling'));
+    assert.ok(compileRule('open source').test('Going Open Source today'));
+  });
+
+  test('other keywords match as substrings; /pattern/flags are regexes', () => {
+    assert.ok(compileRule('大模型').test('国产大模型发布'));
+    assert.ok(compileRule('c++').test('Modern C++ tips'));
+    assert.ok(compileRule('/\\bLLMs?\\b/').test('Why llms hallucinate'), 'case-insensitive by default');
+    assert.ok(!compileRule('/\\bLLMs?\\b/g').test('Why llms hallucinate'), 'explicit flags replace the default');
+    assert.throws(() => compileRule('/(unclosed/'), SyntaxError);
+  });
+
+  test('regexes that could backtrack for minutes are rejected', () => {
+    for (const rule of ['/(a+)+$/', '/^(\\w|\\d)*!/', '/(?:x{2,}){2,}y/', '/(.*a)*b/']) assert.throws(() => compileRule(rule), /can hang matching/, rule);
+    assert.throws(() => compileRule(`/${'a'.repeat(RULE_MAX_LENGTH + 1)}/`), /longer than 200 characters/);
+    for (const rule of ['/(gpt|claude)-\\d+/', '/\\b(LLM)s?\\b/', '/v\\d+(\\.\\d+)?/', '/(a+)b/']) assert.ok(compileRule(rule), rule);
+    assert.ok(compileRule('(a+)+'), 'keywords are escaped, so any text is safe');
+  });
+});
+
+describe('compileFilters', () => {
+  const item = (title, engagement) => ({ title, description: '', ...(engagement && { engagement }) });
+
+  test('no rules means no filter', () => {
+    assert.equal(compileFilters(undefined), null);
+    assert.equal(compileFilters({ include: [], min_score: 0 }), null);
+  });
+
+  test('reports why an item is dropped', () => {
+    const reject = compileFilters({ include: ['agent', 'LLM'], exclude: ['hiring'], languages: ['en'], min_score: 50, min_comments: 10 });
+    assert.equal(reject(item('Agents that browse', { score: 80, comments: 12 })), 'include', '"agent" is a whole word');
+    assert.equal(reject(item('LLM lab is hiring', { score: 80, comments: 12 })), 'exclude');
+    assert.equal(reject(item('An LLM eval for 中文 prompts', { score: 80, comments: 12 })), null, 'mostly Latin text stays English');
+    assert.equal(reject(item('新的 LLM 评测基准发布了', { score: 80, comments: 12 })), 'language');
+    assert.equal(reject(item('An LLM benchmark', { score: 20, comments: 12 })), 'score');
+    assert.equal(reject(item('An LLM benchmark', { score: 80, comments: 2 })), 'comments');
+    assert.equal(reject(item('An LLM benchmark', { score: 80, comments: 12 })), null);
+  });
+
+  test('rules only see the start of long descriptions', () => {
+    const reject = compileFilters({ include: ['needle'] });
+    assert.equal(reject({ title: 'Long post', description: 'hay '.repeat(MATCH_MAX_CHARS / 4) + 'needle' }), 'include');
+    assert.equal(reject({ title: 'Short post', description: 'hay needle' }), null);
+  });
+
+  test('engagement thresholds skip items without engagement', () => {
+    const reject = compileFilters({ min_score: 50 });
+    assert.equal(reject(item('Feed post')), null);
+    assert.equal(reject(item('Quiet post', { score: 3 })), 'score');
+  });
+
+  test('rules also match the description; region tags like zh-CN count as the language', () => {
+    const reject = compileFilters({ include: ['/rust|zig/'], languages: ['zh-CN'] });
+    assert.equal(reject({ title: '系统编程语言对比', description: '这次比较 Rust 与 Go 的内存模型' }), null);
+    assert.equal(reject({ title: '系统编程语言对比', description: '只讨论 Go' }), 'include');
+  });
+
+  test('an invalid regex throws', () => {
+    assert.throws(() => compileFilters({ exclude: ['/[a-/'] }), SyntaxError);
+  });
+});
+
+describe('applySourceFilters', () => {
+  test('keeps passing items in order and counts the rest', () => {
+    const items = [{ title: 'Rust 2026 roadmap' }, { title: 'Hiring: Rust engineer' }, { title: 'Zig release notes' }];
+    assert.deepEqual(applySourceFilters(items, { exclude: ['hiring'] }), { kept: [items[0], items[2]], dropped: 1 });
+    const all = applySourceFilters(items, null);
+    assert.equal(all.kept, items);
+    assert.equal(all.dropped, 0);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Local HTTP server for saved payloads in test/fixtures.
+ *
+ *   GET /fixtures/<path>   serves test/fixtures/<path> ({{base}} → this server's origin)
+ *
+ * Fixture files carry an ETag and Last-Modified and answer conditional requests with 304,
+ * like a static file server would.
+ *
+ * `routes` maps extra pathnames (query string ignored) to a fixture path, or to
+ * `{ status, body, file, delayMs, type }` for error/timeout cases. Every request URL
+ * is recorded in `server.requests` so tests can assert query parameters, and the method and
+ * headers alongside it in `server.requestLog`.
+ */
+
+import http from 'http';
+import { readFileSync, existsSync, statSync } from 'fs';
+import { createHash } from 'crypto';
+import { join, dirname, normalize, extname } from 'path';
+import { fileURLToPath } from 'url';
+
+export const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+const MIME = {
+  '.xml': 'application/rss+xml; charset=utf-8',
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json',
+};
+
+/**
+ * Write test/fixtures/<relPath> to res; returns false if it does not exist.
+ * Pass `req` to honour If-None-Match / If-Modified-Since.
+ */
+export function serveFixture(res, relPath, base, { status = 200, req } = {}) {
+  const file = normalize(join(FIXTURES_DIR, relPath));
+  if (!file.startsWith(FIXTURES_DIR) || !existsSync(file)) return false;
+  const body = readFileSync(file, 'utf8').replaceAll('{{base}}', base);
+  const etag = `"${createHash('sha1').update(body).digest('hex').slice(0, 16)}"`;
+  const lastModified = new Date(Math.floor(statSync(file).mtimeMs / 1000) * 1000).toUTCString();
+  const headers = { 'Content-Type': MIME[extname(file)] || 'text/plain; charset=utf-8', ETag: etag, 'Last-Modified': lastModified };
+  const inm = req?.headers['if-none-match'];
+  const ims = req?.headers['if-modified-since'];
+  if (status === 200 && (inm ? inm === etag : ims && Date.parse(ims) >= Date.parse(lastModified))) {
+    res.writeHead(304, { ETag: etag, 'Last-Modified': lastModified });
+    res.end();
+    return true;
+  }
+  res.writeHead(status, headers);
+  res.end(body);
+  return true;
+}
+
+/**
+ * @param {{ routes?: Record<string, string | { status?: number, body?: string, file?: string, delayMs?: number, type?: string }>, port?: number }} options
+ * @returns {Promise<http.Server & { url: string, requests: string[], requestLog: { method: string, url: string, headers: object }[] }>}
+ */
+export function startFixtureServer({ routes = {}, port = 0 } = {}) {
+  const requests = [];
+  const requestLog = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    requestLog.push({ method: req.method, url: req.url, headers: req.headers });
+    const base = `http://${req.headers.host}`;
+    const path = new URL(req.url, base).pathname;
+    const notFound = () => { res.writeHead(404, { 'Content-Type': 'text/plain' }); res.end('not found'); };
+
+    const route = routes[path];
+    if (route === undefined) {
+      if (path.startsWith('/fixtures/') && serveFixture(res, path.slice('/fixtures/'.length), base, { req })) return;
+      return notFound();
+    }
+    const spec = typeof route === 'string' ? { file: route } : route;
+    setTimeout(() => {
+      if (res.destroyed) return;
+      if (spec.file) {
+        if (!serveFixture(res, spec.file, base, { status: spec.status || 200, req })) notFound();
+        return;
+      }
+      res.writeHead(spec.status || 200, { 'Content-Type': spec.type || 'text/plain; charset=utf-8' });
+      res.end(spec.body || '');
+    }, spec.delayMs || 0);
+  });
+  server.requests = requests;
+  server.requestLog = requestLog;
+  return new Promise(resolve => server.listen(port, '127.0.0.1', () => {
+    server.url = `http://127.0.0.1:${server.address().port}`;
+    resolve(server);
+  }));
+}
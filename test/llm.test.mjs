@@ -0,0 +1,147 @@
+// Tests for src/llm.mjs against a local mock provider — run with `npm run test:unit`
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createLlm, llmConfigFromEnv } from '../src/llm.mjs';
+
+// Answers each request with the next queued reply ({ status, body, delayMs }), or 500 when the queue is empty
+let server;
+let baseUrl;
+const replies = [];
+const requests = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(raw || '{}'), at: Date.now() });
+      const { status = 200, body = {}, delayMs = 0 } = replies.shift() || { status: 500, body: { error: 'no reply queued' } };
+      setTimeout(() => {
+        if (res.destroyed) return;
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(typeof body === 'string' ? body : JSON.stringify(body));
+      }, delayMs);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  replies.length = 0;
+  requests.length = 0;
+});
+
+const llmFor = (env, extra = {}) => createLlm({ ...llmConfigFromEnv({ LLM_BASE_URL: baseUrl, ...env }), retryDelayMs: 20, ...extra });
+const openaiReply = (content) => ({ body: { choices: [{ message: { role: 'assistant', content } }] } });
+const messages = [{ role: 'system', content: 'You are terse.' }, { role: 'user', content: 'Hi' }];
+
+describe('llmConfigFromEnv', () => {
+  test('defaults per provider, DEEPSEEK_API_KEY fallback and per-task models', () => {
+    const cfg = llmConfigFromEnv({ DEEPSEEK_API_KEY: 'sk-old', LLM_MODEL_DEEP: 'deep-model' });
+    assert.equal(cfg.provider, 'openai');
+    assert.equal(cfg.baseUrl, 'https://api.siliconflow.cn/v1');
+    assert.equal(cfg.apiKey, 'sk-old');
+    assert.deepEqual(cfg.models, { digest: 'deepseek-ai/DeepSeek-V3', deep: 'deep-model', translate: 'deepseek-ai/DeepSeek-V3' });
+    assert.deepEqual([cfg.timeoutMs, cfg.maxRetries], [120000, 2]);
+    assert.equal(llmConfigFromEnv({ LLM_PROVIDER: 'Ollama', LLM_BASE_URL: 'http://gpu:11434/' }).baseUrl, 'http://gpu:11434');
+  });
+
+  test('rejects an unknown provider', () => {
+    assert.throws(() => llmConfigFromEnv({ LLM_PROVIDER: 'bard' }), /Unknown LLM_PROVIDER "bard"/);
+  });
+});
+
+describe('providers', () => {
+  test('openai posts to /chat/completions with a bearer key', async () => {
+    replies.push(openaiReply('  Hello  '));
+    const llm = llmFor({ LLM_API_KEY: 'sk-test', LLM_MODEL_TRANSLATE: 'small' });
+    assert.equal(await llm.chat('translate', messages, { temperature: 0.2, maxTokens: 64 }), 'Hello');
+    const [{ url, headers, body }] = requests;
+    assert.equal(url, '/chat/completions');
+    assert.equal(headers.authorization, 'Bearer sk-test');
+    assert.deepEqual(body, { model: 'small', messages, temperature: 0.2, max_tokens: 64 });
+  });
+
+  test('anthropic sends the system prompt as a top-level field and joins text blocks', async () => {
+    replies.push({ body: { content: [{ type: 'text', text: 'Part one. ' }, { type: 'tool_use', id: 't1' }, { type: 'text', text: 'Part two.' }] } });
+    const llm = llmFor({ LLM_PROVIDER: 'anthropic', LLM_API_KEY: 'sk-ant' });
+    assert.equal(await llm.chat('digest', messages), 'Part one. Part two.');
+    const [{ url, headers, body }] = requests;
+    assert.equal(url, '/v1/messages');
+    assert.equal(headers['x-api-key'], 'sk-ant');
+    assert.equal(headers['anthropic-version'], '2023-06-01');
+    assert.equal(headers.authorization, undefined);
+    assert.deepEqual(body, { model: 'claude-sonnet-4-5', system: 'You are terse.', messages: [{ role: 'user', content: 'Hi' }], temperature: 0.7, max_tokens: 4096 });
+  });
+
+  test('ollama needs no key, turns streaming off and maps maxTokens to num_predict', async () => {
+    replies.push({ body: { model: 'qwen2.5:7b', message: { role: 'assistant', content: 'Local reply' }, done: true } });
+    const llm = llmFor({ LLM_PROVIDER: 'ollama' });
+    assert.equal(llm.configured, true);
+    assert.equal(await llm.chat('deep', messages, { maxTokens: 256 }), 'Local reply');
+    const [{ url, headers, body }] = requests;
+    assert.equal(url, '/api/chat');
+    assert.equal(headers.authorization, undefined);
+    assert.deepEqual(body, { model: 'qwen2.5:7b', messages, stream: false, options: { temperature: 0.7, num_predict: 256 } });
+  });
+
+  test('a provider that needs a key fails before sending anything', async () => {
+    const llm = llmFor({ LLM_PROVIDER: 'anthropic' });
+    assert.equal(llm.configured, false);
+    await assert.rejects(llm.chat('digest', messages), /LLM API key not configured \(provider: anthropic\)/);
+    assert.equal(requests.length, 0);
+  });
+});
+
+describe('errors and retries', () => {
+  test('retries 429 and 5xx with doubling backoff', async () => {
+    replies.push({ status: 429, body: { error: { message: 'rate limited' } } }, { status: 503, body: 'upstream down' }, openaiReply('Finally'));
+    const llm = llmFor({ LLM_API_KEY: 'k' });
+    assert.equal(await llm.chat('digest', messages), 'Finally');
+    assert.equal(requests.length, 3);
+    const [first, second, third] = requests.map(r => r.at);
+    assert.ok(second - first >= 20, `first wait ${second - first}ms`);
+    assert.ok(third - second >= 40, `second wait ${third - second}ms`);
+  });
+
+  test('gives up after LLM_MAX_RETRIES and reports the provider error', async () => {
+    replies.push(...Array(3).fill({ status: 500, body: { error: { message: 'overloaded' } } }));
+    const llm = llmFor({ LLM_API_KEY: 'k', LLM_MAX_RETRIES: '1' });
+    await assert.rejects(llm.chat('digest', messages), /openai HTTP 500: overloaded/);
+    assert.equal(requests.length, 2);
+  });
+
+  test('client errors and empty replies are not retried', async () => {
+    replies.push({ status: 400, body: { error: 'bad model' } });
+    const llm = llmFor({ LLM_API_KEY: 'k' });
+    await assert.rejects(llm.chat('digest', messages), (e) => e.status === 400 && /openai HTTP 400: bad model/.test(e.message));
+    replies.push(openaiReply('   '));
+    await assert.rejects(llm.chat('digest', messages), /openai returned empty content/);
+    assert.equal(requests.length, 2);
+  });
+
+  test('a reply that is not JSON is an error, retried only on 5xx', async () => {
+    replies.push({ status: 200, body: '<html>proxy login</html>' });
+    const llm = llmFor({ LLM_API_KEY: 'k' });
+    await assert.rejects(llm.chat('digest', messages), /Invalid JSON from openai \(HTTP 200\): <html>proxy login/);
+    assert.equal(requests.length, 1);
+  });
+
+  test('each attempt times out after LLM_TIMEOUT_MS and is retried', async () => {
+    replies.push({ delayMs: 500, ...openaiReply('too late') }, openaiReply('In time'));
+    const llm = llmFor({ LLM_API_KEY: 'k', LLM_TIMEOUT_MS: '100' });
+    assert.equal(await llm.chat('digest', messages), 'In time');
+    assert.equal(requests.length, 2);
+
+    replies.push({ delayMs: 500, ...openaiReply('too late') });
+    const once = llmFor({ LLM_API_KEY: 'k', LLM_TIMEOUT_MS: '100', LLM_MAX_RETRIES: '0' });
+    await assert.rejects(once.chat('digest', messages), (e) => e.retryable && /openai request timed out \(0.1s\)/.test(e.message));
+  });
+});
@@ -0,0 +1,114 @@
+// Tests for src/migrate.mjs — run with `npm run test:unit`
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync, readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import Database from 'better-sqlite3';
+import { listMigrations, migrationStatus, migrate, rollback, MIGRATIONS_DIR } from '../src/migrate.mjs';
+
+const columns = (db, table) => db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+const tables = (db) => db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name").all().map(r => r.name);
+
+describe('migration runner', () => {
+  let dir;
+  let db;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'clawfeed-migrations-'));
+    writeFileSync(join(dir, '001_notes.sql'), 'CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT);');
+    writeFileSync(join(dir, '002_note_tags.sql'), 'ALTER TABLE notes ADD COLUMN tags TEXT;');
+    writeFileSync(join(dir, '002_note_tags.down.sql'), 'ALTER TABLE notes DROP COLUMN tags;');
+    writeFileSync(join(dir, 'README.txt'), 'not a migration');
+    db = new Database(':memory:');
+  });
+
+  afterEach(() => {
+    db.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('lists NNN_name.sql files in order with their down files', () => {
+    writeFileSync(join(dir, '010_later.sql'), 'SELECT 1;');
+    assert.deepEqual(listMigrations(dir).map(m => [m.version, m.name, !!m.down]),
+      [[1, '001_notes', false], [2, '002_note_tags', true], [10, '010_later', false]]);
+    writeFileSync(join(dir, '002_other.sql'), 'SELECT 1;');
+    assert.throws(() => listMigrations(dir), /duplicate migration version 2/);
+  });
+
+  test('applies each migration once and records it', () => {
+    assert.deepEqual(migrate(db, { dir, dryRun: true }), { applied: ['001_notes', '002_note_tags'], adopted: false });
+    assert.deepEqual(tables(db), [], 'dry run leaves the database alone');
+
+    assert.deepEqual(migrate(db, { dir }).applied, ['001_notes', '002_note_tags']);
+    assert.deepEqual(columns(db, 'notes'), ['id', 'body', 'tags']);
+    assert.deepEqual(migrate(db, { dir }).applied, [], 'second run is a no-op');
+    assert.ok(migrationStatus(db, { dir }).every(m => m.appliedAt));
+  });
+
+  test('a failing migration is rolled back as a whole and stops the run', () => {
+    writeFileSync(join(dir, '003_broken.sql'), 'CREATE TABLE drafts (id INTEGER); ALTER TABLE missing ADD COLUMN x TEXT;');
+    writeFileSync(join(dir, '004_after.sql'), 'CREATE TABLE after_broken (id INTEGER);');
+    assert.throws(() => migrate(db, { dir }), /migration 003_broken failed: no such table: missing/);
+    assert.deepEqual(tables(db), ['notes', 'schema_migrations'], 'no drafts table from the first statement, nothing after');
+    assert.deepEqual(migrationStatus(db, { dir }).filter(m => m.appliedAt).map(m => m.name), ['001_notes', '002_note_tags']);
+  });
+
+  test('a data step runs once, right after its migration and in the same transaction', () => {
+    const ran = [];
+    const steps = {
+      '001_notes': (d) => { ran.push('001'); d.prepare("INSERT INTO notes (body) VALUES ('seeded')").run(); },
+      '003_fails': () => { throw new Error('step failed'); },
+    };
+    migrate(db, { dir, steps });
+    migrate(db, { dir, steps });
+    assert.deepEqual(ran, ['001']);
+    assert.deepEqual(db.prepare('SELECT body FROM notes').all(), [{ body: 'seeded' }]);
+
+    writeFileSync(join(dir, '003_fails.sql'), 'CREATE TABLE drafts (id INTEGER);');
+    assert.throws(() => migrate(db, { dir, steps }), /migration 003_fails failed: step failed/);
+    assert.ok(!tables(db).includes('drafts'), 'the SQL is rolled back with the step');
+  });
+
+  test('rolls back with down files, refusing when one is missing', () => {
+    migrate(db, { dir });
+    assert.deepEqual(rollback(db, { dir, dryRun: true }).rolledBack, ['002_note_tags']);
+    assert.deepEqual(rollback(db, { dir }).rolledBack, ['002_note_tags']);
+    assert.deepEqual(columns(db, 'notes'), ['id', 'body']);
+    assert.throws(() => rollback(db, { dir }), /001_notes has no down migration/);
+    assert.deepEqual(migrate(db, { dir }).applied, ['002_note_tags'], 'rolled-back migration is pending again');
+  });
+
+  test('adopts a database built before schema_migrations, skipping what exists', () => {
+    // What the old getDb chain left behind: tables and columns, no records
+    writeFileSync(join(dir, '000_digests.sql'), 'CREATE TABLE IF NOT EXISTS digests (id INTEGER PRIMARY KEY);');
+    db.exec('CREATE TABLE digests (id INTEGER PRIMARY KEY); CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT, tags TEXT);');
+    const { applied, adopted } = migrate(db, { dir });
+    assert.equal(adopted, true);
+    assert.deepEqual(applied, ['000_digests', '001_notes', '002_note_tags']);
+    // Strict again from here on
+    writeFileSync(join(dir, '003_dup.sql'), 'ALTER TABLE notes ADD COLUMN body TEXT;');
+    assert.throws(() => migrate(db, { dir }), /migration 003_dup failed: duplicate column/);
+  });
+});
+
+describe('repository migrations', () => {
+  test('apply to an empty database and every down file reverses its migration', () => {
+    const db = new Database(':memory:');
+    migrate(db);
+    const fresh = db.prepare("SELECT sql FROM sqlite_master WHERE name NOT LIKE 'sqlite_%' ORDER BY name").all();
+    const reversible = listMigrations().filter(m => m.down).length;
+    assert.ok(reversible > 0);
+    assert.equal(rollback(db, { steps: reversible }).rolledBack.length, reversible);
+    migrate(db);
+    assert.deepEqual(db.prepare("SELECT sql FROM sqlite_master WHERE name NOT LIKE 'sqlite_%' ORDER BY name").all(), fresh);
+    db.close();
+  });
+
+  test('file names follow NNN_name.sql', () => {
+    for (const file of readdirSync(MIGRATIONS_DIR)) {
+      assert.match(file, /^\d{3}_[a-z0-9_]+(\.down)?\.sql$/, file);
+      assert.ok(readFileSync(join(MIGRATIONS_DIR, file), 'utf8').trim(), `${file} is not empty`);
+    }
+  });
+});
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * Deterministic mock LLM server for offline e2e tests.
+ *
+ *   node test/mock-llm.mjs [--port 8799]
+ *
+ * POST /v1/chat/completions  OpenAI-compatible; the reply comes from the first fixture in
+ *                            test/fixtures/llm/*.json whose `match` occurs in the system prompt
+ * GET  /requests             calls received so far: [{ fixture, model }]
+ * GET  /fixtures/<path>      static files from test/fixtures ({{base}} → this server's origin),
+ *                            e.g. /fixtures/feed.xml as an RSS source
+ *
+ * Point the app at it with LLM_PROVIDER=openai LLM_BASE_URL=http://127.0.0.1:8799/v1 LLM_API_KEY=mock.
+ *
+ * Fixture kinds:
+ *   digest   — `items` zipped with the numbered input items, url/source taken from the input
+ *   text     — `reply`, with {{input}} replaced by the user message
+ *   numbered — `title`/`description` templates applied to each [N] block of the user message
+ */
+
+import http from 'http';
+import { readFileSync, readdirSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { FIXTURES_DIR, serveFixture } from './fixture-server.mjs';
+
+function loadFixtures() {
+  const dir = join(FIXTURES_DIR, 'llm');
+  return readdirSync(dir).filter(f => f.endsWith('.json')).sort()
+    .map(f => ({ name: f.replace(/\.json$/, ''), ...JSON.parse(readFileSync(join(dir, f), 'utf8')) }));
+}
+
+// "1. [Source] Title\n   URL: https://..." blocks from generateDigest's user prompt
+function parseDigestInput(text) {
+  const items = [];
+  const re = /^(\d+)\. \[([^\]]*)\] (.*)$/gm;
+  let m;
+  while ((m = re.exec(text))) {
+    const rest = text.slice(m.index + m[0].length).split(/\n\d+\. \[/)[0];
+    const url = rest.match(/URL: (\S+)/)?.[1];
+    items.push({ source: m[2], title: m[3], url });
+  }
+  return items;
+}
+
+function render(fixture, userText) {
+  if (fixture.kind === 'digest') {
+    const inputs = parseDigestInput(userText).filter(i => i.url);
+    return JSON.stringify(fixture.items.slice(0, inputs.length).map((item, i) => ({
+      ...item, url: inputs[i].url, source: inputs[i].source,
+    })), null, 2);
+  }
+  if (fixture.kind === 'numbered') {
+    return userText.split(/(?=\[\d+\])/).filter(b => /^\[\d+\]/.test(b)).map(block => {
+      const n = block.match(/^\[(\d+)\]/)[1];
+      const title = block.match(/标题: (.*)/)?.[1] || '';
+      const description = block.match(/摘要: ([\s\S]*)/)?.[1]?.trim() || '';
+      const lines = [`[${n}]`, `标题: ${fixture.title.replace('{{title}}', title)}`];
+      if (description) lines.push(`摘要: ${fixture.description.replace('{{description}}', description)}`);
+      return lines.join('\n');
+    }).join('\n\n');
+  }
+  return fixture.reply.replace('{{input}}', userText);
+}
+
+/**
+ * Start the mock server.
+ * @param {{ port?: number }} options - port 0 picks a free port
+ * @returns {Promise<http.Server & { requests: object[] }>}
+ */
+export function startMockLlm({ port = 0 } = {}) {
+  const fixtures = loadFixtures();
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const send = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+    const base = `http://${req.headers.host}`;
+    const path = new URL(req.url, base).pathname;
+
+    if (req.method === 'GET' && path === '/requests') return send(200, requests);
+
+    if (req.method === 'GET' && path.startsWith('/fixtures/')) {
+      if (!serveFixture(res, path.slice('/fixtures/'.length), base, { req })) send(404, { error: 'not found' });
+      return;
+    }
+
+    if (req.method === 'POST' && path === '/v1/chat/completions') {
+      let body = '';
+      req.on('data', c => body += c);
+      req.on('end', () => {
+        let payload;
+        try { payload = JSON.parse(body); } catch { return send(400, { error: { message: 'invalid json' } }); }
+        const messages = payload.messages || [];
+        const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n');
+        const user = messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+        const fixture = fixtures.find(f => system.includes(f.match));
+        requests.push({ fixture: fixture?.name || null, model: payload.model });
+        if (!fixture) return send(404, { error: { message: `no fixture matches system prompt: ${system.slice(0, 80)}` } });
+        const content = render(fixture, user);
+        send(200, {
+          id: `mock-${requests.length}`,
+          object: 'chat.completion',
+          model: payload.model,
+          choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+        });
+      });
+      return;
+    }
+
+    send(404, { error: 'not found' });
+  });
+
+  server.requests = requests;
+  return new Promise(resolve => server.listen(port, '127.0.0.1', () => resolve(server)));
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const idx = process.argv.indexOf('--port');
+  const port = idx !== -1 ? parseInt(process.argv[idx + 1], 10) : 8799;
+  const server = await startMockLlm({ port });
+  console.log(`Mock LLM listening on http://127.0.0.1:${server.address().port}`);
+}
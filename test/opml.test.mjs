@@ -0,0 +1,71 @@
+// Tests for src/opml.mjs — run with `npm run test:unit`
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { parseOpml, buildOpml, sourceUrls } from '../src/opml.mjs';
+import { FIXTURES_DIR } from './fixture-server.mjs';
+
+describe('parseOpml', () => {
+  test('flattens nested folders and keeps feed and page outlines', () => {
+    const outlines = parseOpml(readFileSync(join(FIXTURES_DIR, 'opml', 'reader-export.opml'), 'utf8'));
+    assert.deepEqual(outlines.map(o => [o.title, o.xmlUrl || o.htmlUrl, o.folder]), [
+      ['Example Engineering Blog', 'https://blog.example.com/feed.xml', 'Tech'],
+      ['SQLite & friends', 'https://db.example.org/atom.xml', 'Tech / Databases'],
+      ['Top-level feed', 'https://top.example.net/rss', ''],
+      ['Just a page', 'https://page.example.net/', ''],
+    ]);
+  });
+
+  test('rejects documents that are not OPML', () => {
+    assert.throws(() => parseOpml('<rss><channel/></rss>'), /invalid OPML/);
+    assert.throws(() => parseOpml('not xml at all'), /invalid OPML/);
+  });
+});
+
+describe('buildOpml', () => {
+  const sources = [
+    { name: 'r/LocalLLaMA', type: 'reddit', config: '{"subreddit":"LocalLLaMA","sort":"hot"}' },
+    { name: 'Blog "A" & B', type: 'rss', config: '{"url":"https://blog.example.com/feed.xml?a=1&b=2"}' },
+    { name: 'Newsroom', type: 'website', config: '{"url":"https://news.example.com/"}', collector_state: '{"feedUrl":"https://news.example.com/rss"}' },
+    { name: 'HN', type: 'hackernews', config: '{"filter":"top"}' },
+  ];
+
+  test('groups sources into folders in a fixed order', () => {
+    const xml = buildOpml(sources, { ownerName: 'Alice', dateCreated: new Date('2026-10-19T00:00:00Z') });
+    assert.match(xml, /<ownerName>Alice<\/ownerName>/);
+    assert.match(xml, /<dateCreated>Mon, 19 Oct 2026 00:00:00 GMT<\/dateCreated>/);
+    const folders = [...xml.matchAll(/^ {4}<outline text="([^"]+)"/gm)].map(m => m[1]);
+    assert.deepEqual(folders, ['RSS', 'Websites', 'Reddit', 'Hacker News']);
+  });
+
+  test('round-trips through parseOpml with standard URLs and exact type/config', () => {
+    const outlines = parseOpml(buildOpml(sources));
+    assert.deepEqual(outlines.map(o => [o.folder, o.title, o.xmlUrl, o.clawfeedType, o.clawfeedConfig]), [
+      ['RSS', 'Blog "A" & B', 'https://blog.example.com/feed.xml?a=1&b=2', 'rss', sources[1].config],
+      ['Websites', 'Newsroom', 'https://news.example.com/rss', 'website', sources[2].config],
+      ['Reddit', 'r/LocalLLaMA', 'https://www.reddit.com/r/LocalLLaMA/.rss', 'reddit', sources[0].config],
+      ['Hacker News', 'HN', '', 'hackernews', sources[3].config],
+    ]);
+  });
+
+  test('an empty list is still a valid document', () => {
+    assert.deepEqual(parseOpml(buildOpml([])), []);
+  });
+});
+
+describe('sourceUrls', () => {
+  test('maps each type to the URLs another reader can use', () => {
+    assert.deepEqual(sourceUrls({ type: 'website', config: '{"url":"https://x.example/"}' }), { xmlUrl: undefined, htmlUrl: 'https://x.example/' });
+    assert.deepEqual(sourceUrls({ type: 'twitter_feed', config: { handle: '@karpathy' } }), { htmlUrl: 'https://x.com/karpathy' });
+    assert.deepEqual(sourceUrls({ type: 'youtube', config: '{"playlist_id":"PLabc"}' }), {
+      xmlUrl: 'https://www.youtube.com/feeds/videos.xml?playlist_id=PLabc', htmlUrl: 'https://www.youtube.com/playlist?list=PLabc',
+    });
+    assert.deepEqual(sourceUrls({ type: 'arxiv', config: { categories: ['cs.CL', 'cs.LG'] } }), {
+      xmlUrl: 'https://export.arxiv.org/api/query?search_query=(cat%3Acs.CL%20OR%20cat%3Acs.LG)&sortBy=submittedDate&sortOrder=descending&max_results=20',
+      htmlUrl: 'https://arxiv.org/list/cs.CL+cs.LG/recent',
+    });
+    assert.deepEqual(sourceUrls({ type: 'github_trending', config: '{}' }), {});
+    assert.deepEqual(sourceUrls({ type: 'rss', config: 'broken' }), { xmlUrl: undefined });
+  });
+});
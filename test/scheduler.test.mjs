@@ -0,0 +1,116 @@
+// Tests for src/scheduler.mjs — run with `npm run test:unit`
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHostLimiter, mapWithConcurrency } from '../src/scheduler.mjs';
+import { createFetchers } from '../src/fetchers.mjs';
+import { startFixtureServer } from './fixture-server.mjs';
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Runs `count` tasks of `ms` each against `url`, returning the peak number in flight and the start times
+async function probe(limiter, url, count, ms) {
+  let active = 0;
+  let peak = 0;
+  const starts = [];
+  await Promise.all(Array.from({ length: count }, () => limiter.run(url, async () => {
+    starts.push(Date.now());
+    peak = Math.max(peak, ++active);
+    await sleep(ms);
+    active--;
+  })));
+  return { peak, starts };
+}
+
+describe('createHostLimiter', () => {
+  test('caps concurrency per host', async () => {
+    const limiter = createHostLimiter({ concurrency: 2 });
+    const { peak } = await probe(limiter, 'https://a.example/feed', 6, 20);
+    assert.equal(peak, 2);
+  });
+
+  test('different hosts do not wait for each other', async () => {
+    const limiter = createHostLimiter({ concurrency: 1 });
+    const t0 = Date.now();
+    await Promise.all(['a', 'b', 'c', 'd'].map(h => probe(limiter, `https://${h}.example/`, 2, 50)));
+    const elapsed = Date.now() - t0;
+    assert.ok(elapsed < 180, `took ${elapsed}ms, expected ~100ms (slowest host), not ~400ms (sum)`);
+  });
+
+  test('delayMs spaces out request starts; subdomains share the rule', async () => {
+    const limiter = createHostLimiter({ hosts: { 'reddit.com': { concurrency: 5, delayMs: 40 } } });
+    let active = 0;
+    let peak = 0;
+    const starts = [];
+    await Promise.all(['www', 'old', 'oauth'].map(sub => limiter.run(`https://${sub}.reddit.com/r/x.json`, async () => {
+      starts.push(Date.now());
+      peak = Math.max(peak, ++active);
+      await sleep(5);
+      active--;
+    })));
+    starts.sort((a, b) => a - b);
+    assert.ok(starts[1] - starts[0] >= 35 && starts[2] - starts[1] >= 35, `starts ${starts.map(s => s - starts[0])}`);
+    assert.equal(peak, 1, 'spaced out, so never overlapping');
+  });
+
+  test('a failing task frees its slot and rejects only its own caller', async () => {
+    const limiter = createHostLimiter({ concurrency: 1 });
+    const failed = limiter.run('https://a.example/', async () => { throw new Error('boom'); });
+    const ok = limiter.run('https://a.example/', async () => 'fine');
+    await assert.rejects(failed, /boom/);
+    assert.equal(await ok, 'fine');
+  });
+
+  test('invalid limits fall back to sane values', async () => {
+    const limiter = createHostLimiter({ concurrency: NaN, hosts: { 'x.example': { concurrency: 0 } } });
+    assert.equal((await probe(limiter, 'https://x.example/', 3, 5)).peak, 1);
+    assert.equal((await probe(limiter, 'not a url', 2, 5)).peak, 1);
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  test('keeps input order with at most `limit` in flight', async () => {
+    let active = 0;
+    let peak = 0;
+    const out = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, i) => {
+      peak = Math.max(peak, ++active);
+      await sleep(ms);
+      active--;
+      return i;
+    });
+    assert.deepEqual(out, [0, 1, 2, 3, 4]);
+    assert.equal(peak, 2);
+  });
+
+  test('handles empty input and bad limits', async () => {
+    assert.deepEqual(await mapWithConcurrency([], 4, async () => 1), []);
+    assert.deepEqual(await mapWithConcurrency([1, 2], NaN, async x => x * 2), [2, 4]);
+  });
+});
+
+describe('fetchers with a host limiter', () => {
+  test('every HTTP request goes through the limiter', async () => {
+    const server = await startFixtureServer({ routes: { '/slow.xml': { file: 'fetchers/rss.xml', delayMs: 40 } } });
+    try {
+      const hostLimiter = createHostLimiter({ concurrency: 1 });
+      const { fetchRss } = createFetchers({ hostLimiter, log: () => {}, warn: () => {} });
+      const t0 = Date.now();
+      const results = await Promise.all([1, 2, 3].map(() => fetchRss(`${server.url}/slow.xml`)));
+      assert.ok(results.every(items => items.length === 3));
+      assert.ok(Date.now() - t0 >= 110, 'serialized on one host');
+    } finally {
+      server.close();
+    }
+  });
+
+  test('request timeout does not tick while queued', async () => {
+    const server = await startFixtureServer({ routes: { '/slow.xml': { file: 'fetchers/rss.xml', delayMs: 150 } } });
+    try {
+      const hostLimiter = createHostLimiter({ concurrency: 1 });
+      const { fetchRss } = createFetchers({ hostLimiter, timeoutMs: 400, log: () => {}, warn: () => {} });
+      const results = await Promise.all([1, 2, 3, 4].map(() => fetchRss(`${server.url}/slow.xml`)));
+      assert.equal(results.length, 4);
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,123 @@
+// Tests for src/search.mjs and searchIndex — run with `npm run test:unit`
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { migrate } from '../src/migrate.mjs';
+import { createDigest, createMark, deleteMark, searchIndex } from '../src/db.mjs';
+import { parseSearchQuery, buildSearchMatch, toSqlTime, highlight, searchSnippet, relatedItemsMatch } from '../src/search.mjs';
+
+describe('query helpers', () => {
+  test('parseSearchQuery keeps quoted phrases whole', () => {
+    assert.deepEqual(parseSearchQuery('  openai "reasoning model"  融资 '), ['openai', 'reasoning model', '融资']);
+    assert.deepEqual(parseSearchQuery('""'), []);
+    assert.deepEqual(parseSearchQuery(undefined), []);
+  });
+
+  test('buildSearchMatch sends terms under 3 characters to LIKE', () => {
+    assert.deepEqual(buildSearchMatch(['openai', 'say "hi"', 'AI', '融资']), {
+      match: '"openai" AND "say ""hi"""',
+      likes: ['%AI%', '%融资%'],
+    });
+    assert.deepEqual(buildSearchMatch(['a_b']).likes, [], '3 characters is enough for the index');
+    assert.deepEqual(buildSearchMatch(['_%']).likes, ['%\\_\\%%'], 'LIKE wildcards are escaped');
+    assert.equal(buildSearchMatch(['go']).match, null);
+  });
+
+  test('toSqlTime takes dates and ISO times', () => {
+    assert.equal(toSqlTime('2026-03-01'), '2026-03-01 00:00:00');
+    assert.equal(toSqlTime('2026-03-01', { endOfDay: true }), '2026-03-01 23:59:59');
+    assert.equal(toSqlTime('2026-03-01T08:30:00+08:00'), '2026-03-01 00:30:00');
+    assert.equal(toSqlTime('last week'), null);
+    assert.equal(toSqlTime(''), null);
+  });
+
+  test('highlight escapes HTML and marks every match case-insensitively', () => {
+    assert.equal(highlight('<b>Agents</b> & agent', ['agent']), '&lt;b&gt;<mark>Agent</mark>s&lt;/b&gt; &amp; <mark>agent</mark>');
+    assert.equal(highlight('a.b axb', ['a.b']), '<mark>a.b</mark> axb', 'terms are literal, not regexes');
+    assert.equal(highlight('<i>', []), '&lt;i&gt;');
+  });
+
+  test('searchSnippet centers on the first match', () => {
+    const text = `${'x'.repeat(200)} needle ${'y'.repeat(200)}`;
+    const snippet = searchSnippet(text, ['needle'], 20);
+    assert.ok(snippet.startsWith('…') && snippet.endsWith('…'));
+    assert.ok(snippet.includes('<mark>needle</mark>'));
+    assert.equal(searchSnippet('short\n\ntext', ['missing']), 'short text');
+  });
+
+  test('relatedItemsMatch ORs the significant words of a title', () => {
+    assert.equal(relatedItemsMatch('OpenAI ships GPT-5 with a new API'), '"openai" OR "ships"');
+    assert.equal(relatedItemsMatch('国产大模型融资'), '"国产大" OR "产大模" OR "大模型" OR "模型融" OR "型融资"');
+    assert.equal(relatedItemsMatch('AI 与 Go: why now?'), null);
+    assert.equal(relatedItemsMatch('alpha beta gamma delta', 2), '"alpha" OR "beta"');
+  });
+});
+
+describe('searchIndex', () => {
+  let db;
+  const search = (q, opts = {}) => searchIndex(db, { ...buildSearchMatch(parseSearchQuery(q)), ...opts });
+
+  before(() => {
+    db = new Database(':memory:');
+    migrate(db);
+    db.prepare("INSERT INTO users (id, google_id, email, name) VALUES (1, 'g1', 'a@test', 'A'), (2, 'g2', 'b@test', 'B')").run();
+    const items = [
+      { title: 'OpenAI ships a reasoning model', summary: 'Cheaper inference', source: 'HN', category: 'AI', url: 'https://a.test/1' },
+      { title: '国产大模型完成新一轮融资', summary: '估值翻倍', source: '36kr', category: '融资', url: 'https://a.test/2' },
+    ];
+    createDigest(db, { type: '4h', content: 'System digest about reasoning', metadata: JSON.stringify({ items }), created_at: '2026-03-01 08:00:00' });
+    createDigest(db, { type: 'daily', content: 'Private digest for user one', user_id: 1, created_at: '2026-03-02 08:00:00' });
+    createDigest(db, { type: 'daily', content: 'Broken metadata is still indexed', metadata: 'not json' });
+    createMark(db, { url: 'https://a.test/mark', title: 'Saved reasoning paper', note: 'read later', userId: 1 });
+  });
+
+  after(() => db.close());
+
+  test('indexes digests, their items and marks as they are written', () => {
+    const { total, rows } = search('reasoning', { userId: 1 });
+    assert.equal(total, 3);
+    assert.deepEqual(rows.map(r => r.kind).sort(), ['digest', 'item', 'mark']);
+    const item = rows.find(r => r.kind === 'item');
+    assert.equal(item.item_index, 0);
+    assert.equal(item.url, 'https://a.test/1');
+    assert.equal(item.digest_type, '4h');
+    assert.equal(search('indexed').total, 1, 'invalid metadata skips the items, not the digest');
+  });
+
+  test('ranks title matches first', () => {
+    assert.equal(search('reasoning', { userId: 1 }).rows[0].title, 'Saved reasoning paper');
+  });
+
+  test('short and CJK terms match through LIKE', () => {
+    assert.equal(search('融资').rows[0].title, '国产大模型完成新一轮融资');
+    assert.equal(search('大模型 估值').total, 1);
+    assert.equal(search('HN ships').total, 1, 'source counts for short terms too');
+  });
+
+  test('only system digests, the user\'s own digests and marks are visible', () => {
+    assert.equal(search('Private').total, 0);
+    assert.equal(search('Private', { userId: 2 }).total, 0);
+    assert.equal(search('Private', { userId: 1 }).total, 1);
+    assert.equal(search('Saved', { userId: 2 }).total, 0);
+    assert.equal(search('Saved').total, 0, 'no marks without a user');
+  });
+
+  test('filters by kind, digest type and time', () => {
+    assert.deepEqual(search('reasoning', { userId: 1, kinds: ['item'] }).rows.map(r => r.kind), ['item']);
+    assert.equal(search('digest', { userId: 1, digestTypes: ['daily'] }).total, 1);
+    assert.equal(search('digest', { userId: 1, from: '2026-03-02 00:00:00', to: '2026-03-02 23:59:59' }).total, 1);
+  });
+
+  test('paginates with the total of all matches', () => {
+    const page = search('reasoning', { userId: 1, limit: 1, offset: 1 });
+    assert.equal(page.total, 3);
+    assert.equal(page.rows.length, 1);
+  });
+
+  test('deleting a mark removes it from the index', () => {
+    const mark = createMark(db, { url: 'https://a.test/tmp', title: 'Temporary bookmark', userId: 2 });
+    assert.equal(search('Temporary', { userId: 2 }).total, 1);
+    deleteMark(db, mark.id, 2);
+    assert.equal(search('Temporary', { userId: 2 }).total, 0);
+  });
+});
@@ -0,0 +1,122 @@
+// Tests for the mastodon and bluesky fetchers against a mock instance — run with `npm run test:unit`
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { createFetchers, parseMastodonStatuses, parseBlueskyFeed } from '../src/fetchers.mjs';
+import { startFixtureServer, FIXTURES_DIR } from './fixture-server.mjs';
+
+const fixture = (name) => JSON.parse(readFileSync(join(FIXTURES_DIR, 'social', name), 'utf8'));
+
+describe('parseMastodonStatuses', () => {
+  test('HTML content to text, link cards, reblogs credited to the original author', () => {
+    const items = parseMastodonStatuses(fixture('mastodon-statuses.json'));
+    assert.deepEqual(items, [
+      {
+        title: 'New paper: sparse attention at 1M tokens.',
+        url: 'https://mastodon.example/@researcher/113300000000000003',
+        description: 'New paper: sparse attention at 1M tokens. Code & weights: https://example.org/sparse #ml\n🔗 Sparse attention at scale https://example.org/sparse',
+        pubDate: '2026-10-14T09:12:00.000Z',
+        author: '@researcher',
+        canonicalUrl: 'https://example.org/sparse',
+        engagement: { score: 151, comments: 4 },
+      },
+      {
+        title: 'Our lab is hiring two research engineers for the evals team.',
+        url: 'https://other.example/@labnews/113290000000000001',
+        description: 'Our lab is hiring two research engineers for the evals team.',
+        pubDate: '2026-10-13T17:00:00.000Z',
+        author: '@labnews@other.example',
+      },
+    ], 'the media-only status is dropped');
+  });
+
+  test('reposts:false drops reblogs; long first lines are shortened', () => {
+    assert.equal(parseMastodonStatuses(fixture('mastodon-statuses.json'), { reposts: false }).length, 1);
+    const [item] = parseMastodonStatuses([{ content: `<p>${'a'.repeat(200)}</p>`, url: 'u' }]);
+    assert.equal(item.title.length, 120);
+    assert.ok(item.title.endsWith('…'));
+  });
+});
+
+describe('parseBlueskyFeed', () => {
+  test('post URLs, external embeds and reposts', () => {
+    const items = parseBlueskyFeed(fixture('bluesky-author-feed.json'));
+    assert.deepEqual(items, [
+      {
+        title: 'We just released our open evals suite.',
+        url: 'https://bsky.app/profile/lab.example.com/post/3l6oveex3ii2l',
+        description: 'We just released our open evals suite. Details in the thread below.\n🔗 Open evals suite https://lab.example.com/evals',
+        pubDate: '2026-10-14T12:00:00.000Z',
+        author: '@lab.example.com',
+        canonicalUrl: 'https://lab.example.com/evals',
+        engagement: { score: 250, comments: 3 },
+      },
+      {
+        title: 'Benchmarks are only as good as their held-out sets.',
+        url: 'https://bsky.app/profile/someone.bsky.social/post/3l6nabcdefg2k',
+        description: 'Benchmarks are only as good as their held-out sets.',
+        pubDate: '2026-10-13T08:30:00.000Z',
+        author: '@someone.bsky.social',
+      },
+    ]);
+    assert.equal(parseBlueskyFeed(fixture('bluesky-author-feed.json'), { reposts: false }).length, 1);
+  });
+});
+
+describe('mock instance', () => {
+  let server;
+  let fetchers;
+
+  before(async () => {
+    server = await startFixtureServer({
+      routes: {
+        '/api/v1/accounts/lookup': 'social/mastodon-account.json',
+        '/api/v1/accounts/109302/statuses': 'social/mastodon-statuses.json',
+        '/api/v1/timelines/tag/ai': 'social/mastodon-statuses.json',
+        '/api/v1/timelines/tag/private': { status: 401, body: '{"error":"This API requires an authenticated user"}', type: 'application/json' },
+        '/tags/private.rss': 'social/mastodon-tag.rss',
+        '/xrpc/app.bsky.feed.getAuthorFeed': 'social/bluesky-author-feed.json',
+      },
+    });
+    fetchers = createFetchers({ endpoints: { bluesky: server.url }, log: () => {}, warn: () => {} });
+  });
+
+  after(() => server.close());
+
+  test('mastodon account: looks the ID up once, then uses the statuses API', async () => {
+    const cache = {};
+    const items = await fetchers.fetchSource({ type: 'mastodon', name: 'M', config: { instance: server.url, account: '@researcher' } }, cache);
+    assert.equal(items.length, 2);
+    assert.equal(cache.state.accountId, '109302');
+    assert.ok(cache.etag, 'statuses response validators kept');
+
+    const sent = server.requests.length;
+    await fetchers.fetchMastodon({ instance: server.url, account: 'researcher', reposts: false }, { state: cache.state });
+    assert.deepEqual(server.requests.slice(sent), ['/api/v1/accounts/109302/statuses?limit=20&exclude_replies=true&exclude_reblogs=true']);
+  });
+
+  test('mastodon hashtag timeline, with RSS fallback when the API needs auth', async () => {
+    const items = await fetchers.fetchMastodon({ instance: server.url, hashtag: '#ai', limit: 1 });
+    assert.equal(items.length, 1);
+    assert.ok(server.requests.includes('/api/v1/timelines/tag/ai?limit=1'));
+
+    const fallback = await fetchers.fetchMastodon({ instance: server.url, hashtag: 'private' });
+    assert.deepEqual(fallback.map(i => [i.title, i.url]), [['Local-first sync engines are having a moment.', 'https://mastodon.example/@someone/113300000000000010']]);
+  });
+
+  test('mastodon config errors', async () => {
+    await assert.rejects(fetchers.fetchMastodon({ account: 'x' }), /instance/);
+    // Remote accounts have no RSS on this instance, so the API error stands
+    await assert.rejects(fetchers.fetchMastodon({ instance: server.url, account: 'x@remote.example' }, { state: { accountId: 'gone' } }), /HTTP 404/);
+  });
+
+  test('bluesky author feed', async () => {
+    const cache = {};
+    const items = await fetchers.fetchSource({ type: 'bluesky', name: 'B', config: JSON.stringify({ handle: '@lab.example.com' }) }, cache);
+    assert.equal(items.length, 2);
+    assert.ok(server.requests.includes('/xrpc/app.bsky.feed.getAuthorFeed?actor=lab.example.com&limit=20&filter=posts_no_replies'));
+    assert.deepEqual(await fetchers.fetchBluesky({ handle: 'lab.example.com' }, { ...cache }), [], '304 on the second run');
+    await assert.rejects(fetchers.fetchBluesky({}), /handle/);
+  });
+});
@@ -10,7 +10,11 @@ sqlite3 "$DB" "
 -- Delete in dependency order
 DELETE FROM user_subscriptions WHERE user_id BETWEEN 100 AND 199;
 DELETE FROM marks WHERE user_id BETWEEN 100 AND 199;
+DELETE FROM digests WHERE id IN (SELECT digest_id FROM digest_recipients WHERE user_id BETWEEN 100 AND 199);
+DELETE FROM digest_recipients WHERE user_id BETWEEN 100 AND 199;
+DELETE FROM digests WHERE user_id BETWEEN 100 AND 199;
 DELETE FROM source_packs WHERE created_by BETWEEN 100 AND 199;
+DELETE FROM source_fetch_attempts WHERE source_id IN (SELECT id FROM sources WHERE created_by BETWEEN 100 AND 199);
 DELETE FROM sources WHERE created_by BETWEEN 100 AND 199;
 DELETE FROM sessions WHERE user_id BETWEEN 100 AND 199;
 DELETE FROM users WHERE id BETWEEN 100 AND 199;
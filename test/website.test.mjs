@@ -0,0 +1,181 @@
+// Tests for src/website.mjs and the website fetcher — run with `npm run test:unit`
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { discoverFeeds, extractArticleLinks, diffSnapshot, decodeHtml, findFeedCandidates } from '../src/website.mjs';
+import { createFetchers } from '../src/fetchers.mjs';
+import { startFixtureServer, FIXTURES_DIR } from './fixture-server.mjs';
+
+const fixture = (name) => readFileSync(join(FIXTURES_DIR, 'website', name), 'utf8');
+
+describe('discoverFeeds', () => {
+  test('finds rel="alternate" feeds, resolves URLs and ranks comment feeds last', () => {
+    const feeds = discoverFeeds(fixture('blog.html').replaceAll('{{base}}', 'https://blog.example.com'), 'https://blog.example.com/');
+    assert.deepEqual(feeds, [
+      { url: 'https://blog.example.com/fixtures/fetchers/rss.xml', title: 'Example Engineering Blog', type: 'rss' },
+      { url: 'https://blog.example.com/comments/feed.xml', title: 'Comments', type: 'rss' },
+    ]);
+  });
+
+  test('ignores non-feed alternates and honours <base href>', () => {
+    const html = '<head><base href="https://cdn.example.net/site/"><link rel="alternate" type="application/atom+xml" href="atom.xml">'
+      + '<link rel="alternate" type="text/html" href="/mobile"></head>';
+    assert.deepEqual(discoverFeeds(html, 'https://example.net/'), [{ url: 'https://cdn.example.net/site/atom.xml', title: '', type: 'atom' }]);
+    assert.deepEqual(discoverFeeds(fixture('news.html'), 'https://news.example.com/'), []);
+  });
+});
+
+describe('findFeedCandidates', () => {
+  let server;
+  const fetchUrl = async (url) => {
+    const r = await fetch(url);
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    return { contentType: r.headers.get('content-type') || '', buffer: Buffer.from(await r.arrayBuffer()) };
+  };
+
+  before(async () => {
+    server = await startFixtureServer({
+      routes: {
+        '/rss.xml': 'fetchers/rss.xml',
+        '/atom.xml': 'fetchers/atom.xml',
+        '/feed': { body: '<html><title>Not a feed</title></html>', type: 'text/html' },
+        '/feed.json': { body: JSON.stringify({ version: 'https://jsonfeed.org/version/1.1', title: 'JSON', items: [{ title: 'Hi', url: 'https://j.example/1' }] }), type: 'application/feed+json' },
+      },
+    });
+  });
+
+  after(() => server.close());
+
+  test('advertised feeds first, then probed paths; failures, non-feeds and duplicates dropped', async () => {
+    const html = fixture('blog.html').replaceAll('{{base}}', server.url);
+    const candidates = await findFeedCandidates(html, `${server.url}/blog/`, fetchUrl, { previewLimit: 2 });
+    assert.deepEqual(candidates.map(c => [c.url.slice(server.url.length), c.type, c.format, c.title]), [
+      ['/fixtures/fetchers/rss.xml', 'rss', 'rss', 'Example Engineering Blog'],
+      ['/atom.xml', 'rss', 'atom', 'Example Research Notes'],
+    ], '/comments/feed.xml is a 404, /feed is HTML, /rss.xml repeats the advertised feed');
+    assert.deepEqual(candidates[0].preview, [
+      { title: 'Scaling SQLite to 1M writes/day', url: 'https://blog.example.com/posts/scaling-sqlite' },
+      { title: 'Tom & Jerry\'s "deploy" checklist', url: 'https://blog.example.com/posts/deploy-checklist' },
+    ]);
+  });
+
+  test('JSON Feed candidates become digest_feed; every URL goes through fetchUrl', async () => {
+    const html = '<link rel="alternate" type="application/feed+json" title="Hint" href="/feed.json">';
+    const asked = [];
+    const guarded = (url) => {
+      asked.push(new URL(url).pathname);
+      if (url.endsWith('.xml')) throw new Error('blocked host');
+      return fetchUrl(url);
+    };
+    const candidates = await findFeedCandidates(html, `${server.url}/`, guarded);
+    assert.deepEqual(candidates, [{ url: `${server.url}/feed.json`, title: 'JSON', type: 'digest_feed', format: 'json', preview: [{ title: 'Hi', url: 'https://j.example/1' }] }]);
+    assert.deepEqual(asked.sort(), ['/atom.xml', '/feed', '/feed.json', '/rss.xml']);
+  });
+});
+
+describe('extractArticleLinks', () => {
+  test('keeps same-site article links, drops nav/header/aside/footer, tag pages and short texts', () => {
+    const links = extractArticleLinks(fixture('news.html'), { baseUrl: 'https://www.news.example.com/' });
+    assert.deepEqual(links, [
+      { title: 'New chip export rules take effect next month', url: 'https://www.news.example.com/2026/10/13/chip-export-rules' },
+      { title: 'Lab releases open-weights reasoning model', url: 'https://news.example.com/2026/10/12/open-weights-model' },
+      { title: 'Datacenters now use 4% of the grid', url: 'https://www.news.example.com/2026/10/11/datacenter-power' },
+    ]);
+  });
+
+  test('a CSS selector picks the links, off-site ones included', () => {
+    const links = extractArticleLinks(fixture('hn-like.html'), { baseUrl: 'https://board.example.com/', selector: '.titleline > a' });
+    assert.deepEqual(links, [
+      { title: 'Show: a tiny job queue', url: 'https://example.org/a' },
+      { title: 'Ask: reviewing large PRs', url: 'https://board.example.com/item?id=2' },
+    ]);
+  });
+
+  test('a selector on a container uses its first link and the container text', () => {
+    const links = extractArticleLinks(fixture('news.html'), { baseUrl: 'https://news.example.com/', selector: 'article h2' });
+    assert.equal(links.length, 3);
+    assert.equal(links[0].title, 'New chip export rules take effect next month');
+  });
+});
+
+describe('diffSnapshot / decodeHtml', () => {
+  test('first run returns everything, later runs only unseen links', () => {
+    const links = [{ url: 'a' }, { url: 'b' }, { url: 'c' }];
+    assert.equal(diffSnapshot(links, undefined).length, 3);
+    assert.deepEqual(diffSnapshot(links, ['a', 'c']), [{ url: 'b' }]);
+  });
+
+  test('uses <meta charset> when the header has none', () => {
+    const gbk = Buffer.concat([Buffer.from('<meta charset="gbk"><title>'), Buffer.from([0xd6, 0xd0, 0xce, 0xc4]), Buffer.from('</title>')]);
+    assert.match(decodeHtml(gbk, 'text/html'), /中文/);
+  });
+});
+
+describe('fetchWebsite', () => {
+  let server;
+  let fetchers;
+  // Looked up per request, so a test can swap /news/ to "publish" a new article
+  const routes = {
+    '/blog/': 'website/blog.html',
+    '/news/': 'website/news.html',
+    '/gone-feed/': { body: '<link rel="alternate" type="application/rss+xml" href="/missing.xml">', type: 'text/html' },
+    '/board/': { body: fixture('hn-like.html'), type: 'text/html' },
+  };
+
+  before(async () => {
+    server = await startFixtureServer({ routes });
+    fetchers = createFetchers({ log: () => {}, warn: () => {} });
+  });
+
+  after(() => server.close());
+
+  test('collects the autodiscovered feed and remembers it', async () => {
+    const cache = {};
+    const items = await fetchers.fetchSource({ type: 'website', name: 'Blog', config: { url: `${server.url}/blog/` } }, cache);
+    assert.equal(items.length, 3);
+    assert.equal(items[0].title, 'Scaling SQLite to 1M writes/day');
+    assert.equal(cache.state.feedUrl, `${server.url}/fixtures/fetchers/rss.xml`);
+    assert.ok(cache.etag, 'validators belong to the feed');
+
+    const sent = server.requests.length;
+    const again = { ...cache };
+    assert.deepEqual(await fetchers.fetchWebsite({ url: `${server.url}/blog/` }, again), []);
+    assert.equal(again.notModified, true);
+    assert.deepEqual(server.requests.slice(sent), ['/fixtures/fetchers/rss.xml'], 'page not refetched');
+  });
+
+  test('rediscovers when the remembered feed stops working', async () => {
+    const cache = { state: { feedUrl: `${server.url}/status/404` }, etag: '"x"' };
+    const items = await fetchers.fetchWebsite({ url: `${server.url}/blog/` }, cache);
+    assert.equal(items.length, 3);
+    assert.equal(cache.state.feedUrl, `${server.url}/fixtures/fetchers/rss.xml`);
+  });
+
+  test('a discovered feed that fails is an error, not an empty result', async () => {
+    await assert.rejects(fetchers.fetchWebsite({ url: `${server.url}/gone-feed/` }, {}), /HTTP 404/);
+  });
+
+  test('without a feed, diffs article links against the last snapshot', async () => {
+    const cache = {};
+    const first = await fetchers.fetchWebsite({ url: `${server.url}/news/` }, cache);
+    assert.deepEqual(first.map(i => i.title), ['New chip export rules take effect next month', 'Datacenters now use 4% of the grid']);
+    assert.equal(cache.state.links.length, 2);
+
+    routes['/news/'] = 'website/news-updated.html';
+    const next = { state: cache.state };
+    const second = await fetchers.fetchWebsite({ url: `${server.url}/news/` }, next);
+    assert.deepEqual(second, [{ title: 'SQLite 4.0 released with a new storage engine', url: `${server.url}/2026/10/14/new-sqlite-release`, description: '' }]);
+    assert.equal(next.state.links.length, 3);
+  });
+
+  test('selector config and its failure mode', async () => {
+    const items = await fetchers.fetchWebsite({ url: `${server.url}/board/`, selector: '.titleline > a', limit: 1 }, {});
+    assert.deepEqual(items.map(i => i.url), ['https://example.org/a']);
+    await assert.rejects(fetchers.fetchWebsite({ url: `${server.url}/board/`, selector: '.storylink' }, {}), /未匹配到任何链接/);
+  });
+
+  test('requires url', async () => {
+    await assert.rejects(fetchers.fetchWebsite({}), /url/);
+  });
+});
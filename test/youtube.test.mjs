@@ -0,0 +1,129 @@
+// Tests for src/youtube.mjs and the youtube fetcher — run with `npm run test:unit`
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { parseYouTubeUrl, youtubeFeedUrl, extractChannelId, parseWatchPage, pickCaptionTrack, parseTranscript, formatDuration } from '../src/youtube.mjs';
+import { createFetchers } from '../src/fetchers.mjs';
+import { startFixtureServer, FIXTURES_DIR } from './fixture-server.mjs';
+
+const fixture = (name) => readFileSync(join(FIXTURES_DIR, 'youtube', name), 'utf8');
+const CHANNEL = 'UCbfYPyITQ-7l4upoX8nvctg';
+
+describe('parseYouTubeUrl', () => {
+  test('channels, handles, playlists and videos', () => {
+    const cases = {
+      [`https://www.youtube.com/channel/${CHANNEL}/videos`]: { kind: 'channel', id: CHANNEL },
+      'https://youtube.com/@ExampleLab': { kind: 'handle', id: '@ExampleLab' },
+      'https://m.youtube.com/user/examplelab': { kind: 'user', id: 'examplelab' },
+      'https://www.youtube.com/c/ExampleLab': { kind: 'custom', id: 'ExampleLab' },
+      'https://www.youtube.com/playlist?list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf': { kind: 'playlist', id: 'PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf' },
+      'https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PLabc': { kind: 'playlist', id: 'PLabc' },
+      'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42': { kind: 'video', id: 'dQw4w9WgXcQ' },
+      'https://youtu.be/dQw4w9WgXcQ?si=x': { kind: 'video', id: 'dQw4w9WgXcQ' },
+      'https://www.youtube.com/shorts/9bZkp7q19f0': { kind: 'video', id: '9bZkp7q19f0' },
+      [`https://www.youtube.com/feeds/videos.xml?channel_id=${CHANNEL}`]: { kind: 'channel', id: CHANNEL },
+    };
+    for (const [url, expected] of Object.entries(cases)) assert.deepEqual(parseYouTubeUrl(url), expected, url);
+  });
+
+  test('other pages and sites are not YouTube sources', () => {
+    const urls = ['https://www.youtube.com/', 'https://www.youtube.com/results?search_query=ai', 'https://notyoutube.com/@x', 'not a url',
+      'https://www.youtube.com/%E0%A4%A'];
+    for (const url of urls) {
+      assert.equal(parseYouTubeUrl(url), null, url);
+    }
+  });
+
+  test('feed URL per config', () => {
+    assert.equal(youtubeFeedUrl({ channel_id: CHANNEL }), `https://www.youtube.com/feeds/videos.xml?channel_id=${CHANNEL}`);
+    assert.equal(youtubeFeedUrl({ playlist_id: 'PLabc' }, 'http://127.0.0.1:1'), 'http://127.0.0.1:1/feeds/videos.xml?playlist_id=PLabc');
+    assert.equal(youtubeFeedUrl({}), null);
+  });
+});
+
+describe('page parsing', () => {
+  test('channel ID from a channel page', () => {
+    assert.equal(extractChannelId(fixture('channel-page.html')), CHANNEL);
+    assert.equal(extractChannelId('<html></html>'), null);
+  });
+
+  test('watch page: duration, description, channel and caption tracks', () => {
+    const page = parseWatchPage(fixture('watch.html'));
+    assert.equal(page.durationSeconds, 754);
+    assert.equal(page.channelId, CHANNEL);
+    assert.match(page.description, /^A walkthrough of the model & its benchmarks\.\nChapters:/);
+    assert.deepEqual(page.captionTracks.map(t => [t.lang, t.auto]), [['en', true], ['en', false], ['de', false]]);
+  });
+
+  test('falls back to <meta itemprop="duration"> without player JSON', () => {
+    assert.equal(parseWatchPage('<meta itemprop="duration" content="PT1H2M3S">').durationSeconds, 3723);
+    assert.equal(parseWatchPage('<html></html>').durationSeconds, null);
+  });
+
+  test('manual captions beat auto-generated ones, then language preference', () => {
+    const tracks = [{ lang: 'en', auto: true }, { lang: 'de', auto: false }, { lang: 'en-GB', auto: false }];
+    assert.deepEqual(pickCaptionTrack(tracks), { lang: 'en-GB', auto: false });
+    assert.deepEqual(pickCaptionTrack(tracks, ['de']), { lang: 'de', auto: false });
+    assert.equal(pickCaptionTrack([]), null);
+  });
+
+  test('transcript text is double-unescaped and joined', () => {
+    assert.equal(parseTranscript(fixture('captions.xml')),
+      "Today we're introducing a new model. It reasons step by step & checks its work. On the hardest benchmark it scores 71%.");
+    assert.equal(parseTranscript('<timedtext><body><p t="0" d="1">srv3 <s>cue</s></p></body></timedtext>'), 'srv3 cue');
+  });
+
+  test('formatDuration', () => {
+    assert.equal(formatDuration(62), '1:02');
+    assert.equal(formatDuration(3723), '1:02:03');
+    assert.equal(formatDuration(null), '');
+  });
+});
+
+describe('fetchYouTube / fetchYouTubeTranscript', () => {
+  let server;
+  let fetchers;
+
+  before(async () => {
+    server = await startFixtureServer({ routes: { '/feeds/videos.xml': 'youtube/channel.xml', '/watch': 'youtube/watch.html' } });
+    fetchers = createFetchers({ endpoints: { youtube: server.url }, log: () => {}, warn: () => {} });
+  });
+
+  after(() => server.close());
+
+  test('feed items carry the video description and duration', async () => {
+    const cache = {};
+    const items = await fetchers.fetchSource({ type: 'youtube', name: 'Lab', config: JSON.stringify({ channel_id: CHANNEL }) }, cache);
+    assert.equal(items.length, 2);
+    assert.equal(items[0].title, 'Introducing our new reasoning model');
+    assert.equal(items[0].url, 'https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+    assert.equal(items[0].description, '▶ 12:34 · A walkthrough of the model & its benchmarks. Chapters: 0:00 Intro');
+    assert.equal(items[0].duration, 754);
+    assert.equal(items[0].videoId, 'dQw4w9WgXcQ');
+    assert.ok(server.requests.some(r => r === `/feeds/videos.xml?channel_id=${CHANNEL}`));
+    assert.deepEqual(cache.state, { durations: { dQw4w9WgXcQ: 754, '9bZkp7q19f0': 754 } });
+  });
+
+  test('known durations are not looked up again; durations:false skips watch pages', async () => {
+    const sent = server.requests.length;
+    const items = await fetchers.fetchYouTube({ playlist_id: 'PLabc' }, { state: { durations: { dQw4w9WgXcQ: 60 } } });
+    assert.equal(items[0].description.slice(0, 8), '▶ 1:00 ·');
+    assert.deepEqual(server.requests.slice(sent), ['/feeds/videos.xml?playlist_id=PLabc', '/watch?v=9bZkp7q19f0']);
+
+    const plain = await fetchers.fetchYouTube({ channel_id: CHANNEL, durations: false });
+    assert.equal(plain[1].duration, null);
+    assert.equal(plain[1].description, '');
+  });
+
+  test('requires channel_id or playlist_id', async () => {
+    await assert.rejects(fetchers.fetchYouTube({}), /channel_id/);
+  });
+
+  test('transcript from the preferred caption track', async () => {
+    const text = await fetchers.fetchYouTubeTranscript('https://youtu.be/dQw4w9WgXcQ');
+    assert.match(text, /^Today we're introducing a new model\./);
+    assert.ok(server.requests.includes('/fixtures/youtube/captions.xml'), 'relative baseUrl resolved against the endpoint');
+    assert.equal(await fetchers.fetchYouTubeTranscript('https://example.com/post'), '');
+  });
+});